@@ -0,0 +1,110 @@
+/**
+ * Maintenance CLI.
+ *   node cli.js commands list                  commands Discord has
+ *   node cli.js commands diff                  what deploy would add (+), change (~) and remove (-)
+ *   node cli.js commands deploy [--dry-run] [--force]
+ *   node cli.js commands delete <name...> | --all
+ * Scope: --guild <id> (default GUILD_ID), or --global for global commands.
+ * --base-url <url> (default DISCORD_API_URL) replaces https://discord.com/api.
+ *
+ * .env: DISCORD_TOKEN, CLIENT_ID
+ */
+
+const { loadCommands, createCommandRouter, registrationPayload } = require('./src/commands');
+const { createRest, diffCommands, formatDiff, fetchCommands, deployCommands, deleteCommands } = require('./src/registration');
+const { configureLogger, loggerOptionsFromEnv, logger } = require('./src/logger');
+
+const USAGE = 'Usage: node cli.js commands <list|diff|deploy|delete> [names...] [--guild <id> | --global] [--base-url <url>] [--dry-run] [--force] [--all]';
+const VALUE_FLAGS = ['guild', 'base-url'];
+
+function parseArgs(argv) {
+  const args = { positional: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_FLAGS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (!value) throw new Error(`--${name} needs a value`);
+      args.flags[name] = value;
+    } else {
+      args.flags[name] = true;
+    }
+  }
+  return args;
+}
+
+// Results are the CLI's output, not diagnostics, so they go to stdout as they are.
+const print = line => process.stdout.write(`${line}\n`);
+
+async function run(argv, { env = process.env, log = print } = {}) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    log(`${e.message}\n${USAGE}`);
+    return 2;
+  }
+  const [group, action, ...names] = args.positional;
+  if (group !== 'commands' || !['list', 'diff', 'deploy', 'delete'].includes(action)) {
+    log(USAGE);
+    return 2;
+  }
+  if (!env.DISCORD_TOKEN || !env.CLIENT_ID) {
+    log('Missing required .env values: DISCORD_TOKEN, CLIENT_ID');
+    return 2;
+  }
+  if (action === 'delete' && !names.length && !args.flags.all) {
+    log('Name the commands to delete, or pass --all.');
+    return 2;
+  }
+
+  const guildId = args.flags.global ? null : args.flags.guild || env.GUILD_ID || null;
+  const scope = guildId ? `guild ${guildId}` : 'global';
+  const rest = createRest({ token: env.DISCORD_TOKEN, baseUrl: args.flags['base-url'] || env.DISCORD_API_URL || null });
+  const clientId = env.CLIENT_ID;
+
+  if (action === 'list') {
+    const remote = await fetchCommands(rest, clientId, guildId);
+    log(`${remote.length} ${scope} command(s):`);
+    for (const c of remote) log(`  /${c.name} (${c.id}) — ${c.description}`);
+    return 0;
+  }
+
+  if (action === 'delete') {
+    const { deleted, missing } = await deleteCommands(rest, clientId, guildId, args.flags.all ? [] : names);
+    for (const name of deleted) log(`Deleted /${name} (${scope}).`);
+    for (const name of missing) log(`/${name} is not registered (${scope}).`);
+    return missing.length ? 1 : 0;
+  }
+
+  const body = registrationPayload(createCommandRouter(loadCommands()).definitions);
+  if (action === 'diff') {
+    const diff = diffCommands(body, await fetchCommands(rest, clientId, guildId));
+    log(`${scope}:\n${formatDiff(diff)}`);
+    return 0;
+  }
+
+  const result = await deployCommands(rest, clientId, guildId, body, { force: !!args.flags.force, dryRun: !!args.flags['dry-run'] });
+  log(`${scope}:\n${formatDiff(result)}`);
+  if (result.deployed) log(`Deployed ${body.length} command(s).`);
+  else if (args.flags['dry-run']) log('Dry run: nothing was sent.');
+  else log('Nothing to deploy.');
+  return 0;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  configureLogger(loggerOptionsFromEnv());
+  run(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(e => {
+      logger.child('cli').error('Command failed', { err: e.message });
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run, parseArgs };
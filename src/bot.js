@@ -0,0 +1,2317 @@
+/**
+ * The bot itself: storage, drops, claims, commands and the scheduler, wired to whatever
+ * client it is given. index.js passes a discord.js Client; the tests pass a fake one (see
+ * test/helpers/discord.js). Everything that talks to Discord goes through that client or
+ * through the interactions, messages and guilds it emits.
+ */
+
+const fs = require('fs');
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  PermissionsBitField,
+  Status
+} = require('discord.js');
+const { JsonStore } = require('./storage');
+const { KeyedLock, createClaimHandler } = require('./claims');
+const {
+  normalizeSchedule,
+  formatClock,
+  formatDays,
+  isAllowedAt,
+  nextDropTime
+} = require('./schedule');
+const { DEFAULT_THEME_ID, CUSTOM_THEME_ID, compileTheme, themeReplies, loadThemes, fillTemplate } = require('./themes');
+const { SUPPORTED_LOCALES, resolveLocale, translator } = require('./i18n');
+const {
+  atLeast,
+  memberLevel,
+  requiredLevel
+} = require('./permissions');
+const { loadCommands, createCommandRouter, interactionPath, registrationPayload } = require('./commands');
+const { Registry } = require('./metrics');
+const { logger } = require('./logger');
+
+const {
+  VOTE_DURATION_SECONDS,
+  TIMEOUT_DURATION_SECONDS,
+  COOLDOWN_DURATION_MINUTES,
+  IMMUNITY_MINUTES,
+  BACKFIRE_COMMAND_COOLDOWN_MINUTES,
+  BACKFIRE_CHANCE,
+  DROP_EXPIRE_HOURS,
+  DROP_MESSAGE_LIFETIME_MS,
+  DEFAULT_BOX_COUNT,
+  DEFAULT_TROLL_COUNT,
+  MAX_BOXES,
+  MAX_EMBEDS,
+  LEADERBOARD_PAGE_SIZE,
+  SHOP_ITEM_TYPES,
+  DEFAULT_IMMUNITY_HOURS,
+  DEFAULT_TRANSFER_CAP,
+  GIFT_CONFIRM_SECONDS,
+  TRADE_EXPIRE_MINUTES,
+  SEASON_CONFIRM_SECONDS,
+  LANGUAGE_NAMES,
+  FAST_CLAIM_MS,
+  FAST_CLAIM_WINDOW,
+  FAST_CLAIM_MIN,
+  FAST_PAIR_MIN_SHARED,
+  ABUSE_FLAG_COOLDOWN_HOURS,
+  TROLL_ROLE_MINUTES,
+  TROLL_NICKNAME_MINUTES,
+  TROLL_TIMEOUT_SECONDS,
+  TROLL_EFFECT_LABELS
+} = require('./constants');
+
+const log = {
+  gateway: logger.child('gateway'),
+  storage: logger.child('storage'),
+  scheduler: logger.child('scheduler'),
+  drops: logger.child('drops'),
+  commands: logger.child('commands'),
+  trolls: logger.child('trolls'),
+  seasons: logger.child('seasons'),
+  audit: logger.child('audit'),
+  messages: logger.child('messages')
+};
+
+/**
+ * client:   a discord.js Client, or anything with the same events and lookups
+ * store:    a storage backend (see src/storage)
+ * config:   { ownerIds, modRoleId, guildId, dropChannelId, storageDriver, storageFile, sqliteFile, themesDir }
+ * registerCommands(body): publishes the slash command definitions; called once ready
+ */
+function createBot({ client, store, config = {}, registerCommands = async () => {} }) {
+  const {
+    ownerIds = [],
+    modRoleId = null,
+    guildId: homeGuildId = null,
+    dropChannelId = null,
+    storageDriver = 'json',
+    storageFile = 'storage.json',
+    sqliteFile = 'storage.db',
+    themesDir = null
+  } = config;
+
+  /* ---------------- METRICS ---------------- */
+  // Served on GET /metrics (src/http.js). Gauges are read at scrape time.
+  const metrics = new Registry();
+  metrics.gauge('giftbot_gateway_up', '1 while the gateway connection is ready', [], g => {
+    g.set({}, client.ws && client.ws.status === Status.Ready ? 1 : 0);
+  });
+  metrics.gauge('giftbot_gateway_status', 'discord.js gateway status (0 ready, 1 connecting, 2 reconnecting, 3 idle, 4 nearly, 5 disconnected, ...)', [], g => {
+    if (client.ws) g.set({}, client.ws.status);
+  });
+  metrics.gauge('giftbot_gateway_ping_seconds', 'Last gateway heartbeat round trip', [], g => {
+    g.reset();
+    if (client.ws && client.ws.ping >= 0) g.set({}, client.ws.ping / 1000);
+  });
+  const dropsSent = metrics.counter('giftbot_drops_sent_total', 'Drops posted', ['guild']);
+  const dropFailures = metrics.counter('giftbot_drop_failures_total', 'Drops that failed to post (sendGiftDrop errors)', ['guild']);
+  const claimsTotal = metrics.counter('giftbot_claims_total', 'Boxes claimed, real or troll', ['guild', 'kind']);
+  const interactionErrors = metrics.counter('giftbot_interaction_errors_total', 'Interactions whose handler threw');
+  const storageSave = metrics.histogram('giftbot_storage_save_seconds', 'Time taken to save storage or record a claim');
+  const storageSaveFailures = metrics.counter('giftbot_storage_save_failures_total', 'Storage saves and claim writes that threw');
+  metrics.gauge('giftbot_next_drop_seconds', 'Time until the next scheduled automatic drop', ['guild'], g => {
+    g.reset();
+    for (const [guildId, { at }] of dropTimers) g.set({ guild: guildId }, Math.max(0, (at - Date.now()) / 1000));
+  });
+  interactionErrors.inc({}, 0);
+  storageSaveFailures.inc({}, 0);
+
+  /* ---------------- STORAGE ---------------- */
+  // Layout: { version, guilds: { [guildId]: { userCounts, activeDrops, settings, snowball, trollReverts, claims, shop, transfers,
+  //   blacklist, abuseFlags } } }
+  // claims is the append-only claim ledger (see CLAIM LEDGER).
+  // Files written before per-guild storage existed keep userCounts/activeDrops/botSettings
+  // at the top level; loadStorage() moves those into a guild bucket (see migrateLegacyStorage).
+  const STORAGE_VERSION = 2;
+  let storage = { version: STORAGE_VERSION, guilds: {} };
+
+  function defaultGuildSettings() {
+    return { autoDropEnabled: false, dropChannels: [], auditChannelId: null, reviewChannelId: null };
+  }
+
+  function getGuildState(guildId) {
+    const id = String(guildId);
+    if (!storage.guilds[id]) {
+      storage.guilds[id] = { userCounts: {}, activeDrops: {}, settings: defaultGuildSettings() };
+    }
+    const g = storage.guilds[id];
+    g.userCounts = g.userCounts || {};
+    g.activeDrops = g.activeDrops || {};
+    g.settings = Object.assign(defaultGuildSettings(), g.settings);
+    // Single dropChannelId from before weighted drop channels.
+    if (g.settings.dropChannelId !== undefined) {
+      if (g.settings.dropChannelId && !g.settings.dropChannels.length) {
+        g.settings.dropChannels = [{ channelId: g.settings.dropChannelId, weight: 1 }];
+      }
+      delete g.settings.dropChannelId;
+    }
+    g.snowball = Object.assign({ cooldowns: {}, immunity: {}, votes: {} }, g.snowball);
+    g.trollReverts = g.trollReverts || {};
+    g.claims = g.claims || [];
+    g.shop = Object.assign({ items: {}, inventories: {}, titles: {}, purchases: [] }, g.shop);
+    g.transfers = g.transfers || [];
+    g.blacklist = g.blacklist || {};
+    g.abuseFlags = g.abuseFlags || {};
+    g.seasons = Object.assign({ current: null, archive: [] }, g.seasons);
+    return g;
+  }
+
+  function hasLegacyData(data) {
+    return !!(data && (data.userCounts || data.activeDrops || data.botSettings));
+  }
+
+  // Move a pre-v2 single-guild blob into storage.guilds[guildId]. Without a guild id the
+  // legacy data is parked under storage.legacy until the client is ready and we can work
+  // out which guild owns the old drop channel (see adoptLegacyStorage).
+  function migrateLegacyStorage(data, guildId) {
+    const legacy = {
+      userCounts: data.userCounts || {},
+      activeDrops: data.activeDrops || {},
+      settings: Object.assign(defaultGuildSettings(), data.botSettings)
+    };
+    delete data.userCounts;
+    delete data.activeDrops;
+    delete data.botSettings;
+    if (!guildId) {
+      data.legacy = legacy;
+      return data;
+    }
+    data.guilds = data.guilds || {};
+    const existing = data.guilds[guildId] || {};
+    data.guilds[guildId] = {
+      userCounts: Object.assign({}, legacy.userCounts, existing.userCounts),
+      activeDrops: Object.assign({}, legacy.activeDrops, existing.activeDrops),
+      settings: Object.assign(legacy.settings, existing.settings)
+    };
+    log.storage.info('Migrated legacy storage', { guild: guildId });
+    return data;
+  }
+
+  async function adoptLegacyStorage() {
+    if (!storage.legacy) return;
+    const channelId = storage.legacy.settings.dropChannelId;
+    let guildId = null;
+    if (channelId) {
+      const ch = await client.channels.fetch(channelId).catch(() => null);
+      if (ch && ch.guildId) guildId = ch.guildId;
+    }
+    if (!guildId && client.guilds.cache.size === 1) guildId = client.guilds.cache.first().id;
+    if (!guildId) {
+      log.storage.warn('Legacy storage found but its guild could not be determined; set GUILD_ID to migrate it');
+      return;
+    }
+    const legacy = storage.legacy;
+    delete storage.legacy;
+    migrateLegacyStorage(Object.assign(storage, {
+      userCounts: legacy.userCounts,
+      activeDrops: legacy.activeDrops,
+      botSettings: legacy.settings
+    }), guildId);
+    saveStorage();
+  }
+
+  // Throws when the backend cannot be read: the caller should refuse to start rather than
+  // overwrite existing data with an empty storage.
+  function loadStorage() {
+    let parsed = store.load();
+    if (!parsed && storageDriver === 'sqlite' && fs.existsSync(storageFile)) {
+      // First start on SQLite: carry over whatever the JSON file had.
+      parsed = new JsonStore(storageFile).load();
+      if (parsed) log.storage.info(`Imported ${storageFile} into ${sqliteFile}`);
+    }
+    if (!parsed) {
+      saveStorage();
+      return;
+    }
+    if (hasLegacyData(parsed)) parsed = migrateLegacyStorage(parsed, homeGuildId);
+    storage = Object.assign({ version: STORAGE_VERSION, guilds: {} }, parsed, { version: STORAGE_VERSION });
+    storage.guilds = storage.guilds || {};
+    if (parsed.version !== STORAGE_VERSION || storageDriver === 'sqlite') saveStorage();
+  }
+
+  // The configured drop channel (DROP_CHANNEL_ID) only seeds the guild that owns it, and only
+  // until that guild has chosen drop channels of its own.
+  async function seedEnvDropChannel() {
+    if (!dropChannelId) return;
+    const ch = await client.channels.fetch(dropChannelId).catch(() => null);
+    if (!ch || !ch.guildId) return;
+    const state = getGuildState(ch.guildId);
+    if (state.settings.dropChannels.length) return;
+    state.settings.dropChannels = [{ channelId: dropChannelId, weight: 1 }];
+    state.settings.autoDropEnabled = true;
+    saveStorage();
+  }
+
+  function saveStorage() {
+    const started = process.hrtime.bigint();
+    try {
+      store.save(storage);
+    } catch (e) {
+      storageSaveFailures.inc();
+      log.storage.error('Failed saving storage', { err: e });
+    } finally {
+      storageSave.observe({}, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  }
+
+  // Persist a single claim that has already been applied to `storage`. Returns false when
+  // the backend reports the box as taken (e.g. another process claimed it first); throws
+  // when saving failed, and decideClaim (src/claims.js) then takes the claim back.
+  function persistClaim(claim) {
+    const started = process.hrtime.bigint();
+    try {
+      return store.recordClaim(storage, claim);
+    } catch (e) {
+      storageSaveFailures.inc();
+      log.storage.error('Failed saving claim', { guild: claim.guildId, drop: claim.dropId, user: claim.userId, err: e });
+      throw e;
+    } finally {
+      storageSave.observe({}, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  }
+
+  /* ---------------- HELPERS ---------------- */
+  const randInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+  const makeDropId = () => `drop_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+  const buttonIdFor = (dropId, boxIndex) => `collect:${dropId}:${boxIndex}`;
+
+  // Pick one item at random, proportionally to item.weight (missing weight counts as 1).
+  function pickWeighted(items) {
+    const total = items.reduce((sum, it) => sum + (it.weight ?? 1), 0);
+    let roll = Math.random() * total;
+    for (const it of items) {
+      roll -= it.weight ?? 1;
+      if (roll < 0) return it;
+    }
+    return items[items.length - 1];
+  }
+
+  /* ---------------- AUDIT LOG ---------------- */
+  // Structured embeds in the guild's audit channel (settings.auditChannelId) for admin
+  // commands, troll effect failures and drop summaries. kind 'review' goes to the moderator
+  // review channel instead (falling back to the audit channel). Posting never throws: a
+  // missing channel or permission only logs a warning.
+  const AUDIT_COLORS = { admin: 0x5DADE2, drop: 0x58D68D, shop: 0xAF7AC5, warn: 0xF5B041, review: 0xE74C3C };
+
+  const formatAuditValue = v => (v === null || v === undefined || v === '' ? '—' : String(v)).slice(0, 1024);
+
+  /**
+   * changes: [{ name, from, to }] rendered as "old → new"; fields: extra embed fields.
+   * channelId: post there instead of the configured channel.
+   */
+  async function postAudit(guildId, { title, actorId = null, changes = [], fields = [], description = null, kind = 'admin', channelId: target = null }) {
+    const settings = getGuildState(guildId).settings;
+    const channelId = target || (kind === 'review' && settings.reviewChannelId) || settings.auditChannelId;
+    if (!channelId) return;
+    try {
+      const ch = await client.channels.fetch(channelId).catch(() => null);
+      if (!ch || !ch.isTextBased() || ch.guildId !== guildId) {
+        log.audit.warn('Audit channel unavailable', { guild: guildId, channel: channelId });
+        return;
+      }
+      const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(AUDIT_COLORS[kind] || AUDIT_COLORS.admin)
+        .setTimestamp();
+      if (description) embed.setDescription(description.slice(0, 4096));
+      if (actorId) embed.addFields({ name: 'By', value: `<@${actorId}> (${actorId})`, inline: true });
+      embed.addFields({ name: 'Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true });
+      for (const c of changes) {
+        embed.addFields({ name: c.name, value: formatAuditValue(`${formatAuditValue(c.from)} → ${formatAuditValue(c.to)}`), inline: false });
+      }
+      for (const f of fields) embed.addFields({ name: f.name, value: formatAuditValue(f.value), inline: !!f.inline });
+      await ch.send({ embeds: [embed], allowedMentions: { parse: [] } });
+    } catch (e) {
+      log.audit.warn('Failed to post audit entry', { guild: guildId, err: e });
+    }
+  }
+
+  // Summary of a finished drop from the claim ledger: who took which box, and what was left.
+  function auditDropSummary(guildId, dropId, drop, reason) {
+    // Drops from before configurable composition always had DEFAULT_BOX_COUNT boxes.
+    const boxCount = drop.boxCount || DEFAULT_BOX_COUNT;
+    const ledger = getGuildState(guildId).claims.filter(c => c.dropId === dropId);
+    const lines = [];
+    const unclaimed = [];
+    for (let i = 0; i < boxCount; i++) {
+      const boxId = `box_${i}`;
+      const real = drop.validBoxes.includes(boxId);
+      const kind = real ? (drop.boxTiers && drop.boxTiers[boxId] ? drop.boxTiers[boxId].name : 'real') : 'troll';
+      const userId = drop.collectedBy && drop.collectedBy[boxId];
+      if (!userId) {
+        unclaimed.push(`Box ${i + 1} (${kind})`);
+        continue;
+      }
+      const entry = ledger.find(c => c.boxId === boxId);
+      const outcome = real ? `+${entry ? entry.amount : 1}` : `effect: ${entry && entry.effect ? entry.effect : 'unknown'}`;
+      lines.push(`Box ${i + 1} (${kind}) — <@${userId}> ${outcome}`);
+    }
+    return postAudit(guildId, {
+      title: `Drop finished: ${dropId}`,
+      kind: 'drop',
+      description: lines.length ? lines.join('\n') : 'Nobody claimed a box.',
+      fields: [
+        { name: 'Unclaimed', value: unclaimed.length ? unclaimed.join(', ') : 'none' },
+        { name: 'Channel', value: drop.channelId ? `<#${drop.channelId}>` : '—', inline: true },
+        { name: 'Removed because', value: reason, inline: true }
+      ]
+    });
+  }
+
+  /* ---------------- LANGUAGE ---------------- */
+  // settings.locale forces one language for the whole guild; null lets each member's own
+  // Discord language decide (see src/i18n.js). Messages posted to a channel rather than in
+  // reply to someone use the guild's language. Audit log entries stay in English.
+  const EN = translator('en');
+
+  function localeFor(interaction) {
+    const settings = interaction.guildId ? getGuildState(interaction.guildId).settings : {};
+    return resolveLocale(settings.locale, interaction.locale, interaction.guildLocale);
+  }
+
+  const tFor = interaction => translator(localeFor(interaction));
+
+  function guildT(guildId) {
+    const guild = client.guilds.cache.get(guildId);
+    return translator(resolveLocale(getGuildState(guildId).settings.locale, null, guild && guild.preferredLocale));
+  }
+
+  function describeLanguage(settings, t) {
+    return settings.locale
+      ? t('language.forced', { language: LANGUAGE_NAMES[settings.locale] })
+      : t('language.auto', { languages: SUPPORTED_LOCALES.map(l => LANGUAGE_NAMES[l]).join(', ') });
+  }
+
+  /* ---------------- THEMES ---------------- */
+  // settings.theme is a theme id: a built-in from themes/, one from THEMES_DIR, or 'custom'
+  // for the guild's own uploaded theme (settings.customTheme, stored raw). See src/themes.js.
+  const themes = loadThemes(themesDir);
+
+  function getTheme(settings) {
+    if (settings.theme === CUSTOM_THEME_ID && settings.customTheme) return compileTheme(settings.customTheme);
+    return themes[settings.theme] || themes[DEFAULT_THEME_ID];
+  }
+
+  // The single tier drops use until /drop_config defines tiers of their own.
+  function themeTiers(theme) {
+    return [{ name: theme.defaultTier.name, value: 1, weight: 1, color: theme.defaultTier.color, text: theme.defaultTier.text }];
+  }
+
+  function themeChoices(settings, query, t = EN) {
+    const q = String(query || '').toLowerCase();
+    const choices = Object.values(themes).map(th => ({ name: `${th.emoji} ${th.name}`, value: th.id }));
+    if (settings.customTheme) choices.push({ name: t('theme.uploaded', { name: settings.customTheme.name || 'Custom' }), value: CUSTOM_THEME_ID });
+    return choices.filter(c => c.value.includes(q) || c.name.toLowerCase().includes(q)).slice(0, 25);
+  }
+
+  function describeTheme(theme, active, t) {
+    const hex = n => `#${n.toString(16).padStart(6, '0')}`;
+    return [
+      `${theme.emoji} **${theme.name}** (\`${active}\`)`,
+      t('theme.describe.title', { title: theme.drop.title }),
+      t('theme.describe.boxes', { box: fillTemplate(theme.drop.boxTitle, { n: 1 }), button: fillTemplate(theme.drop.button, { n: 1 }) }),
+      t('theme.describe.colors', { real: hex(theme.color), troll: hex(theme.drop.trollColor) }),
+      t('theme.describe.role', { role: theme.troll.roleName })
+    ].join('\n');
+  }
+
+  /* ---------------- ROLE HELP ---------------- */
+  async function ensureTrollRole(guild, roleName) {
+    let role = guild.roles.cache.find(r => r.name === roleName);
+    if (!role) {
+      try {
+        role = await guild.roles.create({ name: roleName, color: 'Random', reason: 'Troll gift role' });
+        log.trolls.info(`Created role ${roleName}`, { guild: guild.id });
+      } catch (e) {
+        log.trolls.warn(`Could not create ${roleName} role`, { guild: guild.id, err: e.message });
+        role = null;
+      }
+    }
+    return role;
+  }
+
+  /* ---------------- TROLL EFFECTS ---------------- */
+  // A troll claim picks one enabled effect by weight. apply() does the effect and returns
+  // the reply text, or { text, error } when it could not be applied. Anything temporary is undone by revert(), scheduled through
+  // addTrollRevert(): the pending revert is saved with its expiry in state.trollReverts and
+  // re-armed on ready, so a restart cannot leave a role or nickname behind.
+  const TROLL_EFFECTS = {
+    temp_role: {
+      label: TROLL_EFFECT_LABELS.temp_role,
+      weight: 3,
+      async apply({ guild, member, state, mention, t }) {
+        const role = getTheme(state.settings).troll.roleName;
+        const created = await ensureTrollRole(guild, role);
+        if (!created) return { text: t('troll.temp_role.noRole', { mention, role }), error: 'could not create role' };
+        const me = guild.members.me;
+        if (me && me.roles.highest.position <= created.position) {
+          return { text: t('troll.temp_role.hierarchy', { mention, role }), error: 'role hierarchy' };
+        }
+        await member.roles.add(created, `Troll gift: ${role}`);
+        addTrollRevert(guild.id, 'temp_role', member.id, TROLL_ROLE_MINUTES, { roleId: created.id });
+        return t('troll.temp_role.done', { mention, role, minutes: t('common.minutes', { count: TROLL_ROLE_MINUTES }) });
+      },
+      async revert(guild, entry) {
+        const member = await guild.members.fetch(entry.userId).catch(() => null);
+        if (member) await member.roles.remove(entry.data.roleId, 'Troll gift expired');
+      }
+    },
+    nickname: {
+      label: TROLL_EFFECT_LABELS.nickname,
+      weight: 2,
+      async apply({ guild, member, state, mention, t }) {
+        if (!member.manageable) return { text: t('troll.nickname.hierarchy', { mention }), error: 'role hierarchy' };
+        const previous = member.nickname;
+        const nick = `${getTheme(state.settings).troll.nicknamePrefix}${member.displayName}`.slice(0, 32);
+        await member.setNickname(nick, 'Troll gift: nickname');
+        addTrollRevert(guild.id, 'nickname', member.id, TROLL_NICKNAME_MINUTES, { previous, nick });
+        return t('troll.nickname.done', { mention, nick, minutes: t('common.minutes', { count: TROLL_NICKNAME_MINUTES }) });
+      },
+      async revert(guild, entry) {
+        const member = await guild.members.fetch(entry.userId).catch(() => null);
+        // Leave it alone if they have changed their nickname since.
+        if (member && member.nickname === entry.data.nick) await member.setNickname(entry.data.previous, 'Troll gift expired');
+      }
+    },
+    lose_box: {
+      label: TROLL_EFFECT_LABELS.lose_box,
+      weight: 2,
+      async apply({ member, state, mention, t }) {
+        const cnt = state.userCounts[member.id] || 0;
+        if (cnt === 0) return t('troll.lose_box.none', { mention });
+        state.userCounts[member.id] = cnt - 1;
+        saveStorage();
+        return t('troll.lose_box.done', { mention, count: cnt - 1 });
+      }
+    },
+    timeout: {
+      label: TROLL_EFFECT_LABELS.timeout,
+      weight: 1,
+      // Discord lifts the timeout itself, so there is nothing to revert.
+      async apply({ guild, member, mention, t }) {
+        const failed = await timeoutMember(guild, member.id, 'Troll gift: timeout', TROLL_TIMEOUT_SECONDS, t);
+        if (failed) return { text: t('troll.timeout.failed', { mention, reason: failed }), error: failed };
+        return t('troll.timeout.done', { mention, count: TROLL_TIMEOUT_SECONDS });
+      }
+    },
+    nothing: {
+      label: TROLL_EFFECT_LABELS.nothing,
+      weight: 2,
+      async apply({ mention, t }) {
+        return t('troll.nothing.done', { mention });
+      }
+    }
+  };
+
+  // settings.trollEffects = { [effectId]: { enabled, weight } }; unset ids use the registry default.
+  function getTrollEffectConfig(settings) {
+    const overrides = settings.trollEffects || {};
+    return Object.entries(TROLL_EFFECTS).map(([id, effect]) => {
+      const o = overrides[id] || {};
+      return { id, label: effect.label, enabled: o.enabled !== false, weight: o.weight ?? effect.weight };
+    });
+  }
+
+  // effect.label in t's language.
+  function trollEffectLabel(effectId, t) {
+    return t(`troll.${effectId}.label`, {
+      roleMinutes: t('common.minutes', { count: TROLL_ROLE_MINUTES }),
+      nicknameMinutes: t('common.minutes', { count: TROLL_NICKNAME_MINUTES }),
+      seconds: TROLL_TIMEOUT_SECONDS
+    });
+  }
+
+  function pickTrollEffect(settings) {
+    const enabled = getTrollEffectConfig(settings).filter(e => e.enabled && e.weight > 0);
+    return enabled.length ? pickWeighted(enabled).id : 'nothing';
+  }
+
+  async function applyTrollEffect(effectId, ctx) {
+    const effect = TROLL_EFFECTS[effectId];
+    let result;
+    try {
+      result = await effect.apply(ctx);
+    } catch (e) {
+      log.trolls.warn(`Troll effect ${effectId} failed`, { guild: ctx.guild.id, user: ctx.member.id, err: e });
+      result = { text: ctx.t('troll.failed', { mention: ctx.mention, effect: trollEffectLabel(effectId, ctx.t) }), error: e.message };
+    }
+    if (typeof result === 'string') return result;
+    postAudit(ctx.guild.id, {
+      title: 'Troll effect failed',
+      kind: 'warn',
+      fields: [
+        { name: 'Effect', value: `${effectId} — ${effect.label}`, inline: true },
+        { name: 'Member', value: `<@${ctx.member.id}>`, inline: true },
+        { name: 'Reason', value: result.error }
+      ]
+    });
+    return result.text;
+  }
+
+  const trollRevertTimers = new Map();
+
+  function addTrollRevert(guildId, effect, userId, minutes, data) {
+    const id = `revert_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+    getGuildState(guildId).trollReverts[id] = { effect, userId, expiresAt: Date.now() + minutes * 60 * 1000, data };
+    saveStorage();
+    armTrollRevert(guildId, id);
+  }
+
+  async function runTrollRevert(guildId, id) {
+    trollRevertTimers.delete(id);
+    const reverts = getGuildState(guildId).trollReverts;
+    const entry = reverts[id];
+    if (!entry) return;
+    delete reverts[id];
+    saveStorage();
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return;
+    try {
+      await TROLL_EFFECTS[entry.effect].revert(guild, entry);
+    } catch (e) {
+      log.trolls.warn(`Failed to revert troll effect ${entry.effect}`, { guild: guildId, user: entry.userId, err: e });
+      postAudit(guildId, {
+        title: 'Troll effect revert failed',
+        kind: 'warn',
+        fields: [
+          { name: 'Effect', value: entry.effect, inline: true },
+          { name: 'Member', value: `<@${entry.userId}>`, inline: true },
+          { name: 'Reason', value: e.message }
+        ]
+      });
+    }
+  }
+
+  function armTrollRevert(guildId, id) {
+    clearTimeout(trollRevertTimers.get(id));
+    const entry = getGuildState(guildId).trollReverts[id];
+    if (!entry) return;
+    trollRevertTimers.set(id, setTimeout(() => runTrollRevert(guildId, id), Math.max(0, entry.expiresAt - Date.now())));
+  }
+
+  function restoreTrollReverts() {
+    for (const guildId of Object.keys(storage.guilds)) {
+      for (const id of Object.keys(getGuildState(guildId).trollReverts)) armTrollRevert(guildId, id);
+    }
+  }
+
+  /* ---------------- COMMANDS ---------------- */
+  // One module per slash command in src/commands/ (see src/commands/index.js). Drop claim
+  // buttons belong to no command, so their namespace is added here.
+  const router = createCommandRouter(loadCommands(), {
+    components: { collect: interaction => handleCollect(interaction) }
+  });
+  const commands = router.definitions;
+
+  function commandPayload() {
+    return registrationPayload(commands);
+  }
+
+  /* ---------------- PERMISSIONS ---------------- */
+  // Who gets which level, and what each command needs: see src/permissions.js. Role and
+  // member levels set with /permissions live in settings.permissions.
+
+  function levelOf(interaction) {
+    return memberLevel({
+      userId: interaction.user.id,
+      member: interaction.member,
+      guildOwnerId: interaction.guild ? interaction.guild.ownerId : null,
+      ownerIds,
+      modRoleId,
+      mappings: getGuildState(interaction.guildId).settings.permissions
+    });
+  }
+
+  /* ---------------- DROP COMPOSITION ---------------- */
+  // settings.drop = { boxCount, trollCount, tiers: [{ name, value, weight, color, text }] }
+  // Each real box rolls one tier by weight; claiming it adds tier.value to the user's count.
+  // Without tiers of its own a guild uses its theme's single default tier (cfg.themeTiers).
+  function getDropConfig(settings) {
+    const cfg = Object.assign({ boxCount: DEFAULT_BOX_COUNT, trollCount: DEFAULT_TROLL_COUNT }, settings.drop);
+    cfg.themeTiers = !Array.isArray(cfg.tiers) || cfg.tiers.length === 0;
+    if (cfg.themeTiers) cfg.tiers = themeTiers(getTheme(settings));
+    cfg.boxCount = Math.min(Math.max(cfg.boxCount, 1), MAX_BOXES);
+    cfg.trollCount = Math.min(Math.max(cfg.trollCount, 0), cfg.boxCount - 1);
+    return cfg;
+  }
+
+  function describeDropConfig(cfg, t = EN) {
+    const lines = [t('dropConfig.boxes', { count: cfg.boxCount, real: cfg.boxCount - cfg.trollCount, trolls: cfg.trollCount }), t('dropConfig.tiers')];
+    const total = cfg.tiers.reduce((sum, tier) => sum + (tier.weight ?? 1), 0);
+    for (const tier of cfg.tiers) {
+      const weight = tier.weight ?? 1;
+      const pct = Math.round((weight / total) * 100);
+      lines.push(`• ${t('dropConfig.tier', { name: tier.name, value: tier.value, weight, pct })}, #${tier.color.toString(16).padStart(6, '0')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /* ---------------- SEND DROP (single message, one embed per box + buttons) ---------------- */
+  // Roll which boxes are real and which tier each real box gets. tierByBox keeps the full
+  // tier (colour/text) for rendering; boxTiers is the name/value subset a claim needs.
+  function rollDrop(settings) {
+    const config = getDropConfig(settings);
+    const idx = [...Array(config.boxCount).keys()];
+    for (let i = idx.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [idx[i], idx[j]] = [idx[j], idx[i]];
+    }
+    const realIndices = idx.slice(config.trollCount);
+    const validBoxes = realIndices.map(i => `box_${i}`);
+    const tierByBox = {};
+    for (const boxId of validBoxes) tierByBox[boxId] = pickWeighted(config.tiers);
+    const boxTiers = {};
+    for (const [boxId, tier] of Object.entries(tierByBox)) boxTiers[boxId] = { name: tier.name, value: tier.value };
+    return { boxCount: config.boxCount, validBoxes, tierByBox, boxTiers };
+  }
+
+  // Embeds and button rows for a rolled drop; customIdFor(i) names the button of box i.
+  function renderDrop(dropId, roll, customIdFor, theme, t) {
+    const look = theme.drop;
+    const embeds = [];
+    if (roll.boxCount <= MAX_EMBEDS) {
+      for (let i = 0; i < roll.boxCount; i++) {
+        const tier = roll.tierByBox[`box_${i}`];
+        const embed = new EmbedBuilder()
+          .setTitle(fillTemplate(look.boxTitle, { n: i + 1 }))
+          .setDescription(tier ? tier.text : look.trollText)
+          .setColor(tier ? tier.color : look.trollColor)
+          .setFooter({ text: t('drop.footerBox', { id: dropId, n: i + 1 }) })
+          .setTimestamp();
+        if (look.thumbnail) embed.setThumbnail(look.thumbnail);
+        embeds.push(embed);
+      }
+    } else {
+      const embed = new EmbedBuilder()
+        .setTitle(look.title)
+        .setColor(theme.color)
+        .setFooter({ text: t('drop.footer', { id: dropId }) })
+        .setTimestamp();
+      if (look.thumbnail) embed.setThumbnail(look.thumbnail);
+      for (let i = 0; i < roll.boxCount; i++) {
+        const tier = roll.tierByBox[`box_${i}`];
+        embed.addFields({ name: fillTemplate(look.boxTitle, { n: i + 1 }), value: tier ? tier.text : look.trollText, inline: true });
+      }
+      embeds.push(embed);
+    }
+    // The description and image go on one header embed above the boxes.
+    if (look.description || look.image) {
+      const header = new EmbedBuilder().setTitle(look.title).setColor(theme.color);
+      if (look.description) header.setDescription(look.description);
+      if (look.image) header.setImage(look.image);
+      if (embeds.length < MAX_EMBEDS) embeds.unshift(header);
+    }
+
+    // Buttons, five per row
+    const components = [];
+    for (let i = 0; i < roll.boxCount; i++) {
+      if (i % 5 === 0) components.push(new ActionRowBuilder());
+      const btn = new ButtonBuilder()
+        .setCustomId(customIdFor(i))
+        .setLabel(fillTemplate(look.button, { n: i + 1 }))
+        .setStyle(ButtonStyle.Primary);
+      if (look.buttonEmoji) btn.setEmoji(look.buttonEmoji);
+      components[components.length - 1].addComponents(btn);
+    }
+    return { embeds, components };
+  }
+
+  async function sendGiftDrop(guild, channel) {
+    try {
+      const dropId = makeDropId();
+      const createdAt = Date.now();
+      const expiresAt = createdAt + DROP_EXPIRE_HOURS * 60 * 60 * 1000;
+      const state = getGuildState(guild.id);
+      const roll = rollDrop(state.settings);
+      dropActivity.delete(guild.id);
+      state.activeDrops[dropId] = {
+        createdAt,
+        expiresAt,
+        boxCount: roll.boxCount,
+        validBoxes: roll.validBoxes,
+        boxTiers: roll.boxTiers,
+        collectedBy: {}
+      };
+      const { embeds, components } = renderDrop(dropId, roll, i => buttonIdFor(dropId, i), getTheme(state.settings), guildT(guild.id));
+
+      let sent;
+      try {
+        sent = await channel.send({ embeds, components });
+      } catch (e) {
+        delete state.activeDrops[dropId];
+        throw e;
+      }
+      state.activeDrops[dropId].messageId = sent.id;
+      state.activeDrops[dropId].channelId = channel.id;
+      saveStorage();
+
+      // Delete message after DROP_MESSAGE_LIFETIME_MS, with the 48h expiry as a safety net
+      armDropTimers(guild.id, dropId);
+
+      dropsSent.inc({ guild: guild.id });
+      log.drops.info('Drop sent', { guild: guild.id, channel: channel.id, drop: dropId, message: sent.id });
+      return dropId;
+    } catch (e) {
+      dropFailures.inc({ guild: guild.id });
+      log.drops.error('Sending drop failed', { guild: guild.id, channel: channel.id, err: e });
+      return null;
+    }
+  }
+
+  /* ---------------- DROP PREVIEW (dry run) ---------------- */
+  // /drop preview renders a drop exactly as sendGiftDrop() would, but ephemerally. The roll
+  // is kept in memory only; clicking a box reports what would have happened without
+  // touching storage, counts or roles.
+  const PREVIEW_LIFETIME_MS = 15 * 60 * 1000;
+  const previewDrops = new Map();
+  const previewButtonIdFor = (previewId, boxIndex) => `preview:${previewId}:${boxIndex}`;
+
+  async function sendDropPreview(interaction, t) {
+    const previewId = `preview_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+    const settings = getGuildState(interaction.guildId).settings;
+    const roll = rollDrop(settings);
+    previewDrops.set(previewId, { guildId: interaction.guildId, validBoxes: roll.validBoxes, boxTiers: roll.boxTiers });
+    setTimeout(() => previewDrops.delete(previewId), PREVIEW_LIFETIME_MS);
+    const { embeds, components } = renderDrop(previewId, roll, i => previewButtonIdFor(previewId, i), getTheme(settings), t);
+    return interaction.reply({
+      content: `🧪 ${t('preview.intro')}`,
+      embeds,
+      components,
+      ephemeral: true
+    });
+  }
+
+  async function handlePreviewClick(interaction) {
+    const [, previewId, boxIndex] = interaction.customId.split(':');
+    const preview = previewDrops.get(previewId);
+    const t = tFor(interaction);
+    if (!preview) return interaction.reply({ content: t('preview.expired'), ephemeral: true });
+    const boxId = `box_${boxIndex}`;
+    const n = Number(boxIndex) + 1;
+    if (preview.validBoxes.includes(boxId)) {
+      const tier = preview.boxTiers[boxId];
+      return interaction.reply({ content: `🧪 ${t('preview.real', { n, tier: tier.name, value: tier.value })}`, ephemeral: true });
+    }
+    const effectId = pickTrollEffect(getGuildState(preview.guildId).settings);
+    return interaction.reply({ content: `🧪 ${t('preview.troll', { n, effect: trollEffectLabel(effectId, t) })}`, ephemeral: true });
+  }
+
+  /* ---------------- DROP LIFECYCLE ---------------- */
+  // Cleanup timers only live in memory. Everything needed to rebuild them (createdAt,
+  // expiresAt, messageId, channelId) is in storage, so restoreDropTimers() re-arms them
+  // after a restart and retires whatever went stale while the bot was down.
+  const dropLifecycleTimers = new Map();
+
+  function clearDropTimers(dropId) {
+    const timers = dropLifecycleTimers.get(dropId);
+    if (!timers) return;
+    clearTimeout(timers.remove);
+    clearTimeout(timers.expire);
+    dropLifecycleTimers.delete(dropId);
+  }
+
+  // Rebuild message components with every button matching `shouldDisable` greyed out.
+  function disableButtons(components, shouldDisable = () => true) {
+    return components.map(row => {
+      const r = ActionRowBuilder.from(row);
+      r.components = r.components.map(c => {
+        if (c.data && c.data.custom_id && shouldDisable(c.data.custom_id)) {
+          const nb = ButtonBuilder.from(c);
+          nb.setDisabled(true);
+          nb.setStyle(ButtonStyle.Secondary);
+          return nb;
+        }
+        return c;
+      });
+      return r;
+    });
+  }
+
+  // Delete a drop's message; if that is not possible, at least disable its buttons so it
+  // does not look claimable.
+  async function removeDropMessage(guild, drop) {
+    if (!drop.channelId || !drop.messageId) return;
+    const ch = await guild.channels.fetch(drop.channelId).catch(() => null);
+    if (!ch || !ch.isTextBased()) return;
+    const deleted = await ch.messages.delete(drop.messageId).then(() => true, () => false);
+    if (deleted) return;
+    const msg = await ch.messages.fetch(drop.messageId).catch(() => null);
+    if (msg) await msg.edit({ components: disableButtons(msg.components) }).catch(() => null);
+  }
+
+  async function retireDrop(guildId, dropId, reason) {
+    clearDropTimers(dropId);
+    const state = getGuildState(guildId);
+    const drop = state.activeDrops[dropId];
+    if (!drop) return;
+    delete state.activeDrops[dropId];
+    saveStorage();
+    try {
+      const guild = client.guilds.cache.get(guildId);
+      if (guild) await removeDropMessage(guild, drop);
+    } catch (e) {
+      log.drops.warn('Failed to clean up drop message', { guild: guildId, drop: dropId, err: e });
+    }
+    await auditDropSummary(guildId, dropId, drop, reason);
+    log.drops.info(`Drop cleaned (${reason})`, { guild: guildId, drop: dropId });
+  }
+
+  function armDropTimers(guildId, dropId) {
+    clearDropTimers(dropId);
+    const drop = getGuildState(guildId).activeDrops[dropId];
+    if (!drop) return;
+    const now = Date.now();
+    const removeAt = drop.createdAt + DROP_MESSAGE_LIFETIME_MS;
+    dropLifecycleTimers.set(dropId, {
+      remove: setTimeout(() => retireDrop(guildId, dropId, 'message lifetime over'), Math.max(0, removeAt - now)),
+      expire: setTimeout(() => retireDrop(guildId, dropId, 'expired'), Math.max(0, drop.expiresAt - now))
+    });
+  }
+
+  async function restoreDropTimers() {
+    const now = Date.now();
+    let restored = 0;
+    let swept = 0;
+    for (const [guildId, state] of Object.entries(storage.guilds)) {
+      for (const [dropId, drop] of Object.entries(state.activeDrops || {})) {
+        const stale = !drop.messageId || !drop.channelId ||
+          !client.guilds.cache.has(guildId) ||
+          now >= drop.expiresAt ||
+          now >= drop.createdAt + DROP_MESSAGE_LIFETIME_MS;
+        if (stale) {
+          await retireDrop(guildId, dropId, 'startup sweep');
+          swept++;
+        } else {
+          armDropTimers(guildId, dropId);
+          restored++;
+        }
+      }
+    }
+    log.drops.info('Drop timers restored', { restored, swept });
+  }
+
+  /* ---------------- CLAIM LEDGER ---------------- */
+  // state.claims is an append-only record of every claim, kept after the drop itself is gone:
+  // { id, guildId, dropId, boxId, tier, real, effect, userId, amount, at, delayMs }
+  // Entries written before the ledger had all of these fields only carry
+  // { id, dropId, boxId, userId, amount, at }; readers fall back accordingly.
+  // Entries are built by newLedgerEntry (src/claims.js).
+  const isRealClaim = c => c.real ?? c.amount > 0;
+
+  function userClaimStats(state, userId) {
+    const claims = state.claims.filter(c => c.userId === userId);
+    const stats = { total: claims.length, real: 0, troll: 0, earned: 0, bestStreak: 0, fastestMs: null, favouriteBox: null, tiers: {} };
+    let streak = 0;
+    const boxes = {};
+    for (const c of claims) {
+      if (isRealClaim(c)) {
+        stats.real++;
+        streak++;
+        stats.bestStreak = Math.max(stats.bestStreak, streak);
+        if (c.tier) stats.tiers[c.tier] = (stats.tiers[c.tier] || 0) + 1;
+      } else {
+        stats.troll++;
+        streak = 0;
+      }
+      stats.earned += c.amount || 0;
+      if (typeof c.delayMs === 'number' && (stats.fastestMs === null || c.delayMs < stats.fastestMs)) stats.fastestMs = c.delayMs;
+      boxes[c.boxId] = (boxes[c.boxId] || 0) + 1;
+    }
+    const fav = Object.entries(boxes).sort((a, b) => b[1] - a[1])[0];
+    if (fav) stats.favouriteBox = { position: Number(fav[0].replace('box_', '')) + 1, times: fav[1] };
+    return stats;
+  }
+
+  function statsEmbed(user, stats, theme, t) {
+    const pct = n => (stats.total ? Math.round((n / stats.total) * 100) : 0);
+    const tiers = Object.entries(stats.tiers).map(([tier, n]) => `${tier}: ${n}`).join(', ');
+    return new EmbedBuilder()
+      .setTitle(`📊 ${t('stats.title', { user: user.username })}`)
+      .setColor(theme.color)
+      .addFields(
+        { name: t('stats.claims'), value: `${stats.total}`, inline: true },
+        { name: t('stats.realTroll'), value: `${stats.real} (${pct(stats.real)}%) / ${stats.troll} (${pct(stats.troll)}%)`, inline: true },
+        { name: t('stats.earned'), value: `${stats.earned}`, inline: true },
+        { name: t('stats.streak'), value: t('stats.streakValue', { count: stats.bestStreak }), inline: true },
+        { name: t('stats.fastest'), value: stats.fastestMs === null ? '—' : t('stats.fastestValue', { seconds: (stats.fastestMs / 1000).toFixed(2) }), inline: true },
+        { name: t('stats.favourite'), value: stats.favouriteBox ? t('stats.favouriteValue', { n: stats.favouriteBox.position, times: stats.favouriteBox.times }) : '—', inline: true },
+        { name: t('stats.tiers'), value: tiers || '—', inline: false }
+      )
+      .setTimestamp();
+  }
+
+  /* ---------------- GIFT SHOP ---------------- */
+  // state.shop = {
+  //   items:       { [itemId]: { id, name, type, price, description, roleId?, title?, hours?, retired? } },
+  //   inventories: { [userId]: { [itemId]: quantity } },
+  //   titles:      { [userId]: active title },
+  //   purchases:   [{ id, userId, itemId, type, price, at, refundedAt?, refundedBy? }]
+  // }
+  // Prices are paid out of userCounts. Every purchase is recorded so it can be refunded.
+  // Item types are listed in SHOP_ITEM_TYPES. Removed items are only marked retired so what
+  // people already own keeps working.
+  const slugify = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 32);
+
+  const listedShopItems = state => Object.values(state.shop.items).filter(it => !it.retired);
+
+  function findShopItem(state, query) {
+    const q = String(query || '').trim().toLowerCase();
+    return listedShopItems(state).find(it => it.id === q || it.name.toLowerCase() === q) || null;
+  }
+
+  // Total quantity a user holds of all items of the given type.
+  function shopItemCount(state, userId, type) {
+    const inv = state.shop.inventories[userId] || {};
+    return Object.entries(inv)
+      .filter(([itemId]) => state.shop.items[itemId] && state.shop.items[itemId].type === type)
+      .reduce((sum, [, qty]) => sum + qty, 0);
+  }
+
+  function consumeShopItem(state, userId, type) {
+    const inv = state.shop.inventories[userId] || {};
+    const itemId = Object.keys(inv).find(id => inv[id] > 0 && state.shop.items[id] && state.shop.items[id].type === type);
+    if (!itemId) return false;
+    inv[itemId]--;
+    if (inv[itemId] === 0) delete inv[itemId];
+    return true;
+  }
+
+  function describeShopItem(item, t = EN) {
+    const extra = item.type === 'role' ? ` <@&${item.roleId}>`
+      : item.type === 'title' ? ` “${item.title}”`
+        : item.type === 'snowball_immunity' ? ` (${item.hours}h)` : '';
+    return `**${item.name}** (\`${item.id}\`) — ${item.price} 🎁 · ${t(`shop.types.${item.type}`)}${extra}${item.description ? `\n  ${item.description}` : ''}`;
+  }
+
+  function shopEmbed(state, t) {
+    const items = listedShopItems(state).sort((a, b) => a.price - b.price);
+    return new EmbedBuilder()
+      .setTitle(`🛍️ ${t('shop.title')}`)
+      .setDescription(items.length ? items.map(item => describeShopItem(item, t)).join('\n') : t('shop.empty'))
+      .setColor(AUDIT_COLORS.shop)
+      .setFooter({ text: t('shop.footer') });
+  }
+
+  function inventoryEmbed(state, user, t) {
+    const inv = state.shop.inventories[user.id] || {};
+    const lines = Object.entries(inv).map(([itemId, qty]) => {
+      const item = state.shop.items[itemId];
+      return `${item ? item.name : itemId}${!item || item.retired ? ` ${t('inventory.retired')}` : ''} ×${qty}`;
+    });
+    const title = state.shop.titles[user.id];
+    const immunity = state.snowball.immunity[user.id];
+    if (title) lines.push(t('inventory.title', { title }));
+    if (immunity && immunity > Date.now()) lines.push(t('inventory.immunity', { until: `<t:${Math.floor(immunity / 1000)}:f>` }));
+    return new EmbedBuilder()
+      .setTitle(`🎒 ${t('inventory.heading', { user: user.username })}`)
+      .setDescription(lines.length ? lines.join('\n') : t('inventory.empty'))
+      .setColor(AUDIT_COLORS.shop)
+      .setFooter({ text: t('inventory.balance', { count: state.userCounts[user.id] || 0 }) });
+  }
+
+  function shopItemChoices(state, query, t) {
+    const q = String(query || '').toLowerCase();
+    return listedShopItems(state)
+      .filter(it => it.id.includes(q) || it.name.toLowerCase().includes(q))
+      .slice(0, 25)
+      .map(it => ({ name: `${it.name} — ${t('common.boxes', { count: it.price })}`.slice(0, 100), value: it.id }));
+  }
+
+  // Hand over what the item does. Returns null on success or a reason it could not be applied.
+  async function grantShopItem(guild, state, userId, item, t) {
+    if (item.type === 'role') {
+      const member = await guild.members.fetch(userId).catch(() => null);
+      if (!member) return t('timeout.noMember');
+      const me = guild.members.me;
+      const role = guild.roles.cache.get(item.roleId);
+      if (!role) return t('shop.roleGone');
+      if (me && me.roles.highest.position <= role.position) return t('timeout.hierarchy');
+      await member.roles.add(role, `Gift shop: ${item.name}`);
+    } else if (item.type === 'title') {
+      state.shop.titles[userId] = item.title;
+    } else if (item.type === 'snowball_immunity') {
+      const base = Math.max(state.snowball.immunity[userId] || 0, Date.now());
+      state.snowball.immunity[userId] = base + (item.hours || DEFAULT_IMMUNITY_HOURS) * 60 * 60 * 1000;
+    }
+    return null;
+  }
+
+  /* ---------------- CLAIM ELIGIBILITY & ABUSE ---------------- */
+  // settings.eligibility = { minAccountDays, minMemberDays, requiredRoleIds, blockedRoleIds }
+  // state.blacklist = { [userId]: { by, at, reason } }
+  // Fast claims (under FAST_CLAIM_MS after the drop appeared) are checked against the ledger;
+  // repeat offenders, and pairs who keep fast-claiming the same drops, are flagged to the
+  // review channel at most once per ABUSE_FLAG_COOLDOWN_HOURS (state.abuseFlags).
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function getEligibility(settings) {
+    return Object.assign({ minAccountDays: 0, minMemberDays: 0, requiredRoleIds: [], blockedRoleIds: [] }, settings.eligibility);
+  }
+
+  // Returns null if the member may claim, otherwise a short reason.
+  function claimIneligibility(state, member, t = EN) {
+    if (state.blacklist[member.id]) return t('eligibility.blacklisted');
+    const rules = getEligibility(state.settings);
+    const now = Date.now();
+    const created = member.user && member.user.createdTimestamp;
+    if (rules.minAccountDays && created && now - created < rules.minAccountDays * DAY_MS) {
+      return t('eligibility.accountAge', { days: t('common.days', { count: rules.minAccountDays }) });
+    }
+    if (rules.minMemberDays && (!member.joinedTimestamp || now - member.joinedTimestamp < rules.minMemberDays * DAY_MS)) {
+      return t('eligibility.memberAge', { days: t('common.days', { count: rules.minMemberDays }) });
+    }
+    const roles = member.roles && member.roles.cache;
+    if (rules.requiredRoleIds.length && !(roles && rules.requiredRoleIds.some(id => roles.has(id)))) {
+      return t('eligibility.requiredRoles', { roles: rules.requiredRoleIds.map(id => `<@&${id}>`).join(', ') });
+    }
+    if (roles && rules.blockedRoleIds.some(id => roles.has(id))) return t('eligibility.blockedRole');
+    return null;
+  }
+
+  function describeEligibility(state, t = EN) {
+    const rules = getEligibility(state.settings);
+    const roles = ids => (ids.length ? ids.map(id => `<@&${id}>`).join(', ') : t('common.none'));
+    return [
+      t('eligibility.describe.accountAge', { days: t('common.days', { count: rules.minAccountDays }) }),
+      t('eligibility.describe.memberAge', { days: t('common.days', { count: rules.minMemberDays }) }),
+      t('eligibility.describe.required', { roles: roles(rules.requiredRoleIds) }),
+      t('eligibility.describe.blocked', { roles: roles(rules.blockedRoleIds) }),
+      t('eligibility.describe.blacklisted', { count: Object.keys(state.blacklist).length }),
+      t('eligibility.describe.review', { channel: state.settings.reviewChannelId ? `<#${state.settings.reviewChannelId}>` : t('eligibility.describe.auditChannel') })
+    ].join('\n');
+  }
+
+  function shouldFlag(state, key) {
+    const last = state.abuseFlags[key];
+    if (last && Date.now() - last < ABUSE_FLAG_COOLDOWN_HOURS * 60 * 60 * 1000) return false;
+    state.abuseFlags[key] = Date.now();
+    return true;
+  }
+
+  function checkFastClaims(guildId, userId) {
+    const state = getGuildState(guildId);
+    const recent = state.claims.filter(c => c.userId === userId && typeof c.delayMs === 'number').slice(-FAST_CLAIM_WINDOW);
+    const fast = recent.filter(c => c.delayMs < FAST_CLAIM_MS);
+    let flagged = false;
+
+    if (fast.length >= FAST_CLAIM_MIN && shouldFlag(state, userId)) {
+      flagged = true;
+      const avg = Math.round(fast.reduce((sum, c) => sum + c.delayMs, 0) / fast.length);
+      postAudit(guildId, {
+        title: 'Suspicious claim speed',
+        kind: 'review',
+        description: `<@${userId}> claimed ${fast.length} of their last ${recent.length} boxes within ${FAST_CLAIM_MS}ms of the drop appearing (average ${avg}ms).`,
+        fields: [{ name: 'Member', value: `<@${userId}> (${userId})`, inline: true }, { name: 'Drops', value: fast.map(c => c.dropId).join('\n') }]
+      });
+    }
+
+    // Who else fast-claimed in the same drops?
+    const fastDrops = new Set(fast.map(c => c.dropId));
+    const shared = {};
+    for (const c of state.claims) {
+      if (c.userId !== userId && fastDrops.has(c.dropId) && typeof c.delayMs === 'number' && c.delayMs < FAST_CLAIM_MS) {
+        shared[c.userId] = (shared[c.userId] || new Set()).add(c.dropId);
+      }
+    }
+    for (const [otherId, drops] of Object.entries(shared)) {
+      if (drops.size < FAST_PAIR_MIN_SHARED || !shouldFlag(state, [userId, otherId].sort().join(':'))) continue;
+      flagged = true;
+      postAudit(guildId, {
+        title: 'Members fast-claiming together',
+        kind: 'review',
+        description: `<@${userId}> and <@${otherId}> both claimed within ${FAST_CLAIM_MS}ms in ${drops.size} of the same drops.`,
+        fields: [{ name: 'Drops', value: [...drops].join('\n') }]
+      });
+    }
+    if (flagged) saveStorage();
+  }
+
+  /* ---------------- GIFTING & TRADING ---------------- */
+  // /gift moves boxes between balances after the sender confirms; /trade swaps shop items
+  // (optionally for boxes) once the other side accepts. Pending requests live in memory and
+  // simply lapse on restart. Every check that guards a balance or inventory runs again,
+  // synchronously, right before the change is applied, and a request is marked done before
+  // anything else happens, so two simultaneous clicks cannot spend the same boxes twice.
+  // state.transfers = [{ id, kind: 'gift' | 'trade', fromId, toId, amount, at }]
+  const pendingGifts = new Map();
+  const pendingTrades = new Map();
+
+  const startOfUtcDay = () => {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  };
+
+  function transferCap(state) {
+    return state.settings.transferCap ?? DEFAULT_TRANSFER_CAP;
+  }
+
+  function transferredToday(state, userId, key) {
+    const since = startOfUtcDay();
+    return state.transfers.filter(tr => tr.at >= since && tr[key] === userId).reduce((sum, tr) => sum + tr.amount, 0);
+  }
+
+  // Returns null if fromId may move `amount` boxes to toId right now, otherwise why not.
+  function checkTransfer(state, fromId, toId, amount, t) {
+    if (!Number.isInteger(amount) || amount <= 0) return t('transfer.badAmount');
+    if (fromId === toId) return t('transfer.self');
+    const cap = transferCap(state);
+    if (cap === 0) return t('transfer.off');
+    const have = state.userCounts[fromId] || 0;
+    if (have < amount) return t('transfer.notEnough', { have, need: amount });
+    const sent = transferredToday(state, fromId, 'fromId');
+    if (sent + amount > cap) return t('transfer.sendLimit', { user: `<@${fromId}>`, count: Math.max(0, cap - sent) });
+    const received = transferredToday(state, toId, 'toId');
+    if (received + amount > cap) return t('transfer.receiveLimit', { user: `<@${toId}>`, count: Math.max(0, cap - received) });
+    return null;
+  }
+
+  function applyTransfer(state, kind, fromId, toId, amount) {
+    state.userCounts[fromId] -= amount;
+    state.userCounts[toId] = (state.userCounts[toId] || 0) + amount;
+    const transfer = { id: `transfer_${Date.now()}_${Math.floor(Math.random() * 10000)}`, kind, fromId, toId, amount, at: Date.now() };
+    state.transfers.push(transfer);
+    return transfer;
+  }
+
+  async function notifyUser(userId, text) {
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send(text);
+    } catch {
+      // DMs closed; the channel notice is enough.
+    }
+  }
+
+  async function startGift(interaction, state, t) {
+    const target = interaction.options.getUser('user', true);
+    const amount = interaction.options.getInteger('amount', true);
+    if (target.bot) return interaction.reply({ content: t('gift.bot'), ephemeral: true });
+    const problem = checkTransfer(state, interaction.user.id, target.id, amount, t);
+    if (problem) return interaction.reply({ content: problem, ephemeral: true, allowedMentions: { users: [] } });
+
+    const id = `gift_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+    pendingGifts.set(id, { guildId: interaction.guildId, fromId: interaction.user.id, toId: target.id, amount, done: false });
+    setTimeout(() => pendingGifts.delete(id), GIFT_CONFIRM_SECONDS * 1000);
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`gift:${id}:confirm`).setLabel(t('gift.send')).setEmoji('🎁').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`gift:${id}:cancel`).setLabel(t('common.cancel')).setStyle(ButtonStyle.Secondary)
+    );
+    return interaction.reply({
+      content: t('gift.confirm', { count: amount, user: target.toString(), seconds: GIFT_CONFIRM_SECONDS }),
+      components: [row],
+      ephemeral: true,
+      allowedMentions: { users: [] }
+    });
+  }
+
+  async function handleGiftButton(interaction) {
+    const [, id, action] = interaction.customId.split(':');
+    const gift = pendingGifts.get(id);
+    const t = tFor(interaction);
+    if (!gift || gift.done) return interaction.update({ content: t('gift.expired'), components: [] });
+    if (interaction.user.id !== gift.fromId) return interaction.reply({ content: t('gift.notYours'), ephemeral: true });
+    gift.done = true;
+    pendingGifts.delete(id);
+    if (action !== 'confirm') return interaction.update({ content: t('gift.cancelled'), components: [] });
+
+    const state = getGuildState(gift.guildId);
+    const problem = checkTransfer(state, gift.fromId, gift.toId, gift.amount, t);
+    if (problem) return interaction.update({ content: problem, components: [], allowedMentions: { users: [] } });
+    const transfer = applyTransfer(state, 'gift', gift.fromId, gift.toId, gift.amount);
+    saveStorage();
+
+    await interaction.update({
+      content: t('gift.sent', { count: gift.amount, user: `<@${gift.toId}>`, left: state.userCounts[gift.fromId] }),
+      components: [],
+      allowedMentions: { users: [] }
+    });
+    const gt = guildT(gift.guildId);
+    if (interaction.channel) {
+      await interaction.channel.send({
+        content: `🎁 ${gt('gift.announce', { from: `<@${gift.fromId}>`, count: gift.amount, to: `<@${gift.toId}>` })}`,
+        allowedMentions: { users: [gift.toId] }
+      }).catch(() => null);
+    }
+    notifyUser(gift.toId, `🎁 ${gt('gift.dm', { from: `<@${gift.fromId}>`, count: gift.amount, server: interaction.guild ? interaction.guild.name : '—' })}`);
+    postAudit(gift.guildId, {
+      title: 'Gift boxes transferred',
+      kind: 'shop',
+      actorId: gift.fromId,
+      fields: [
+        { name: 'To', value: `<@${gift.toId}>`, inline: true },
+        { name: 'Amount', value: `${gift.amount}`, inline: true },
+        { name: 'Transfer', value: transfer.id, inline: true }
+      ]
+    });
+  }
+
+  const ownedQty = (state, userId, itemId) => (state.shop.inventories[userId] || {})[itemId] || 0;
+
+  function moveInventoryItem(state, fromId, toId, itemId) {
+    const from = state.shop.inventories[fromId];
+    from[itemId]--;
+    if (from[itemId] === 0) delete from[itemId];
+    const to = state.shop.inventories[toId] = state.shop.inventories[toId] || {};
+    to[itemId] = (to[itemId] || 0) + 1;
+    const item = state.shop.items[itemId];
+    if (item && item.type === 'title') {
+      if (state.shop.titles[fromId] === item.title) delete state.shop.titles[fromId];
+      state.shop.titles[toId] = item.title;
+    }
+  }
+
+  // Returns null if the trade can go through as proposed, otherwise why not.
+  function checkTrade(state, trade, t) {
+    const offer = state.shop.items[trade.offerItemId];
+    const request = trade.requestItemId ? state.shop.items[trade.requestItemId] : null;
+    if (!offer || !SHOP_ITEM_TYPES[offer.type].tradeable) return t('trade.notTradeable');
+    if (ownedQty(state, trade.fromId, offer.id) < 1) return t('trade.noLongerHas', { user: `<@${trade.fromId}>`, item: offer.name });
+    if (SHOP_ITEM_TYPES[offer.type].unique && ownedQty(state, trade.toId, offer.id) > 0) return t('trade.alreadyOwns', { user: `<@${trade.toId}>`, item: offer.name });
+    if (trade.requestItemId) {
+      if (!request || !SHOP_ITEM_TYPES[request.type].tradeable) return t('trade.requestNotTradeable');
+      if (ownedQty(state, trade.toId, request.id) < 1) return t('trade.doesNotHave', { user: `<@${trade.toId}>`, item: request.name });
+      if (SHOP_ITEM_TYPES[request.type].unique && ownedQty(state, trade.fromId, request.id) > 0) return t('trade.alreadyOwns', { user: `<@${trade.fromId}>`, item: request.name });
+    }
+    if (trade.boxes > 0) return checkTransfer(state, trade.toId, trade.fromId, trade.boxes, t);
+    return null;
+  }
+
+  function describeTrade(state, trade, t = EN) {
+    const name = id => (state.shop.items[id] ? state.shop.items[id].name : id);
+    const wants = [];
+    if (trade.requestItemId) wants.push(`**${name(trade.requestItemId)}**`);
+    if (trade.boxes > 0) wants.push(`**${t('common.boxes', { count: trade.boxes })}**`);
+    const vars = { from: `<@${trade.fromId}>`, item: name(trade.offerItemId), to: `<@${trade.toId}>`, wants: wants.join(' + ') };
+    return t(wants.length ? 'trade.offer' : 'trade.offerGift', vars);
+  }
+
+  // Role items change hands on Discord too. Best effort: inventories are already updated.
+  async function moveShopRole(guild, item, fromId, toId) {
+    if (!item || item.type !== 'role') return;
+    try {
+      const from = await guild.members.fetch(fromId).catch(() => null);
+      const to = await guild.members.fetch(toId).catch(() => null);
+      if (from) await from.roles.remove(item.roleId, 'Gift shop trade');
+      if (to) await to.roles.add(item.roleId, 'Gift shop trade');
+    } catch (e) {
+      log.commands.warn('Trade role move failed', { guild: guild.id, from: fromId, to: toId, err: e });
+      postAudit(guild.id, { title: 'Trade role move failed', kind: 'warn', fields: [{ name: 'Item', value: item.id }, { name: 'Reason', value: e.message }] });
+    }
+  }
+
+  async function proposeTrade(interaction, state, t) {
+    const target = interaction.options.getUser('user', true);
+    if (target.bot || target.id === interaction.user.id) return interaction.reply({ content: t('trade.pickOther'), ephemeral: true });
+    const offer = findShopItem(state, interaction.options.getString('offer', true)) || state.shop.items[interaction.options.getString('offer', true)];
+    const requestInput = interaction.options.getString('request');
+    const request = requestInput ? findShopItem(state, requestInput) || state.shop.items[requestInput] : null;
+    if (!offer || (requestInput && !request)) return interaction.reply({ content: t('trade.unknownItem'), ephemeral: true });
+
+    const trade = {
+      guildId: interaction.guildId,
+      fromId: interaction.user.id,
+      toId: target.id,
+      offerItemId: offer.id,
+      requestItemId: request ? request.id : null,
+      boxes: interaction.options.getInteger('boxes') || 0,
+      done: false
+    };
+    const problem = checkTrade(state, trade, t);
+    if (problem) return interaction.reply({ content: problem, ephemeral: true, allowedMentions: { users: [] } });
+
+    const id = `trade_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+    pendingTrades.set(id, trade);
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`trade:${id}:accept`).setLabel(t('trade.accept')).setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`trade:${id}:decline`).setLabel(t('trade.decline')).setStyle(ButtonStyle.Danger)
+    );
+    await interaction.reply({
+      content: `🤝 ${describeTrade(state, trade, t)} ${t('trade.expires', { when: `<t:${Math.floor(Date.now() / 1000) + TRADE_EXPIRE_MINUTES * 60}:R>` })}`,
+      components: [row],
+      allowedMentions: { users: [target.id] }
+    });
+    setTimeout(async () => {
+      if (!pendingTrades.has(id)) return;
+      pendingTrades.delete(id);
+      await interaction.editReply({ content: `⌛ ${t('trade.expired')} ${describeTrade(state, trade, t)}`, components: [], allowedMentions: { users: [] } }).catch(() => null);
+    }, TRADE_EXPIRE_MINUTES * 60 * 1000);
+  }
+
+  async function handleTradeButton(interaction) {
+    const [, id, action] = interaction.customId.split(':');
+    const trade = pendingTrades.get(id);
+    const t = tFor(interaction);
+    if (!trade || trade.done) return interaction.reply({ content: t('trade.closed'), ephemeral: true });
+    const userId = interaction.user.id;
+    if (userId !== trade.toId && !(action === 'decline' && userId === trade.fromId)) {
+      return interaction.reply({ content: t('trade.notForYou'), ephemeral: true });
+    }
+    trade.done = true;
+    pendingTrades.delete(id);
+    const state = getGuildState(trade.guildId);
+    if (action !== 'accept') {
+      const outcome = t(userId === trade.fromId ? 'trade.cancelled' : 'trade.declined');
+      return interaction.update({ content: `❌ ${outcome} ${describeTrade(state, trade, t)}`, components: [], allowedMentions: { users: [] } });
+    }
+
+    const problem = checkTrade(state, trade, t);
+    if (problem) return interaction.update({ content: `❌ ${t('trade.failed', { reason: problem })}`, components: [], allowedMentions: { users: [] } });
+    moveInventoryItem(state, trade.fromId, trade.toId, trade.offerItemId);
+    if (trade.requestItemId) moveInventoryItem(state, trade.toId, trade.fromId, trade.requestItemId);
+    const transfer = trade.boxes > 0 ? applyTransfer(state, 'trade', trade.toId, trade.fromId, trade.boxes) : null;
+    saveStorage();
+
+    await interaction.update({ content: `✅ ${t('trade.complete')} ${describeTrade(state, trade, t)}`, components: [], allowedMentions: { users: [trade.fromId] } });
+    if (interaction.guild) {
+      await moveShopRole(interaction.guild, state.shop.items[trade.offerItemId], trade.fromId, trade.toId);
+      if (trade.requestItemId) await moveShopRole(interaction.guild, state.shop.items[trade.requestItemId], trade.toId, trade.fromId);
+    }
+    postAudit(trade.guildId, {
+      title: 'Trade completed',
+      kind: 'shop',
+      actorId: trade.toId,
+      description: describeTrade(state, trade),
+      fields: transfer ? [{ name: 'Transfer', value: transfer.id }] : []
+    });
+  }
+
+  /* ---------------- LEADERBOARD ---------------- */
+  // All-time reads userCounts (so it matches /giftbox and includes counts from before claims
+  // were logged). The other periods sum state.claims since the period start; "this season"
+  // starts with the current season (see SEASONS), or at the last /admin reset from before
+  // seasons existed.
+
+  function periodStart(state, period) {
+    const now = new Date();
+    if (period === 'season') {
+      const { current, archive } = state.seasons;
+      if (current) return current.startsAt;
+      if (archive.length) return archive[archive.length - 1].endedAt;
+      return state.settings.seasonStartedAt || 0;
+    }
+    if (period === 'week') return now.getTime() - 7 * 24 * 60 * 60 * 1000;
+    if (period === 'today') return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    return null;
+  }
+
+  // Boxes earned from claims in [since, until), as sorted [[userId, total], ...].
+  function claimStandings(state, since, until = Infinity) {
+    const totals = {};
+    for (const c of state.claims) {
+      if (c.at >= since && c.at < until && c.amount) totals[c.userId] = (totals[c.userId] || 0) + c.amount;
+    }
+    return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+  }
+
+  // [[userId, total], ...] sorted best first, users without any boxes left out.
+  function leaderboardEntries(state, period) {
+    const since = periodStart(state, period);
+    if (since !== null) return claimStandings(state, since);
+    return Object.entries(state.userCounts).filter(([, cnt]) => cnt > 0).sort((a, b) => b[1] - a[1]);
+  }
+
+  // Rank of a total in sorted entries; ties share the best rank (1, 2, 2, 4).
+  const rankOf = (entries, total) => entries.findIndex(([, cnt]) => cnt === total) + 1;
+
+  function leaderboardPage(state, period, page, t) {
+    const current = state.seasons.current;
+    const title = period === 'season' && current ? t('leaderboard.season', { name: current.name }) : t(`leaderboard.periods.${period}`);
+    return renderLeaderboard(leaderboardEntries(state, period), title, `lb:${period}`, page, getTheme(state.settings), t);
+  }
+
+  // A finished season, from the standings archived when it ended.
+  function seasonLeaderboardPage(state, index, page, t) {
+    const season = state.seasons.archive[index];
+    const dates = `${new Date(season.startsAt).toISOString().slice(0, 10)} – ${new Date(season.endedAt).toISOString().slice(0, 10)}`;
+    return renderLeaderboard(season.standings, `${t('leaderboard.season', { name: season.name })} (${dates})`, `lb:archive:${index}`, page, getTheme(state.settings), t);
+  }
+
+  function renderLeaderboard(entries, title, idPrefix, page, theme, t) {
+    const pages = Math.max(1, Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE));
+    page = Math.min(Math.max(page || 0, 0), pages - 1);
+    const start = page * LEADERBOARD_PAGE_SIZE;
+    const lines = entries.slice(start, start + LEADERBOARD_PAGE_SIZE).map(([uid, cnt]) => {
+      return `${rankOf(entries, cnt)}. <@${uid}> — **${cnt}**`;
+    });
+    if (start === 0 && lines.length === 0) lines.push(t('leaderboard.empty'));
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${theme.emoji} ${t('leaderboard.title', { title })}`)
+      .setDescription(lines.join('\n'))
+      .setColor(theme.color)
+      .setFooter({ text: `${t('leaderboard.page', { page: page + 1, pages })} • ${t('common.collectors', { count: entries.length })}` })
+      .setTimestamp();
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`${idPrefix}:${page - 1}`).setLabel(t('leaderboard.previous')).setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+      new ButtonBuilder().setCustomId(`${idPrefix}:${page + 1}`).setLabel(t('leaderboard.next')).setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1)
+    );
+    return { embeds: [embed], components: [row] };
+  }
+
+  /* ---------------- SEASONS ---------------- */
+  // state.seasons = { current, archive }
+  // current = { name, startsAt, endsAt, channelId, createdBy, createdAt } — endsAt is null for
+  // seasons started by /admin reset, which run until the next one.
+  // archive = [{ name, startsAt, endsAt, endedAt, standings: [[userId, total], ...] }]
+  // Automatic drops only run while a season is active. Guilds that never used seasons keep
+  // dropping all the time.
+  const seasonTimers = new Map();
+  const pendingSeasonResets = new Map();
+  // setTimeout cannot wait longer than this; longer waits are re-armed in steps.
+  const MAX_TIMER_MS = 2 ** 31 - 1;
+
+  function seasonStatus(state, now = Date.now()) {
+    const { current, archive } = state.seasons;
+    if (!current) return archive.length ? 'over' : 'none';
+    if (now < current.startsAt) return 'upcoming';
+    if (current.endsAt && now >= current.endsAt) return 'over';
+    return 'active';
+  }
+
+  const seasonAllowsDrops = state => ['none', 'active'].includes(seasonStatus(state));
+
+  // "2025-12-01" or "2025-12-01 18:00", in UTC; null if unreadable.
+  function parseSeasonDate(text) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec(String(text || '').trim());
+    if (!m) return null;
+    const [y, mo, d, h = 0, mi = 0] = m.slice(1).map(v => (v === undefined ? undefined : Number(v)));
+    const ts = Date.UTC(y, mo - 1, d, h, mi);
+    const check = new Date(ts);
+    if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d || h > 23 || mi > 59) return null;
+    return ts;
+  }
+
+  function findArchivedSeason(state, name) {
+    const wanted = name.trim().toLowerCase();
+    const { archive } = state.seasons;
+    for (let i = archive.length - 1; i >= 0; i--) {
+      if (archive[i].name.toLowerCase() === wanted) return i;
+    }
+    return -1;
+  }
+
+  function seasonNameTaken(state, name) {
+    const current = state.seasons.current;
+    return findArchivedSeason(state, name) !== -1 || !!(current && current.name.toLowerCase() === name.trim().toLowerCase());
+  }
+
+  function describeSeasons(state, t) {
+    const { current, archive } = state.seasons;
+    const ts = (ms, style) => `<t:${Math.floor(ms / 1000)}:${style}>`;
+    const day = ms => new Date(ms).toISOString().slice(0, 10);
+    const lines = [];
+    if (current) {
+      const upcoming = seasonStatus(state) === 'upcoming';
+      const start = upcoming ? t('season.starts', { when: ts(current.startsAt, 'F') }) : t('season.started', { when: ts(current.startsAt, 'D') });
+      const end = current.endsAt ? t('season.ends', { when: ts(current.endsAt, 'F') }) : t('season.openEnded');
+      lines.push(t('season.current', { name: current.name, start, end }));
+    } else if (archive.length) {
+      lines.push(t('season.noneEnded'));
+    } else {
+      lines.push(t('season.noneUnused'));
+    }
+    if (archive.length) {
+      lines.push(t('season.past'));
+      for (const season of archive.slice(-10).reverse()) {
+        const winner = season.standings[0];
+        const result = winner ? t('season.wonBy', { user: `<@${winner[0]}>`, count: winner[1] }) : t('season.noCollectors');
+        lines.push(`• ${season.name} (${day(season.startsAt)} – ${day(season.endedAt)}) — ${result}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  function armSeasonTimer(guildId) {
+    clearTimeout(seasonTimers.get(guildId));
+    seasonTimers.delete(guildId);
+    const season = getGuildState(guildId).seasons.current;
+    if (!season) return;
+    const starting = Date.now() < season.startsAt;
+    const target = starting ? season.startsAt : season.endsAt;
+    if (!target) return;
+    seasonTimers.set(guildId, setTimeout(() => {
+      seasonTimers.delete(guildId);
+      const state = getGuildState(guildId);
+      if (state.seasons.current !== season) return;
+      if (Date.now() < target) return armSeasonTimer(guildId);
+      if (!starting) {
+        endSeason(guildId).catch(e => log.seasons.error('Season end failed', { guild: guildId, err: e }));
+        return;
+      }
+      armSeasonTimer(guildId);
+      announceSeason(guildId, season, `🎄 ${guildT(guildId)('season.announceStart', { name: season.name, until: `<t:${Math.floor(season.endsAt / 1000)}:F>` })}`);
+      if (state.settings.autoDropEnabled && !dropTimers.has(guildId)) scheduleNextDrop(guildId);
+    }, Math.min(MAX_TIMER_MS, Math.max(0, target - Date.now()))));
+  }
+
+  // Seasons that ended while the bot was down are closed straight away.
+  function restoreSeasonTimers() {
+    for (const guildId of Object.keys(storage.guilds)) armSeasonTimer(guildId);
+  }
+
+  // The season's channel, else the first drop channel, else the audit log.
+  async function announceSeason(guildId, season, content, embed = null) {
+    const settings = getGuildState(guildId).settings;
+    const channelId = season.channelId || (settings.dropChannels[0] && settings.dropChannels[0].channelId);
+    const ch = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+    if (ch && ch.isTextBased() && ch.guildId === guildId && !missingDropPermissions(ch).length) {
+      const sent = await ch.send({ content, embeds: embed ? [embed] : [], allowedMentions: { parse: [] } }).catch(e => {
+        log.seasons.warn('Failed to post season announcement', { guild: guildId, channel: channelId, err: e });
+        return null;
+      });
+      if (sent) return;
+    }
+    await postAudit(guildId, { title: `Season: ${season.name}`, description: [content, embed && embed.data.description].filter(Boolean).join('\n\n') });
+  }
+
+  function seasonPodiumEmbed(archived, t) {
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = archived.standings.slice(0, 3).map(([uid, cnt], i) => `${medals[i]} <@${uid}> — **${cnt}**`);
+    return new EmbedBuilder()
+      .setTitle(`🏆 ${t('season.podium', { name: archived.name })}`)
+      .setDescription(lines.length ? lines.join('\n') : t('season.podiumEmpty'))
+      .setColor(0xF1C40F)
+      .setFooter({ text: `${t('common.collectors', { count: archived.standings.length })} • /leaderboard season:${archived.name}` })
+      .setTimestamp(archived.endedAt);
+  }
+
+  // Close the current season: archive its standings and post the podium. A season that had
+  // not started yet is simply dropped. Returns the archive entry, or null.
+  async function endSeason(guildId, actorId = null) {
+    const state = getGuildState(guildId);
+    const season = state.seasons.current;
+    if (!season) return null;
+    clearTimeout(seasonTimers.get(guildId));
+    seasonTimers.delete(guildId);
+    state.seasons.current = null;
+    const endedAt = Math.min(Date.now(), season.endsAt || Infinity);
+    if (endedAt <= season.startsAt) {
+      saveStorage();
+      postAudit(guildId, { title: 'Season cancelled', actorId, fields: [{ name: 'Season', value: season.name }] });
+      return null;
+    }
+    const archived = {
+      name: season.name,
+      startsAt: season.startsAt,
+      endsAt: season.endsAt,
+      endedAt,
+      standings: claimStandings(state, season.startsAt, endedAt)
+    };
+    state.seasons.archive.push(archived);
+    saveStorage();
+    cancelScheduledDrop(guildId);
+
+    const t = guildT(guildId);
+    await announceSeason(guildId, season, `🏁 ${t('season.announceEnd', { name: season.name })}`, seasonPodiumEmbed(archived, t));
+    const winner = archived.standings[0];
+    postAudit(guildId, {
+      title: 'Season ended',
+      actorId,
+      fields: [
+        { name: 'Season', value: season.name, inline: true },
+        { name: 'Collectors', value: `${archived.standings.length}`, inline: true },
+        { name: 'Winner', value: winner ? `<@${winner[0]}> (${winner[1]})` : null, inline: true }
+      ]
+    });
+    return archived;
+  }
+
+  // /admin reset: archive the current season, zero every count and start an open-ended
+  // season, once the owner confirms.
+  async function startSeasonReset(interaction, state, t) {
+    const seasonName = (interaction.options.getString('name') || '').trim() || t('season.defaultName', { n: state.seasons.archive.length + 1 });
+    if (seasonNameTaken(state, seasonName)) {
+      return interaction.reply({ content: `${t('season.nameTaken', { name: seasonName })} ${t('season.pickAnother')}`, ephemeral: true });
+    }
+    const id = `reset_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+    pendingSeasonResets.set(id, { guildId: interaction.guildId, userId: interaction.user.id, name: seasonName, done: false });
+    setTimeout(() => pendingSeasonResets.delete(id), SEASON_CONFIRM_SECONDS * 1000);
+    const current = state.seasons.current;
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`season:${id}:confirm`).setLabel(t('season.startNew')).setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`season:${id}:cancel`).setLabel(t('common.cancel')).setStyle(ButtonStyle.Secondary)
+    );
+    const vars = { current: current && current.name, name: seasonName, seconds: SEASON_CONFIRM_SECONDS };
+    return interaction.reply({
+      content: t(current ? 'season.resetConfirmEnding' : 'season.resetConfirm', vars),
+      components: [row],
+      ephemeral: true
+    });
+  }
+
+  async function handleSeasonResetButton(interaction) {
+    const [, id, action] = interaction.customId.split(':');
+    const reset = pendingSeasonResets.get(id);
+    const t = tFor(interaction);
+    if (!reset || reset.done) return interaction.update({ content: t('season.requestExpired'), components: [] });
+    if (interaction.user.id !== reset.userId) return interaction.reply({ content: t('season.notYours'), ephemeral: true });
+    reset.done = true;
+    pendingSeasonResets.delete(id);
+    if (action !== 'confirm') return interaction.update({ content: t('season.resetCancelled'), components: [] });
+
+    const state = getGuildState(reset.guildId);
+    if (seasonNameTaken(state, reset.name)) {
+      return interaction.update({ content: `${t('season.nameTaken', { name: reset.name })} ${t('season.nothingReset')}`, components: [] });
+    }
+    await interaction.deferUpdate();
+    const previous = state.seasons.current;
+    const before = Object.values(state.userCounts);
+    await endSeason(reset.guildId, reset.userId);
+    state.userCounts = {};
+    delete state.settings.seasonStartedAt;
+    state.seasons.current = {
+      name: reset.name,
+      startsAt: Date.now(),
+      endsAt: null,
+      channelId: previous ? previous.channelId : null,
+      createdBy: reset.userId,
+      createdAt: Date.now()
+    };
+    saveStorage();
+    if (state.settings.autoDropEnabled) scheduleNextDrop(reset.guildId);
+    postAudit(reset.guildId, {
+      title: '/admin reset',
+      actorId: reset.userId,
+      changes: [
+        { name: 'Season', from: previous && previous.name, to: reset.name },
+        { name: 'Collectors', from: before.length, to: 0 },
+        { name: 'Total gift boxes', from: before.reduce((sum, n) => sum + n, 0), to: 0 }
+      ]
+    });
+    await interaction.editReply({ content: t('season.resetDone', { name: reset.name }), components: [] });
+    return interaction.followUp({ content: `🎄 ${guildT(reset.guildId)('season.resetAnnounce', { name: reset.name })}`, ephemeral: false });
+  }
+
+  /* ---------------- SNOWBALL FIGHTS ---------------- */
+  // A throw opens a channel vote. When it closes a "hit" majority times the target out and
+  // makes them immune for IMMUNITY_MINUTES; otherwise the throw may backfire on the thrower.
+  // Votes, cooldowns and immunity live in storage; restoreSnowballVotes() re-arms the
+  // closing timers after a restart.
+  const snowballTimers = new Map();
+  const snowballButtonId = (voteId, choice) => `snowball:${voteId}:${choice}`;
+  const minutesLeft = until => Math.max(1, Math.ceil((until - Date.now()) / 60000));
+
+  function pruneSnowballState(sb) {
+    const now = Date.now();
+    for (const map of [sb.cooldowns, sb.immunity]) {
+      for (const [uid, until] of Object.entries(map)) {
+        if (until <= now) delete map[uid];
+      }
+    }
+  }
+
+  function tallySnowballVotes(vote) {
+    const tally = { hit: 0, miss: 0 };
+    for (const choice of Object.values(vote.votes)) tally[choice]++;
+    return tally;
+  }
+
+  // The vote is a channel message, so it is written in the guild's language.
+  function snowballVoteEmbed(vote, t, result) {
+    const tally = tallySnowballVotes(vote);
+    const when = `<t:${Math.ceil(vote.endsAt / 1000)}:R>`;
+    return new EmbedBuilder()
+      .setTitle(`❄️ ${t('snowball.title')}`)
+      .setDescription(result || t('snowball.thrown', { thrower: `<@${vote.throwerId}>`, target: `<@${vote.targetId}>`, when }))
+      .setColor(0x85C1E9)
+      .setFooter({ text: t('snowball.tally', { hit: tally.hit, miss: tally.miss }) })
+      .setTimestamp();
+  }
+
+  function snowballVoteRow(voteId, t) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(snowballButtonId(voteId, 'hit')).setLabel(t('snowball.hit')).setEmoji('❄️').setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(snowballButtonId(voteId, 'miss')).setLabel(t('snowball.dodge')).setEmoji('💨').setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  // Returns null on success, otherwise a short reason (in t's language) the timeout could not be applied.
+  async function timeoutMember(guild, userId, reason, seconds = TIMEOUT_DURATION_SECONDS, t = EN) {
+    const me = guild.members.me;
+    if (!me || !me.permissions.has(PermissionsBitField.Flags.ModerateMembers)) return t('timeout.noPermission');
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return t('timeout.noMember');
+    if (me.roles.highest.position <= member.roles.highest.position) return t('timeout.hierarchy');
+    try {
+      await member.timeout(seconds * 1000, reason);
+      return null;
+    } catch (e) {
+      log.commands.warn('Timeout failed', { guild: guild.id, user: userId, err: e });
+      return t('timeout.missingPermissions');
+    }
+  }
+
+  async function startSnowballVote(interaction, t) {
+    const target = interaction.options.getUser('target', true);
+    const guild = interaction.guild;
+    if (!guild) return interaction.reply({ content: t('common.guildOnly'), ephemeral: true });
+    const thrower = interaction.user;
+    if (target.id === thrower.id) return interaction.reply({ content: t('snowball.self'), ephemeral: true });
+    if (target.bot) return interaction.reply({ content: t('snowball.bot'), ephemeral: true });
+
+    const sb = getGuildState(guild.id).snowball;
+    pruneSnowballState(sb);
+    if (sb.cooldowns[thrower.id]) {
+      return interaction.reply({ content: t('snowball.cooldown', { minutes: t('common.minutes', { count: minutesLeft(sb.cooldowns[thrower.id]) }) }), ephemeral: true });
+    }
+    if (sb.immunity[target.id]) {
+      return interaction.reply({ content: t('snowball.immune', { user: target.tag, minutes: t('common.minutes', { count: minutesLeft(sb.immunity[target.id]) }) }), ephemeral: true });
+    }
+    if (Object.values(sb.votes).some(v => v.targetId === target.id)) {
+      return interaction.reply({ content: t('snowball.busy', { user: target.tag }), ephemeral: true });
+    }
+    const me = guild.members.me;
+    if (!me || !me.permissions.has(PermissionsBitField.Flags.ModerateMembers)) {
+      return interaction.reply({ content: `${t('timeout.noPermission')}.`, ephemeral: true });
+    }
+
+    const createdAt = Date.now();
+    const voteId = `vote_${createdAt}_${Math.floor(Math.random() * 10000)}`;
+    const vote = {
+      throwerId: thrower.id,
+      targetId: target.id,
+      channelId: interaction.channelId,
+      createdAt,
+      endsAt: createdAt + VOTE_DURATION_SECONDS * 1000,
+      votes: {}
+    };
+    sb.votes[voteId] = vote;
+    sb.cooldowns[thrower.id] = createdAt + COOLDOWN_DURATION_MINUTES * 60 * 1000;
+
+    try {
+      const gt = guildT(guild.id);
+      await interaction.reply({
+        embeds: [snowballVoteEmbed(vote, gt)],
+        components: [snowballVoteRow(voteId, gt)],
+        allowedMentions: { users: [] }
+      });
+      const msg = await interaction.fetchReply();
+      vote.messageId = msg.id;
+    } catch (e) {
+      delete sb.votes[voteId];
+      delete sb.cooldowns[thrower.id];
+      throw e;
+    }
+    saveStorage();
+    armSnowballTimer(guild.id, voteId);
+  }
+
+  async function handleSnowballVote(interaction) {
+    const [, voteId, choice] = interaction.customId.split(':');
+    if (!interaction.guildId || !['hit', 'miss'].includes(choice)) return;
+    const vote = getGuildState(interaction.guildId).snowball.votes[voteId];
+    const t = tFor(interaction);
+    if (!vote || Date.now() > vote.endsAt) return interaction.reply({ content: t('snowball.over'), ephemeral: true });
+    if (interaction.user.id === vote.throwerId || interaction.user.id === vote.targetId) {
+      return interaction.reply({ content: t('snowball.ownVote'), ephemeral: true });
+    }
+    vote.votes[interaction.user.id] = choice;
+    saveStorage();
+    return interaction.update({ embeds: [snowballVoteEmbed(vote, guildT(interaction.guildId))] });
+  }
+
+  async function resolveSnowballVote(guildId, voteId) {
+    clearTimeout(snowballTimers.get(voteId));
+    snowballTimers.delete(voteId);
+    const sb = getGuildState(guildId).snowball;
+    const vote = sb.votes[voteId];
+    if (!vote) return;
+    delete sb.votes[voteId];
+
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) {
+      saveStorage();
+      return;
+    }
+    const now = Date.now();
+    const t = guildT(guildId);
+    const tally = tallySnowballVotes(vote);
+    const vars = { target: `<@${vote.targetId}>`, thrower: `<@${vote.throwerId}>`, count: TIMEOUT_DURATION_SECONDS };
+    let result;
+    if (tally.hit > tally.miss) {
+      sb.immunity[vote.targetId] = now + IMMUNITY_MINUTES * 60 * 1000;
+      const failed = await timeoutMember(guild, vote.targetId, `Hit by snowball from ${vote.throwerId}`, TIMEOUT_DURATION_SECONDS, t);
+      result = `❄️ ${failed ? t('snowball.hitFailed', { ...vars, reason: failed }) : t('snowball.hitDone', vars)}`;
+    } else if (Math.random() < BACKFIRE_CHANCE) {
+      const backfireUntil = now + BACKFIRE_COMMAND_COOLDOWN_MINUTES * 60 * 1000;
+      sb.cooldowns[vote.throwerId] = Math.max(sb.cooldowns[vote.throwerId] || 0, backfireUntil);
+      const failed = await timeoutMember(guild, vote.throwerId, 'Snowball backfired', TIMEOUT_DURATION_SECONDS, t);
+      result = `💥 ${failed ? t('snowball.backfireFailed', { ...vars, reason: failed }) : t('snowball.backfireDone', vars)}`;
+    } else {
+      result = `💨 ${t('snowball.dodged', vars)}`;
+    }
+    saveStorage();
+
+    try {
+      const ch = await guild.channels.fetch(vote.channelId).catch(() => null);
+      if (!ch || !ch.isTextBased()) return;
+      const msg = vote.messageId ? await ch.messages.fetch(vote.messageId).catch(() => null) : null;
+      if (msg) {
+        await msg.edit({ embeds: [snowballVoteEmbed(vote, t, result)], components: disableButtons(msg.components) }).catch(() => null);
+      } else {
+        await ch.send({ content: result, allowedMentions: { users: [] } }).catch(() => null);
+      }
+    } catch (e) {
+      log.commands.warn('Failed to post snowball result', { guild: guildId, err: e });
+    }
+  }
+
+  function armSnowballTimer(guildId, voteId) {
+    clearTimeout(snowballTimers.get(voteId));
+    const vote = getGuildState(guildId).snowball.votes[voteId];
+    if (!vote) return;
+    snowballTimers.set(voteId, setTimeout(() => {
+      resolveSnowballVote(guildId, voteId).catch(e => log.commands.error('Snowball vote resolve failed', { guild: guildId, vote: voteId, err: e }));
+    }, Math.max(0, vote.endsAt - Date.now())));
+  }
+
+  // Votes that closed while the bot was down are resolved straight away.
+  function restoreSnowballVotes() {
+    for (const guildId of Object.keys(storage.guilds)) {
+      const sb = getGuildState(guildId).snowball;
+      pruneSnowballState(sb);
+      for (const voteId of Object.keys(sb.votes)) armSnowballTimer(guildId, voteId);
+    }
+    saveStorage();
+  }
+
+  /* ---------------- BOX CLAIMS ---------------- */
+  // Deciding a claim is serialized per drop in src/claims.js; everything below runs only
+  // once the claim is final.
+  const dropMessageEdits = new KeyedLock();
+
+  const handleCollect = createClaimHandler({
+    getState: getGuildState,
+    hooks: {
+      ineligible: claimIneligibility,
+      extraClaims: (state, userId) => shopItemCount(state, userId, 'extra_claim'),
+      consumeExtraClaim: (state, userId) => consumeShopItem(state, userId, 'extra_claim'),
+      pickEffect: state => pickTrollEffect(state.settings),
+      persist: persistClaim
+    },
+    onClaimed: handleBoxClaimed,
+    onExpired: (guildId, dropId) => retireDrop(guildId, dropId, 'expired'),
+    translatorFor: tFor
+  });
+
+  async function handleBoxClaimed(interaction, { drop, isReal, tier, amount, effectId, entry, usesExtraClaim }, state) {
+    const member = interaction.member;
+    const claimerMention = `<@${member.id}>`;
+    claimsTotal.inc({ guild: interaction.guildId, kind: isReal ? 'real' : 'troll' });
+    if (usesExtraClaim) saveStorage();
+    if (entry.delayMs < FAST_CLAIM_MS) checkFastClaims(interaction.guildId, member.id);
+
+    if (isReal) {
+      const theme = getTheme(state.settings);
+      const replies = themeReplies(theme, tFor(interaction));
+      const vars = { mention: claimerMention, tier: tier.name, amount, emoji: theme.emoji, count: state.userCounts[member.id] };
+      // The theme's default tier has a name too, so only tiers the guild set up get claimTier.
+      const tiered = tier.name && !getDropConfig(state.settings).themeTiers;
+      await interaction.reply({
+        content: fillTemplate(tiered ? replies.claimTier : replies.claim, vars),
+        allowedMentions: { users: [member.id] }
+      });
+    } else {
+      const guild = interaction.guild;
+      const t = tFor(interaction);
+      if (!guild) return interaction.reply({ content: t('claims.no_guild'), ephemeral: true });
+      const text = await applyTrollEffect(effectId, { guild, member, state, mention: claimerMention, t });
+      await interaction.reply({ content: text, allowedMentions: { users: [member.id] } });
+    }
+
+    // Disable every collected button on the drop message. Edits are serialized per message
+    // so two claims landing together cannot overwrite each other's disabled button.
+    const messageId = drop.messageId || interaction.message.id;
+    const channelId = drop.channelId || interaction.channel.id;
+    await dropMessageEdits.run(messageId, async () => {
+      const ch = await interaction.guild.channels.fetch(channelId).catch(() => null);
+      if (!ch || !ch.isTextBased()) return;
+      const msg = await ch.messages.fetch(messageId).catch(() => null);
+      if (!msg) return;
+      const collected = new Set(Object.keys(drop.collectedBy).map(boxId => buttonIdFor(entry.dropId, boxId.slice('box_'.length))));
+      await msg.edit({ components: disableButtons(msg.components, id => collected.has(id)) }).catch(() => null);
+    }).catch(e => log.drops.warn('Failed to disable claimed buttons', { guild: interaction.guildId, drop: entry.dropId, err: e }));
+  }
+
+  /* ---------------- ADMIN ACTIONS ---------------- */
+  // Shared by the slash commands and the HTTP admin API (src/http.js), so both save, plan
+  // and audit the same way. `title` heads the audit entry; actorId is null for the API.
+
+  function setAutoDrops(guildId, enabled, { title, actorId = null }) {
+    const settings = getGuildState(guildId).settings;
+    const before = settings.autoDropEnabled;
+    settings.autoDropEnabled = enabled;
+    saveStorage();
+    if (enabled) scheduleNextDrop(guildId);
+    else cancelScheduledDrop(guildId);
+    postAudit(guildId, {
+      title,
+      actorId,
+      changes: [{ name: 'Automatic drops', from: before ? 'enabled' : 'disabled', to: enabled ? 'enabled' : 'disabled' }]
+    });
+    return enabled;
+  }
+
+  // Drops in channel right away. Resolves to the drop id, or null if sending failed.
+  async function dropNow(guild, channel, { title, actorId = null }) {
+    const dropId = await sendGiftDrop(guild, channel);
+    await postAudit(guild.id, {
+      title,
+      actorId,
+      fields: [{ name: 'Channel', value: `<#${channel.id}>`, inline: true }, { name: 'Drop', value: dropId || 'failed to send', inline: true }]
+    });
+    return dropId;
+  }
+
+  // Sets a member's gift box count; counts never go below 0. Returns the new count.
+  function setUserCount(guildId, userId, count, { title, actorId = null }) {
+    const state = getGuildState(guildId);
+    const before = state.userCounts[userId] || 0;
+    const next = Math.max(0, Math.floor(count));
+    state.userCounts[userId] = next;
+    saveStorage();
+    postAudit(guildId, { title, actorId, changes: [{ name: `Gift boxes of <@${userId}> (${userId})`, from: before, to: next }] });
+    return next;
+  }
+
+  /* ---------------- INTERACTION HANDLING ---------------- */
+  // What command modules get as ctx.bot: the parts of the bot they build on. Anything that
+  // keeps per-bot state (pending votes, gifts, trades, resets, timers) stays in here.
+  const services = {
+    commands,
+    themes,
+    saveStorage,
+    postAudit,
+    getGuildState,
+    tFor,
+    levelOf,
+    setAutoDrops,
+    dropNow,
+    sendDropPreview,
+    handlePreviewClick,
+    startSnowballVote,
+    handleSnowballVote,
+    startGift,
+    handleGiftButton,
+    proposeTrade,
+    handleTradeButton,
+    describeSeasons,
+    parseSeasonDate,
+    seasonNameTaken,
+    seasonStatus,
+    findArchivedSeason,
+    armSeasonTimer,
+    endSeason,
+    startSeasonReset,
+    handleSeasonResetButton,
+    scheduleNextDrop,
+    cancelScheduledDrop,
+    describeNextDrop,
+    getSchedule,
+    describeSchedule,
+    missingDropPermissions,
+    describeDropChannels,
+    slugify,
+    findShopItem,
+    describeShopItem,
+    shopEmbed,
+    inventoryEmbed,
+    shopItemChoices,
+    grantShopItem,
+    getEligibility,
+    describeEligibility,
+    transferCap,
+    getDropConfig,
+    describeDropConfig,
+    getTheme,
+    themeChoices,
+    describeTheme,
+    getTrollEffectConfig,
+    trollEffectLabel,
+    describeLanguage,
+    leaderboardEntries,
+    rankOf,
+    leaderboardPage,
+    seasonLeaderboardPage,
+    userClaimStats,
+    statsEmbed
+  };
+
+  client.on('interactionCreate', async (interaction) => {
+    try {
+      const state = interaction.guildId ? getGuildState(interaction.guildId) : null;
+      const ctx = { bot: services, state, t: tFor(interaction) };
+
+      if (interaction.isButton()) {
+        const handler = router.component(interaction.customId);
+        return handler ? handler(interaction, ctx) : undefined;
+      }
+
+      if (interaction.isAutocomplete()) {
+        const command = router.command(interaction.commandName);
+        if (!command || !command.autocomplete) return interaction.respond([]);
+        return command.autocomplete(interaction, ctx);
+      }
+
+      if (!interaction.isChatInputCommand()) return;
+      const { t } = ctx;
+      if (!state) return interaction.reply({ content: t('common.guildOnly'), ephemeral: true });
+      const command = router.command(interaction.commandName);
+      const handler = router.handlerFor(interaction);
+      if (!command || !handler) return;
+      const needed = requiredLevel(command.data, interactionPath(interaction));
+      if (!atLeast(levelOf(interaction), needed)) {
+        return interaction.reply({ content: t('permissions.denied', { level: t(`permissions.levels.${needed}`) }), ephemeral: true });
+      }
+      return await handler(interaction, ctx);
+    } catch (e) {
+      interactionErrors.inc();
+      log.commands.error('Interaction handler failed', { guild: interaction.guildId, user: interaction.user && interaction.user.id, command: interaction.commandName || interaction.customId, err: e });
+      try { if (!interaction.replied) await interaction.reply({ content: tFor(interaction)('common.internalError'), ephemeral: true }); } catch {}
+    }
+  });
+
+  /* ---------------- DROP CHANNELS ---------------- */
+  // settings.dropChannels = [{ channelId, weight }]. Automatic drops pick one by weight among
+  // the channels the bot can actually post in; the others are reported to the audit channel
+  // once, and again only after they have worked in between.
+  const DROP_CHANNEL_PERMISSIONS = [
+    ['ViewChannel', 'View Channel'],
+    ['SendMessages', 'Send Messages'],
+    ['EmbedLinks', 'Embed Links']
+  ];
+  const reportedDropChannels = new Set();
+
+  function missingDropPermissions(channel) {
+    const me = channel.guild && channel.guild.members.me;
+    const perms = me ? channel.permissionsFor(me) : null;
+    if (!perms) return DROP_CHANNEL_PERMISSIONS.map(([, label]) => label);
+    return DROP_CHANNEL_PERMISSIONS.filter(([flag]) => !perms.has(PermissionsBitField.Flags[flag])).map(([, label]) => label);
+  }
+
+  // Resolve a configured drop channel: { ch, problem }, where problem says why drops cannot
+  // go there right now and is null when they can.
+  async function dropChannelProblem(guild, channelId, t = EN) {
+    const ch = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
+    if (!ch) return { problem: t('dropChannel.problem.notFound') };
+    if (!ch.isTextBased()) return { ch, problem: t('dropChannel.problem.notText') };
+    const missing = missingDropPermissions(ch);
+    if (missing.length) return { ch, problem: t('dropChannel.problem.missing', { permissions: missing.join(', ') }) };
+    return { ch, problem: null };
+  }
+
+  async function pickDropChannel(guild, dropChannels) {
+    const usable = [];
+    for (const entry of dropChannels) {
+      const { ch, problem } = await dropChannelProblem(guild, entry.channelId);
+      const key = `${guild.id}:${entry.channelId}`;
+      if (!problem) {
+        reportedDropChannels.delete(key);
+        usable.push({ ch, weight: entry.weight });
+        continue;
+      }
+      log.drops.warn(`Skipping drop channel: ${problem}`, { guild: guild.id, channel: entry.channelId });
+      if (reportedDropChannels.has(key)) continue;
+      reportedDropChannels.add(key);
+      postAudit(guild.id, {
+        title: 'Drop channel skipped',
+        kind: 'warn',
+        fields: [{ name: 'Channel', value: `<#${entry.channelId}>` }, { name: 'Reason', value: problem }]
+      });
+    }
+    if (!usable.length) {
+      log.drops.warn('No usable drop channel; skipping this drop', { guild: guild.id });
+      return null;
+    }
+    return pickWeighted(usable).ch;
+  }
+
+  async function describeDropChannels(guild, t) {
+    const channels = getGuildState(guild.id).settings.dropChannels;
+    if (!channels.length) return t('dropChannel.empty');
+    const total = channels.reduce((sum, c) => sum + c.weight, 0);
+    const lines = [];
+    for (const c of channels) {
+      const { problem } = await dropChannelProblem(guild, c.channelId, t);
+      const share = Math.round((c.weight / total) * 100);
+      lines.push(`<#${c.channelId}> — ${t('dropChannel.weight', { weight: c.weight, share })}${problem ? ` ⚠️ ${problem}` : ''}`);
+    }
+    return lines.join('\n');
+  }
+
+  /* ---------------- SCHEDULER ---------------- */
+  client.once('ready', async () => {
+    // Storage was loaded before login (index.js); reloading here would drop whatever changed
+    // since, e.g. writes through the HTTP admin API.
+    log.gateway.info(`Logged in as ${client.user.tag}`);
+    await adoptLegacyStorage();
+    await seedEnvDropChannel();
+    await restoreDropTimers();
+    restoreSnowballVotes();
+    restoreTrollReverts();
+    restoreSeasonTimers();
+    await registerCommands(commandPayload());
+
+    for (const [gid] of client.guilds.cache) {
+      const settings = getGuildState(gid).settings;
+      if (settings.autoDropEnabled && settings.dropChannels.length) {
+        log.scheduler.info('Auto drops enabled', { guild: gid, channels: settings.dropChannels.map(c => c.channelId).join(',') });
+        scheduleNextDrop(gid);
+      } else {
+        log.scheduler.info('Auto drops disabled; use /admin channel add or /admin toggle to enable', { guild: gid });
+      }
+    }
+  });
+
+  // settings.schedule: see src/schedule.js. Missing fields fall back to the old fixed
+  // behaviour (a random 5-10 minutes, any time of day).
+  function getSchedule(settings) {
+    return normalizeSchedule(settings.schedule);
+  }
+
+  function describeSchedule(sched, t = EN) {
+    const quiet = sched.quietStart != null && sched.quietStart !== sched.quietEnd
+      ? `${formatClock(sched.quietStart)}–${formatClock(sched.quietEnd)}`
+      : t('common.none');
+    const activity = sched.activityMessages ? t('schedule.describe.activityOn', { count: sched.activityMessages }) : t('common.off');
+    return [
+      t('schedule.describe.interval', { min: sched.minMinutes, max: sched.maxMinutes }),
+      t('schedule.describe.quiet', { quiet }),
+      t('schedule.describe.days', { days: formatDays(sched.days) }),
+      t('schedule.describe.timezone', { zone: sched.timezone }),
+      t('schedule.describe.activity', { activity })
+    ].join('\n');
+  }
+
+  // One pending auto-drop per guild: { timer, at }.
+  const dropTimers = new Map();
+  // Messages seen in the drop channel since the last drop, per guild (activity mode).
+  const dropActivity = new Map();
+  // Guilds whose drop is due but still waiting for enough channel activity.
+  const awaitingActivity = new Set();
+
+  function cancelScheduledDrop(guildId) {
+    const pending = dropTimers.get(guildId);
+    if (pending) clearTimeout(pending.timer);
+    dropTimers.delete(guildId);
+    awaitingActivity.delete(guildId);
+  }
+
+  function scheduleNextDrop(guildId) {
+    cancelScheduledDrop(guildId);
+    const state = getGuildState(guildId);
+    const season = seasonStatus(state);
+    if (season === 'over') {
+      log.scheduler.info('No active season; automatic drops paused', { guild: guildId });
+      return;
+    }
+    const sched = getSchedule(state.settings);
+    const at = nextDropTime(sched, season === 'upcoming' ? state.seasons.current.startsAt : Date.now());
+    if (at === null) {
+      log.scheduler.warn('Drop schedule never allows a drop; automatic drops paused', { guild: guildId });
+      return;
+    }
+    log.scheduler.info('Next automatic drop scheduled', { guild: guildId, at: new Date(at).toISOString() });
+    const timer = setTimeout(() => {
+      dropTimers.delete(guildId);
+      const settings = getGuildState(guildId).settings;
+      if (!settings.autoDropEnabled) return;
+      if (!seasonAllowsDrops(getGuildState(guildId))) return scheduleNextDrop(guildId);
+      const current = getSchedule(settings);
+      if (!isAllowedAt(current, Date.now())) return scheduleNextDrop(guildId);
+      if (current.activityMessages && (dropActivity.get(guildId) || 0) < current.activityMessages) {
+        log.scheduler.info('Automatic drop is due; waiting for channel activity', { guild: guildId });
+        awaitingActivity.add(guildId);
+        return;
+      }
+      runAutoDrop(guildId);
+    }, Math.max(0, at - Date.now()));
+    dropTimers.set(guildId, { timer, at });
+  }
+
+  async function runAutoDrop(guildId) {
+    const settings = getGuildState(guildId).settings;
+    try {
+      const g = client.guilds.cache.get(guildId);
+      if (!g) return;
+      const ch = await pickDropChannel(g, settings.dropChannels);
+      if (!ch) return;
+      const dropId = await sendGiftDrop(g, ch);
+      if (!dropId) {
+        postAudit(guildId, {
+          title: 'Automatic drop failed',
+          kind: 'warn',
+          fields: [{ name: 'Channel', value: `<#${ch.id}>` }, { name: 'Reason', value: 'Sending the drop failed; see the bot logs.' }]
+        });
+      }
+    } catch (e) {
+      log.scheduler.error('Automatic drop failed', { guild: guildId, err: e });
+    } finally {
+      if (client.guilds.cache.has(guildId) && getGuildState(guildId).settings.autoDropEnabled) {
+        scheduleNextDrop(guildId);
+      }
+    }
+  }
+
+  // Activity mode: count messages in the drop channel and release a due drop once enough
+  // have been posted (and only while the schedule allows drops).
+  function countDropActivity(message) {
+    if (!message.guildId) return;
+    const settings = getGuildState(message.guildId).settings;
+    if (!settings.dropChannels.some(c => c.channelId === message.channelId)) return;
+    const count = (dropActivity.get(message.guildId) || 0) + 1;
+    dropActivity.set(message.guildId, count);
+    if (!awaitingActivity.has(message.guildId)) return;
+    const sched = getSchedule(settings);
+    if (count < sched.activityMessages || !isAllowedAt(sched, Date.now())) return;
+    awaitingActivity.delete(message.guildId);
+    runAutoDrop(message.guildId);
+  }
+
+  function describeNextDrop(guildId, t) {
+    const settings = getGuildState(guildId).settings;
+    if (!settings.autoDropEnabled) return t('nextDrop.disabled');
+    if (!settings.dropChannels.length) return t('nextDrop.noChannel');
+    if (seasonStatus(getGuildState(guildId)) === 'over') return t('nextDrop.noSeason');
+    const where = settings.dropChannels.length === 1 ? `<#${settings.dropChannels[0].channelId}>` : t('nextDrop.channels');
+    const sched = getSchedule(settings);
+    const needed = Math.max(0, sched.activityMessages - (dropActivity.get(guildId) || 0));
+    if (awaitingActivity.has(guildId)) {
+      return needed > 0 ? t('nextDrop.awaiting', { count: needed, where }) : t('nextDrop.awaitingQuiet');
+    }
+    const pending = dropTimers.get(guildId);
+    if (!pending) return t('nextDrop.none');
+    const when = `<t:${Math.floor(pending.at / 1000)}:R> (<t:${Math.floor(pending.at / 1000)}:t>)`;
+    if (!sched.activityMessages || needed === 0) return t('nextDrop.due', { when, where });
+    return t('nextDrop.dueWithActivity', { when, where, count: needed });
+  }
+
+  client.on('guildDelete', (guild) => cancelScheduledDrop(guild.id));
+
+  /* ---------------- MESSAGES ---------------- */
+  client.on('messageCreate', async (message) => {
+    if (message.author.bot) return;
+    countDropActivity(message);
+
+    const botId = client.user.id;
+    const mentioned = message.mentions.has(botId);
+
+    if (mentioned) {
+      const settings = message.guildId ? getGuildState(message.guildId).settings : {};
+      const responses = themeReplies(getTheme(settings), message.guildId ? guildT(message.guildId) : EN).mention;
+      const reply = fillTemplate(responses[Math.floor(Math.random() * responses.length)], { user: message.author.username });
+      await message.reply(reply).catch(e => log.messages.warn('Failed to answer a mention', { guild: message.guildId, channel: message.channelId, err: e }));
+    }
+  });
+
+  return { commands, commandPayload, metrics, loadStorage, getGuildState, leaderboardEntries, rankOf, describeNextDrop, setAutoDrops, dropNow, setUserCount };
+}
+
+module.exports = { createBot };
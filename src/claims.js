@@ -0,0 +1,158 @@
+/**
+ * Box claims.
+ * - Every click on a drop goes through a per-drop lock (KeyedLock). Deciding who gets the
+ *   box, applying it to storage and persisting it all finish for one click before the
+ *   next click on the same drop is looked at, even when a hook awaits.
+ * - Replies and awards (onClaimed) only happen after that decision is final, so two people
+ *   can never both be told they got the same box.
+ * - Nothing here touches discord.js: the handler works on anything shaped like a button
+ *   interaction, which is what the tests drive it with.
+ * - Replies are catalog texts (claims.<status>, see src/i18n.js) in the language
+ *   translatorFor(interaction) picks; English by default.
+ */
+
+const { DEFAULT_LOCALE, translator } = require('./i18n');
+
+class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /** Run fn after every earlier fn with the same key has settled. Resolves to fn's result. */
+  run(key, fn) {
+    const prev = this.tails.get(key) || Promise.resolve();
+    const result = prev.then(() => fn());
+    const tail = result.then(() => {}, () => {});
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    return result;
+  }
+}
+
+function parseCollectId(customId) {
+  const m = /^collect:([^:]+):(\d+)$/.exec(customId || '');
+  if (!m) return null;
+  return { dropId: m[1], boxIndex: Number(m[2]), boxId: `box_${m[2]}` };
+}
+
+// Ledger record for state.claims (see the CLAIM LEDGER section in src/bot.js).
+function newLedgerEntry(guildId, dropId, drop, boxId, userId, { tier, amount, effectId, at = Date.now() }) {
+  return {
+    id: `${dropId}:${boxId}`,
+    guildId,
+    dropId,
+    boxId,
+    tier: tier ? tier.name : null,
+    real: !!tier,
+    effect: effectId || null,
+    userId,
+    amount,
+    at,
+    delayMs: at - drop.createdAt
+  };
+}
+
+/**
+ * Decide and apply one claim. Must run under the drop's lock.
+ * hooks: {
+ *   ineligible(state, member, t)    -> reason string (in t's language) or null
+ *   extraClaims(state, userId)      -> number of extra-claim charges the user holds
+ *   consumeExtraClaim(state, userId)
+ *   pickEffect(state)               -> troll effect id
+ *   persist(claim)                  -> true, or false if storage says the box is taken (may be async);
+ *                                      throws if the claim could not be saved
+ * }
+ * Returns { status: 'ok', drop, isReal, tier, amount, effectId, entry, usesExtraClaim }
+ * or { status: 'missing' | 'expired' | 'taken' | 'already' | 'failed' | 'ineligible', reason? }.
+ * Whenever the status is not 'ok', the claim has not been applied to state.
+ */
+async function decideClaim(state, { guildId, dropId, boxId, member, now = Date.now(), t }, hooks) {
+  const drop = state.activeDrops[dropId];
+  if (!drop) return { status: 'missing' };
+  if (now > drop.expiresAt) return { status: 'expired' };
+  if (drop.collectedBy[boxId]) return { status: 'taken' };
+
+  const ineligible = hooks.ineligible ? hooks.ineligible(state, member, t) : null;
+  if (ineligible) return { status: 'ineligible', reason: ineligible };
+
+  // One box per user per drop. An "extra claim" shop item allows exactly one more box
+  // from the same drop and is used up by it.
+  const claimedHere = Object.values(drop.collectedBy).filter(id => id === member.id).length;
+  const usesExtraClaim = claimedHere === 1 && !!hooks.extraClaims && hooks.extraClaims(state, member.id) > 0;
+  if (claimedHere > 0 && !usesExtraClaim) return { status: 'already' };
+
+  const isReal = drop.validBoxes.includes(boxId);
+  // Drops from before rarity tiers have no boxTiers: every real box was worth 1.
+  const tier = isReal ? (drop.boxTiers && drop.boxTiers[boxId]) || { name: null, value: 1 } : null;
+  const amount = tier ? tier.value : 0;
+  const effectId = isReal || !hooks.pickEffect ? null : hooks.pickEffect(state);
+  const entry = newLedgerEntry(guildId, dropId, drop, boxId, member.id, { tier, amount, effectId, at: now });
+
+  drop.collectedBy[boxId] = member.id;
+  if (isReal) state.userCounts[member.id] = (state.userCounts[member.id] || 0) + amount;
+  state.claims.push(entry);
+  const undo = () => {
+    delete drop.collectedBy[boxId];
+    if (isReal) state.userCounts[member.id] -= amount;
+    state.claims.splice(state.claims.indexOf(entry), 1);
+  };
+  let persisted;
+  try {
+    persisted = await hooks.persist({ guildId, dropId, boxId, userId: member.id, amount, entry });
+  } catch {
+    undo();
+    return { status: 'failed' };
+  }
+  if (!persisted) {
+    undo();
+    return { status: 'taken' };
+  }
+  if (usesExtraClaim) hooks.consumeExtraClaim(state, member.id);
+  return { status: 'ok', drop, isReal, tier, amount, effectId, entry, usesExtraClaim };
+}
+
+/**
+ * Build the collect:<dropId>:<box> button handler.
+ * onClaimed(interaction, result, state) replies and hands out the award; onExpired(guildId,
+ * dropId) cleans up a drop found past its expiry. translatorFor(interaction) returns the t()
+ * replies are written with.
+ */
+function createClaimHandler({
+  getState,
+  hooks,
+  onClaimed,
+  onExpired = () => {},
+  lock = new KeyedLock(),
+  now = () => Date.now(),
+  translatorFor = () => translator(DEFAULT_LOCALE)
+}) {
+  return async function handleCollect(interaction) {
+    const parsed = parseCollectId(interaction.customId);
+    if (!parsed) return;
+    const t = translatorFor(interaction);
+    if (!interaction.guildId) return interaction.reply({ content: t('claims.no_guild'), ephemeral: true });
+    const member = interaction.member;
+    if (!member) return interaction.reply({ content: t('claims.no_member'), ephemeral: true });
+
+    const state = getState(interaction.guildId);
+    const result = await lock.run(`${interaction.guildId}:${parsed.dropId}`, () => decideClaim(state, {
+      guildId: interaction.guildId,
+      dropId: parsed.dropId,
+      boxId: parsed.boxId,
+      member,
+      now: now(),
+      t
+    }, hooks));
+
+    if (result.status === 'expired') onExpired(interaction.guildId, parsed.dropId);
+    if (result.status === 'ineligible') {
+      return interaction.reply({ content: t('claims.ineligible', { reason: result.reason }), ephemeral: true });
+    }
+    if (result.status !== 'ok') return interaction.reply({ content: t(`claims.${result.status}`), ephemeral: true });
+    return onClaimed(interaction, result, state);
+  };
+}
+
+module.exports = { KeyedLock, parseCollectId, newLedgerEntry, decideClaim, createClaimHandler };
@@ -0,0 +1,104 @@
+const { SEASON_NAME_MAX } = require('../constants');
+
+module.exports = {
+  data: {
+    name: 'admin',
+    description: 'Admin-only: automatic drops, drop channels and season resets',
+    level: 'admin',
+    options: [
+      {
+        name: 'reset',
+        description: 'Owner-only: archive the current season, reset all counts and start a new season',
+        level: 'owner',
+        type: 1,
+        options: [{ name: 'name', description: 'Name of the new season', type: 3, required: false, max_length: SEASON_NAME_MAX }]
+      },
+      { name: 'toggle', description: 'Toggle automatic drops on/off', type: 1 },
+      {
+        name: 'channel',
+        description: 'Channels that automatic drops are spread across',
+        type: 2,
+        options: [
+          {
+            name: 'add',
+            description: 'Add a drop channel, or change its weight',
+            type: 1,
+            options: [
+              { name: 'channel', description: 'Text channel', type: 7, required: true },
+              { name: 'weight', description: 'Relative share of drops (default 1)', type: 4, required: false, min_value: 1, max_value: 100 }
+            ]
+          },
+          {
+            name: 'remove',
+            description: 'Stop dropping in a channel',
+            type: 1,
+            options: [{ name: 'channel', description: 'Text channel', type: 7, required: true }]
+          },
+          { name: 'list', description: 'List drop channels, their weights and permission problems', type: 1 }
+        ]
+      }
+    ]
+  },
+
+  subcommands: {
+    reset(interaction, { bot, state, t }) {
+      return bot.startSeasonReset(interaction, state, t);
+    },
+
+    toggle(interaction, { bot, state, t }) {
+      const enable = !state.settings.autoDropEnabled;
+      // Without a channel every scheduled drop would be skipped; turning them off always works.
+      if (enable && !state.settings.dropChannels.length) return interaction.reply({ content: t('toggleAuto.noChannel'), ephemeral: true });
+      bot.setAutoDrops(interaction.guildId, enable, { title: '/admin toggle', actorId: interaction.user.id });
+      return interaction.reply({ content: t(state.settings.autoDropEnabled ? 'toggleAuto.enabled' : 'toggleAuto.disabled'), ephemeral: false });
+    },
+
+    'channel add'(interaction, { bot, state, t }) {
+      const channel = interaction.options.getChannel('channel', true);
+      if (!channel.isTextBased()) return interaction.reply({ content: t('common.textChannel'), ephemeral: true });
+      const channels = state.settings.dropChannels;
+      const existing = channels.find(c => c.channelId === channel.id);
+      const weight = interaction.options.getInteger('weight') ?? (existing ? existing.weight : 1);
+      const before = { weight: existing && existing.weight, auto: state.settings.autoDropEnabled };
+      if (existing) existing.weight = weight;
+      else channels.push({ channelId: channel.id, weight });
+      state.settings.autoDropEnabled = true;
+      bot.saveStorage();
+      bot.scheduleNextDrop(interaction.guildId);
+      bot.postAudit(interaction.guildId, {
+        title: '/admin channel add',
+        actorId: interaction.user.id,
+        changes: [
+          { name: `Weight of #${channel.name}`, from: before.weight, to: weight },
+          { name: 'Automatic drops', from: before.auto ? 'enabled' : 'disabled', to: 'enabled' }
+        ]
+      });
+      const missing = bot.missingDropPermissions(channel);
+      const warning = missing.length ? `\n⚠️ ${t('dropChannel.missing', { permissions: missing.join(', ') })}` : '';
+      return interaction.reply({ content: `${t('dropChannel.added', { channel: channel.toString(), weight })}${warning}`, ephemeral: false });
+    },
+
+    'channel remove'(interaction, { bot, state, t }) {
+      const channel = interaction.options.getChannel('channel', true);
+      const existing = state.settings.dropChannels.find(c => c.channelId === channel.id);
+      if (!existing) return interaction.reply({ content: t('dropChannel.notFound', { channel: channel.toString() }), ephemeral: true });
+      state.settings.dropChannels = state.settings.dropChannels.filter(c => c !== existing);
+      bot.saveStorage();
+      bot.postAudit(interaction.guildId, {
+        title: '/admin channel remove',
+        actorId: interaction.user.id,
+        changes: [{ name: `Weight of #${channel.name}`, from: existing.weight, to: null }]
+      });
+      const left = state.settings.dropChannels.length ? '' : ` ${t('dropChannel.noneLeft')}`;
+      return interaction.reply({ content: `${t('dropChannel.removed', { channel: channel.toString() })}${left}`, ephemeral: false });
+    },
+
+    async 'channel list'(interaction, { bot, t }) {
+      return interaction.reply({ content: await bot.describeDropChannels(interaction.guild, t), allowedMentions: { parse: [] }, ephemeral: true });
+    }
+  },
+
+  components: {
+    season: (interaction, { bot }) => bot.handleSeasonResetButton(interaction)
+  }
+};
@@ -0,0 +1,48 @@
+// add and remove: flip one member and log it.
+function setBlacklisted(interaction, { bot, state, t }, sub) {
+  const user = interaction.options.getUser('user', true);
+  const was = !!state.blacklist[user.id];
+  if (sub === 'add') {
+    state.blacklist[user.id] = { by: interaction.user.id, at: Date.now(), reason: interaction.options.getString('reason') || '' };
+  } else {
+    delete state.blacklist[user.id];
+  }
+  bot.saveStorage();
+  bot.postAudit(interaction.guildId, {
+    title: `/blacklist ${sub}`,
+    actorId: interaction.user.id,
+    changes: [{ name: `${user.tag} (${user.id})`, from: was ? 'blacklisted' : 'allowed', to: sub === 'add' ? 'blacklisted' : 'allowed' }],
+    fields: sub === 'add' && state.blacklist[user.id].reason ? [{ name: 'Reason', value: state.blacklist[user.id].reason }] : []
+  });
+  return interaction.reply({ content: t(sub === 'add' ? 'blacklist.added' : 'blacklist.removed', { user: user.tag }), ephemeral: true });
+}
+
+module.exports = {
+  data: {
+    name: 'blacklist',
+    description: 'Moderator-only: stop members from claiming gift boxes',
+    level: 'moderator',
+    options: [
+      {
+        name: 'add',
+        description: 'Blacklist a member',
+        type: 1,
+        options: [
+          { name: 'user', description: 'Member', type: 6, required: true },
+          { name: 'reason', description: 'Why (shown in the audit log)', type: 3, required: false, max_length: 200 }
+        ]
+      },
+      { name: 'remove', description: 'Remove a member from the blacklist', type: 1, options: [{ name: 'user', description: 'Member', type: 6, required: true }] },
+      { name: 'list', description: 'List blacklisted members', type: 1 }
+    ]
+  },
+
+  subcommands: {
+    add: (interaction, ctx) => setBlacklisted(interaction, ctx, 'add'),
+    remove: (interaction, ctx) => setBlacklisted(interaction, ctx, 'remove'),
+    list(interaction, { state, t }) {
+      const lines = Object.entries(state.blacklist).map(([uid, b]) => `<@${uid}> — by <@${b.by}> <t:${Math.floor(b.at / 1000)}:d>${b.reason ? `: ${b.reason}` : ''}`);
+      return interaction.reply({ content: lines.length ? lines.join('\n') : t('blacklist.empty'), allowedMentions: { users: [] }, ephemeral: true });
+    }
+  }
+};
@@ -0,0 +1,65 @@
+const { SHOP_ITEM_TYPES } = require('../constants');
+const { logger } = require('../logger');
+
+const log = logger.child('commands');
+
+module.exports = {
+  data: {
+    name: 'buy',
+    description: 'Buy a gift shop item with your gift boxes',
+    options: [{ name: 'item', description: 'Item to buy', type: 3, required: true, autocomplete: true }]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    const item = bot.findShopItem(state, interaction.options.getString('item', true));
+    if (!item) return interaction.reply({ content: t('shop.noItem'), ephemeral: true });
+    const userId = interaction.user.id;
+    const owned = (state.shop.inventories[userId] || {})[item.id] || 0;
+    if (SHOP_ITEM_TYPES[item.type].unique && owned > 0) return interaction.reply({ content: t('shop.owned', { item: item.name }), ephemeral: true });
+    if ((state.userCounts[userId] || 0) < item.price) {
+      return interaction.reply({ content: t('shop.tooExpensive', { item: item.name, price: t('common.boxes', { count: item.price }), balance: state.userCounts[userId] || 0 }), ephemeral: true });
+    }
+
+    // Charge and reserve the item before awaiting the grant, so a second click cannot spend
+    // the same boxes or get a unique item twice. Undone if the grant fails.
+    state.userCounts[userId] = (state.userCounts[userId] || 0) - item.price;
+    const inv = state.shop.inventories[userId] = state.shop.inventories[userId] || {};
+    inv[item.id] = (inv[item.id] || 0) + 1;
+    const purchase = { id: `purchase_${Date.now()}_${Math.floor(Math.random() * 10000)}`, userId, itemId: item.id, type: item.type, price: item.price, at: Date.now() };
+    state.shop.purchases.push(purchase);
+    bot.saveStorage();
+
+    let failed;
+    try {
+      failed = await bot.grantShopItem(interaction.guild, state, userId, item, t);
+    } catch (e) {
+      log.warn('Shop grant failed', { guild: interaction.guildId, user: userId, item: item.id, err: e });
+      failed = t('timeout.missingPermissions');
+    }
+    if (failed) {
+      state.userCounts[userId] = (state.userCounts[userId] || 0) + item.price;
+      if (inv[item.id] > 1) inv[item.id]--;
+      else delete inv[item.id];
+      state.shop.purchases = state.shop.purchases.filter(p => p !== purchase);
+      bot.saveStorage();
+      return interaction.reply({ content: t('shop.grantFailed', { item: item.name, reason: failed }), ephemeral: true });
+    }
+
+    bot.postAudit(interaction.guildId, {
+      title: 'Shop purchase',
+      kind: 'shop',
+      actorId: userId,
+      fields: [
+        { name: 'Item', value: `${item.name} (${item.id})`, inline: true },
+        { name: 'Price', value: `${item.price}`, inline: true },
+        { name: 'Purchase', value: purchase.id, inline: true }
+      ]
+    });
+    return interaction.reply({ content: t('shop.bought', { item: item.name, price: t('common.boxes', { count: item.price }), balance: state.userCounts[userId] }), ephemeral: false });
+  },
+
+  async autocomplete(interaction, { bot, state, t }) {
+    if (!state) return interaction.respond([]);
+    return interaction.respond(bot.shopItemChoices(state, interaction.options.getFocused(), t));
+  }
+};
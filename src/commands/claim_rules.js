@@ -0,0 +1,82 @@
+// The setters: change one rule, save, log old and new, and show the rules.
+function updateRules(sub, change) {
+  return (interaction, { bot, state, t }) => {
+    const before = bot.describeEligibility(state);
+    const rules = bot.getEligibility(state.settings);
+    const refused = change(interaction, rules, state);
+    if (refused) return interaction.reply({ content: t(refused), ephemeral: true });
+    state.settings.eligibility = rules;
+    bot.saveStorage();
+    bot.postAudit(interaction.guildId, {
+      title: `/claim_rules ${sub}`,
+      actorId: interaction.user.id,
+      fields: [{ name: 'Old', value: before }, { name: 'New', value: bot.describeEligibility(state) }]
+    });
+    return interaction.reply({ content: bot.describeEligibility(state, t), allowedMentions: { parse: [] }, ephemeral: true });
+  };
+}
+
+module.exports = {
+  data: {
+    name: 'claim_rules',
+    description: 'Admin-only: who is allowed to claim gift boxes',
+    level: 'admin',
+    options: [
+      { name: 'show', description: 'Show the current rules', type: 1 },
+      {
+        name: 'age',
+        description: 'Minimum account age and time in the server',
+        type: 1,
+        options: [
+          { name: 'account_days', description: 'Minimum account age in days (0 = off)', type: 4, required: false, min_value: 0 },
+          { name: 'member_days', description: 'Minimum days since joining (0 = off)', type: 4, required: false, min_value: 0 }
+        ]
+      },
+      {
+        name: 'role_add',
+        description: 'Require or block a role',
+        type: 1,
+        options: [
+          { name: 'kind', description: 'Required or blocked', type: 3, required: true, choices: [{ name: 'Required', value: 'required' }, { name: 'Blocked', value: 'blocked' }] },
+          { name: 'role', description: 'Role', type: 8, required: true }
+        ]
+      },
+      { name: 'role_remove', description: 'Drop a role from the rules', type: 1, options: [{ name: 'role', description: 'Role', type: 8, required: true }] },
+      {
+        name: 'review_channel',
+        description: 'Where suspicious claim patterns are flagged (omit to use the audit channel)',
+        type: 1,
+        options: [{ name: 'channel', description: 'Text channel', type: 7, required: false }]
+      }
+    ]
+  },
+
+  subcommands: {
+    show(interaction, { bot, state, t }) {
+      return interaction.reply({ content: bot.describeEligibility(state, t), allowedMentions: { parse: [] }, ephemeral: true });
+    },
+
+    age: updateRules('age', (interaction, rules) => {
+      rules.minAccountDays = interaction.options.getInteger('account_days') ?? rules.minAccountDays;
+      rules.minMemberDays = interaction.options.getInteger('member_days') ?? rules.minMemberDays;
+    }),
+
+    role_add: updateRules('role_add', (interaction, rules) => {
+      const list = interaction.options.getString('kind', true) === 'required' ? rules.requiredRoleIds : rules.blockedRoleIds;
+      const role = interaction.options.getRole('role', true);
+      if (!list.includes(role.id)) list.push(role.id);
+    }),
+
+    role_remove: updateRules('role_remove', (interaction, rules) => {
+      const roleId = interaction.options.getRole('role', true).id;
+      rules.requiredRoleIds = rules.requiredRoleIds.filter(id => id !== roleId);
+      rules.blockedRoleIds = rules.blockedRoleIds.filter(id => id !== roleId);
+    }),
+
+    review_channel: updateRules('review_channel', (interaction, rules, state) => {
+      const channel = interaction.options.getChannel('channel');
+      if (channel && !channel.isTextBased()) return 'common.textChannel';
+      state.settings.reviewChannelId = channel ? channel.id : null;
+    })
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  data: {
+    name: 'drop',
+    description: 'Moderator-only: gift drops in this channel',
+    level: 'moderator',
+    options: [
+      { name: 'now', description: 'Force a gift drop in this channel', type: 1 },
+      { name: 'preview', description: 'Show a private dry-run copy of a drop; nothing is saved', type: 1 }
+    ]
+  },
+
+  subcommands: {
+    async now(interaction, { bot, t }) {
+      await interaction.reply({ content: t('drop.creating'), ephemeral: true });
+      await bot.dropNow(interaction.guild, interaction.channel, { title: '/drop now', actorId: interaction.user.id });
+    },
+
+    preview(interaction, { bot, t }) {
+      bot.postAudit(interaction.guildId, { title: '/drop preview', actorId: interaction.user.id, fields: [{ name: 'Channel', value: `<#${interaction.channelId}>` }] });
+      return bot.sendDropPreview(interaction, t);
+    }
+  },
+
+  components: {
+    preview: (interaction, { bot }) => bot.handlePreviewClick(interaction)
+  }
+};
@@ -0,0 +1,102 @@
+const { MAX_BOXES } = require('../constants');
+
+function parseHexColor(input) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(input || '').trim());
+  return m ? parseInt(m[1], 16) : null;
+}
+
+// The setters: change the composition, save, log old and new, and show it.
+function updateDropConfig(sub, change) {
+  return (interaction, { bot, state, t }) => {
+    const cfg = bot.getDropConfig(state.settings);
+    const before = bot.describeDropConfig(cfg);
+    const refused = change(interaction, cfg, bot.getTheme(state.settings));
+    if (refused) return interaction.reply({ content: t(refused), ephemeral: true });
+    // Theme tiers are not copied in, so they keep following the theme.
+    const tiers = cfg.themeTiers && sub === 'boxes' ? undefined : cfg.tiers;
+    state.settings.drop = { boxCount: cfg.boxCount, trollCount: cfg.trollCount, tiers };
+    bot.saveStorage();
+    bot.postAudit(interaction.guildId, {
+      title: `/drop_config ${sub}`,
+      actorId: interaction.user.id,
+      fields: [{ name: 'Old', value: before }, { name: 'New', value: bot.describeDropConfig(cfg) }]
+    });
+    return interaction.reply({ content: bot.describeDropConfig(cfg, t), ephemeral: true });
+  };
+}
+
+module.exports = {
+  data: {
+    name: 'drop_config',
+    description: 'Admin-only: configure box count, troll boxes and rarity tiers',
+    level: 'admin',
+    options: [
+      { name: 'show', description: 'Show the current drop composition', type: 1 },
+      {
+        name: 'boxes',
+        description: 'Set how many boxes a drop has and how many are troll',
+        type: 1,
+        options: [
+          { name: 'count', description: `Boxes per drop (1-${MAX_BOXES})`, type: 4, required: true, min_value: 1, max_value: MAX_BOXES },
+          { name: 'trolls', description: 'How many of them are troll boxes', type: 4, required: true, min_value: 0, max_value: MAX_BOXES - 1 }
+        ]
+      },
+      {
+        name: 'tier_set',
+        description: 'Add or update a rarity tier',
+        type: 1,
+        options: [
+          { name: 'name', description: 'Tier name, e.g. Rare', type: 3, required: true, max_length: 32 },
+          { name: 'value', description: 'Gift boxes a claim is worth', type: 4, required: true, min_value: 1 },
+          { name: 'weight', description: 'Relative chance of rolling this tier', type: 4, required: true, min_value: 1 },
+          { name: 'color', description: 'Embed colour as hex, e.g. #FFD700', type: 3, required: false },
+          { name: 'text', description: 'Embed text for boxes of this tier', type: 3, required: false, max_length: 200 }
+        ]
+      },
+      {
+        name: 'tier_remove',
+        description: 'Remove a rarity tier',
+        type: 1,
+        options: [{ name: 'name', description: 'Tier name', type: 3, required: true }]
+      }
+    ]
+  },
+
+  subcommands: {
+    show(interaction, { bot, state, t }) {
+      return interaction.reply({ content: bot.describeDropConfig(bot.getDropConfig(state.settings), t), ephemeral: true });
+    },
+
+    boxes: updateDropConfig('boxes', (interaction, cfg) => {
+      const count = interaction.options.getInteger('count', true);
+      const trolls = interaction.options.getInteger('trolls', true);
+      if (trolls >= count) return 'dropConfig.tooManyTrolls';
+      cfg.boxCount = count;
+      cfg.trollCount = trolls;
+    }),
+
+    tier_set: updateDropConfig('tier_set', (interaction, cfg, theme) => {
+      const tierName = interaction.options.getString('name', true).trim();
+      const colorInput = interaction.options.getString('color');
+      const color = colorInput ? parseHexColor(colorInput) : null;
+      if (colorInput && color === null) return 'dropConfig.badColor';
+      const existing = cfg.tiers.find(tier => tier.name.toLowerCase() === tierName.toLowerCase());
+      const tier = {
+        name: tierName,
+        value: interaction.options.getInteger('value', true),
+        weight: interaction.options.getInteger('weight', true),
+        color: color ?? (existing ? existing.color : theme.defaultTier.color),
+        text: interaction.options.getString('text') || (existing ? existing.text : `A ${tierName} ${theme.boxName}!`)
+      };
+      cfg.tiers = cfg.tiers.filter(other => other !== existing).concat(tier);
+    }),
+
+    tier_remove: updateDropConfig('tier_remove', (interaction, cfg) => {
+      const tierName = interaction.options.getString('name', true).trim().toLowerCase();
+      const remaining = cfg.tiers.filter(tier => tier.name.toLowerCase() !== tierName);
+      if (remaining.length === cfg.tiers.length) return 'dropConfig.noTier';
+      if (remaining.length === 0) return 'dropConfig.lastTier';
+      cfg.tiers = remaining;
+    })
+  }
+};
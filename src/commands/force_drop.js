@@ -0,0 +1,8 @@
+module.exports = {
+  data: { name: 'force_drop', description: 'Owner-only: force a gift drop in this channel (owner only)', level: 'owner' },
+
+  async execute(interaction, { bot, t }) {
+    await interaction.reply({ content: t('drop.forced'), ephemeral: true });
+    await bot.dropNow(interaction.guild, interaction.channel, { title: '/force_drop', actorId: interaction.user.id });
+  }
+};
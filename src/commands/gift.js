@@ -0,0 +1,18 @@
+module.exports = {
+  data: {
+    name: 'gift',
+    description: 'Give some of your gift boxes to another member',
+    options: [
+      { name: 'user', description: 'Who gets the boxes', type: 6, required: true },
+      { name: 'amount', description: 'How many gift boxes', type: 4, required: true, min_value: 1 }
+    ]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    return bot.startGift(interaction, state, t);
+  },
+
+  components: {
+    gift: (interaction, { bot }) => bot.handleGiftButton(interaction)
+  }
+};
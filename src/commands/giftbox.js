@@ -0,0 +1,9 @@
+module.exports = {
+  data: { name: 'giftbox', description: 'Show how many gift boxes you have collected' },
+
+  async execute(interaction, { state, t }) {
+    const cnt = state.userCounts[interaction.user.id] || 0;
+    const title = state.shop.titles[interaction.user.id];
+    return interaction.reply({ content: `${title ? `**${title}** — ` : ''}${t('giftbox.count', { count: cnt })}`, ephemeral: false });
+  }
+};
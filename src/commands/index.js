@@ -0,0 +1,90 @@
+/**
+ * Slash commands, one module per command in this directory. A module exports:
+ *   data                           -> the command definition as Discord takes it, plus `level`
+ *                                     on the command, subcommands or groups (see src/permissions.js)
+ *   execute(interaction, ctx)      -> runs the command; or instead
+ *   subcommands: { [path]: fn }    -> one handler per subcommand, keyed 'sub' or 'group sub'
+ *   autocomplete(interaction, ctx) -> optional, answers autocomplete for its options
+ *   components: { [ns]: fn }       -> optional button handlers for custom ids 'ns:...'
+ * ctx is { bot, state, t }: the bot's services (see createBot), the guild's state and the
+ * reply translator. Components and autocomplete outside a server get state null.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { localizeCommands } = require('../i18n');
+const { applyCommandPermissions } = require('../permissions');
+
+const SUBCOMMAND = 1;
+const SUBCOMMAND_GROUP = 2;
+
+function loadCommands(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .map(file => require(path.join(dir, file)));
+}
+
+// Every subcommand path of a definition: ['now', 'preview'], ['channel add', 'reset', ...].
+function subcommandPaths(data) {
+  const paths = [];
+  for (const option of data.options || []) {
+    if (option.type === SUBCOMMAND) paths.push(option.name);
+    if (option.type === SUBCOMMAND_GROUP) {
+      for (const sub of option.options || []) paths.push(`${option.name} ${sub.name}`);
+    }
+  }
+  return paths;
+}
+
+// The subcommand an interaction ran, group first: [] for plain commands.
+function interactionPath(interaction) {
+  return [interaction.options.getSubcommandGroup(false), interaction.options.getSubcommand(false)].filter(Boolean);
+}
+
+// What gets published to Discord: the definitions with their translations and default
+// member permissions filled in, and our own level fields stripped.
+function registrationPayload(definitions) {
+  return localizeCommands(definitions.map(applyCommandPermissions));
+}
+
+// Checks the modules fit together and indexes them. `components` adds button namespaces
+// that belong to no command (drop claims).
+function createCommandRouter(modules, { components = {} } = {}) {
+  const byName = new Map();
+  const namespaces = new Map(Object.entries(components));
+  for (const mod of modules) {
+    const name = mod.data && mod.data.name;
+    if (!name) throw new Error('Command module without data.name');
+    if (byName.has(name)) throw new Error(`Duplicate command /${name}`);
+    const paths = subcommandPaths(mod.data);
+    if (mod.subcommands) {
+      const missing = paths.filter(p => typeof mod.subcommands[p] !== 'function');
+      if (missing.length) throw new Error(`/${name} has no handler for: ${missing.join(', ')}`);
+    } else if (typeof mod.execute !== 'function') {
+      throw new Error(`/${name} has neither execute nor subcommands`);
+    }
+    for (const [ns, handler] of Object.entries(mod.components || {})) {
+      if (namespaces.has(ns)) throw new Error(`Button namespace "${ns}" is used twice`);
+      namespaces.set(ns, handler);
+    }
+    byName.set(name, mod);
+  }
+
+  return {
+    modules,
+    definitions: modules.map(mod => mod.data),
+    command: name => byName.get(name) || null,
+    // The handler for a chat input interaction, or null if nothing handles it.
+    handlerFor(interaction) {
+      const mod = byName.get(interaction.commandName);
+      if (!mod) return null;
+      if (!mod.subcommands) return mod.execute;
+      return mod.subcommands[interactionPath(interaction).join(' ')] || null;
+    },
+    // The handler for a button, by the part of its custom id before the first colon.
+    component: customId => namespaces.get(String(customId).split(':')[0]) || null
+  };
+}
+
+module.exports = { loadCommands, createCommandRouter, interactionPath, registrationPayload };
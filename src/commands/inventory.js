@@ -0,0 +1,12 @@
+module.exports = {
+  data: {
+    name: 'inventory',
+    description: 'Show the shop items a user owns',
+    options: [{ name: 'user', description: 'User to look up (default: you)', type: 6, required: false }]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    return interaction.reply({ embeds: [bot.inventoryEmbed(state, user, t)], ephemeral: false });
+  }
+};
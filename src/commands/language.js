@@ -0,0 +1,47 @@
+const { SUPPORTED_LOCALES } = require('../i18n');
+const { LANGUAGE_NAMES } = require('../constants');
+
+module.exports = {
+  data: {
+    name: 'language',
+    description: 'Language of bot replies',
+    options: [
+      { name: 'show', description: 'Show which language replies use', type: 1 },
+      {
+        name: 'set',
+        description: "Admin-only: use one language for everyone, or each member's own",
+        level: 'admin',
+        type: 1,
+        options: [
+          {
+            name: 'language',
+            description: 'Language for replies',
+            type: 3,
+            required: true,
+            choices: [{ name: "Each member's Discord language", value: 'auto' }, ...SUPPORTED_LOCALES.map(l => ({ name: LANGUAGE_NAMES[l], value: l }))]
+          }
+        ]
+      }
+    ]
+  },
+
+  subcommands: {
+    show(interaction, { bot, state, t }) {
+      return interaction.reply({ content: bot.describeLanguage(state.settings, t), ephemeral: true });
+    },
+
+    set(interaction, { bot, state }) {
+      const choice = interaction.options.getString('language', true);
+      const before = state.settings.locale || 'auto';
+      state.settings.locale = choice === 'auto' ? null : choice;
+      bot.saveStorage();
+      bot.postAudit(interaction.guildId, {
+        title: '/language set',
+        actorId: interaction.user.id,
+        changes: [{ name: 'Reply language', from: before, to: choice }]
+      });
+      // Answer in the language just picked.
+      return interaction.reply({ content: bot.describeLanguage(state.settings, bot.tFor(interaction)), ephemeral: true });
+    }
+  }
+};
@@ -0,0 +1,56 @@
+const { LEADERBOARD_PERIODS } = require('../constants');
+
+module.exports = {
+  data: {
+    name: 'leaderboard',
+    description: 'Show the top collectors',
+    options: [
+      {
+        name: 'period',
+        description: 'Time window (default: all-time)',
+        type: 3,
+        required: false,
+        choices: Object.entries(LEADERBOARD_PERIODS).map(([value, label]) => ({ name: label, value }))
+      },
+      { name: 'season', description: 'Show a past season instead', type: 3, required: false, autocomplete: true }
+    ]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    const seasonName = interaction.options.getString('season');
+    if (seasonName) {
+      const index = bot.findArchivedSeason(state, seasonName);
+      if (index === -1) return interaction.reply({ content: t('season.notFound', { name: seasonName }), ephemeral: true });
+      return interaction.reply(bot.seasonLeaderboardPage(state, index, 0, t));
+    }
+    const period = interaction.options.getString('period') || 'all';
+    return interaction.reply(bot.leaderboardPage(state, period, 0, t));
+  },
+
+  // Past seasons, newest first.
+  async autocomplete(interaction, { state }) {
+    if (!state) return interaction.respond([]);
+    const q = String(interaction.options.getFocused() || '').toLowerCase();
+    const choices = state.seasons.archive
+      .map(season => season.name)
+      .filter(n => n.toLowerCase().includes(q))
+      .reverse()
+      .slice(0, 25)
+      .map(n => ({ name: n, value: n }));
+    return interaction.respond(choices);
+  },
+
+  components: {
+    // lb:<period>:<page> and lb:archive:<season index>:<page>
+    lb: (interaction, { bot, state, t }) => {
+      if (!state) return;
+      const parts = interaction.customId.split(':');
+      if (parts[1] === 'archive') {
+        if (!state.seasons.archive[Number(parts[2])]) return;
+        return interaction.update(bot.seasonLeaderboardPage(state, Number(parts[2]), Number(parts[3]), t));
+      }
+      if (!LEADERBOARD_PERIODS[parts[1]]) return;
+      return interaction.update(bot.leaderboardPage(state, parts[1], Number(parts[2]), t));
+    }
+  }
+};
@@ -0,0 +1,100 @@
+const { GRANTABLE_LEVELS, normalizeMappings } = require('../permissions');
+const { LEVEL_NAMES } = require('../constants');
+
+// Every command, subcommand group and subcommand that needs more than its parent, by level.
+function commandsByLevel(definitions) {
+  const needs = {};
+  const walk = (node, label, inherited) => {
+    const own = node.level || inherited;
+    if (own !== inherited) (needs[own] = needs[own] || []).push(label);
+    for (const option of node.options || []) {
+      if (option.type === 1 || option.type === 2) walk(option, `${label} ${option.name}`, own);
+    }
+  };
+  for (const command of definitions) walk(command, `/${command.name}`, 'user');
+  return needs;
+}
+
+function describePermissions({ bot, state, t }, level) {
+  const map = normalizeMappings(state.settings.permissions);
+  const levelName = l => t(`permissions.levels.${l}`);
+  const mapped = [
+    ...Object.entries(map.roles).map(([id, l]) => `<@&${id}> — ${levelName(l)}`),
+    ...Object.entries(map.users).map(([id, l]) => `<@${id}> — ${levelName(l)}`)
+  ];
+  return [
+    t('permissions.yours', { level: levelName(level) }),
+    mapped.length ? `${t('permissions.mapped')}\n${mapped.join('\n')}` : t('permissions.noneMapped'),
+    t('permissions.commands'),
+    ...Object.entries(commandsByLevel(bot.commands)).map(([l, names]) => `**${levelName(l)}:** ${names.join(', ')}`)
+  ].join('\n');
+}
+
+// set and remove: a role or member gets a level of its own, or loses it.
+function changeMapping(interaction, { bot, state, t }, sub) {
+  const levelName = l => t(`permissions.levels.${l}`);
+  const target = interaction.options.get('target', true);
+  const [kind, id, label] = target.role
+    ? ['roles', target.role.id, `<@&${target.role.id}>`]
+    : ['users', target.user.id, `<@${target.user.id}>`];
+  const map = normalizeMappings(state.settings.permissions);
+  const before = map[kind][id] || null;
+  const next = sub === 'set' ? interaction.options.getString('level', true) : null;
+  if (sub === 'remove' && !before) return interaction.reply({ content: t('permissions.notMapped', { target: label }), allowedMentions: { parse: [] }, ephemeral: true });
+  if (next) map[kind][id] = next;
+  else delete map[kind][id];
+  state.settings.permissions = map;
+  bot.saveStorage();
+  bot.postAudit(interaction.guildId, {
+    title: `/permissions ${sub}`,
+    actorId: interaction.user.id,
+    changes: [{ name: `${target.role ? `@${target.role.name}` : target.user.tag} (${id})`, from: before, to: next }]
+  });
+  return interaction.reply({
+    content: next ? t('permissions.set', { target: label, level: levelName(next) }) : t('permissions.removed', { target: label }),
+    allowedMentions: { parse: [] },
+    ephemeral: true
+  });
+}
+
+module.exports = {
+  data: {
+    name: 'permissions',
+    description: 'Admin-only: which roles and members may use which commands',
+    level: 'admin',
+    options: [
+      { name: 'show', description: 'Show role and member levels, and the level each command needs', type: 1 },
+      {
+        name: 'set',
+        description: 'Give a role or member a permission level',
+        type: 1,
+        options: [
+          { name: 'target', description: 'Role or member', type: 9, required: true },
+          {
+            name: 'level',
+            description: 'Permission level',
+            type: 3,
+            required: true,
+            choices: GRANTABLE_LEVELS.map(level => ({ name: LEVEL_NAMES[level], value: level }))
+          }
+        ]
+      },
+      {
+        name: 'remove',
+        description: 'Drop the level set on a role or member',
+        type: 1,
+        options: [{ name: 'target', description: 'Role or member', type: 9, required: true }]
+      }
+    ]
+  },
+
+  subcommands: {
+    show: (interaction, ctx) => interaction.reply({
+      content: describePermissions(ctx, ctx.bot.levelOf(interaction)),
+      allowedMentions: { parse: [] },
+      ephemeral: true
+    }),
+    set: (interaction, ctx) => changeMapping(interaction, ctx, 'set'),
+    remove: (interaction, ctx) => changeMapping(interaction, ctx, 'remove')
+  }
+};
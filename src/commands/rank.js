@@ -0,0 +1,38 @@
+const { LEADERBOARD_PERIODS } = require('../constants');
+
+module.exports = {
+  data: {
+    name: 'rank',
+    description: "Show a user's leaderboard position",
+    options: [
+      { name: 'user', description: 'User to look up (default: you)', type: 6, required: false },
+      {
+        name: 'period',
+        description: 'Time window (default: all-time)',
+        type: 3,
+        required: false,
+        choices: Object.entries(LEADERBOARD_PERIODS).map(([value, label]) => ({ name: label, value }))
+      }
+    ]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const period = interaction.options.getString('period') || 'all';
+    const entries = bot.leaderboardEntries(state, period);
+    const pos = entries.findIndex(([uid]) => uid === user.id);
+    const label = t(`leaderboard.periods.${period}`).toLowerCase();
+    if (pos === -1) return interaction.reply({ content: t('rank.none', { user: user.tag, period: label }), ephemeral: false });
+    const total = entries[pos][1];
+    const rank = bot.rankOf(entries, total);
+    const ahead = entries.slice(0, rank - 1).reverse().find(([, cnt]) => cnt > total);
+    const gap = ahead
+      ? t('rank.behind', { count: ahead[1] - total, user: `<@${ahead[0]}>`, rank: bot.rankOf(entries, ahead[1]) })
+      : t('rank.top');
+    return interaction.reply({
+      content: `${t('rank.line', { rank, of: entries.length, user: `<@${user.id}>`, count: total, period: label })} ${gap}`,
+      allowedMentions: { users: [] },
+      ephemeral: false
+    });
+  }
+};
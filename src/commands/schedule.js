@@ -0,0 +1,117 @@
+const { parseClock, isValidTimezone, parseDays } = require('../schedule');
+
+// The setters: change the schedule, save, re-plan the next drop, log old and new.
+function updateSchedule(sub, change) {
+  return (interaction, { bot, state, t }) => {
+    const sched = bot.getSchedule(state.settings);
+    const before = bot.describeSchedule(sched);
+    const refused = change(interaction, sched);
+    if (refused) return interaction.reply({ content: t(refused), ephemeral: true });
+    state.settings.schedule = sched;
+    bot.saveStorage();
+    if (state.settings.autoDropEnabled) bot.scheduleNextDrop(interaction.guildId);
+    bot.postAudit(interaction.guildId, {
+      title: `/schedule ${sub}`,
+      actorId: interaction.user.id,
+      fields: [{ name: 'Old', value: before }, { name: 'New', value: bot.describeSchedule(sched) }]
+    });
+    return interaction.reply({ content: bot.describeSchedule(sched, t), ephemeral: true });
+  };
+}
+
+module.exports = {
+  data: {
+    name: 'schedule',
+    description: 'When automatic drops happen',
+    options: [
+      { name: 'show', description: 'Show the drop schedule', type: 1 },
+      { name: 'next', description: 'Show when the next automatic drop is due', type: 1 },
+      {
+        name: 'interval',
+        description: 'Admin-only: set the random wait between drops',
+        level: 'admin',
+        type: 1,
+        options: [
+          { name: 'min_minutes', description: 'Shortest wait in minutes', type: 4, required: true, min_value: 1, max_value: 1440 },
+          { name: 'max_minutes', description: 'Longest wait in minutes', type: 4, required: true, min_value: 1, max_value: 1440 }
+        ]
+      },
+      {
+        name: 'quiet_hours',
+        description: 'Admin-only: hours with no drops (omit both to remove)',
+        level: 'admin',
+        type: 1,
+        options: [
+          { name: 'start', description: 'Start time as HH:MM, e.g. 23:00', type: 3, required: false },
+          { name: 'end', description: 'End time as HH:MM, e.g. 08:00', type: 3, required: false }
+        ]
+      },
+      {
+        name: 'timezone',
+        description: 'Admin-only: timezone for quiet hours and days',
+        level: 'admin',
+        type: 1,
+        options: [{ name: 'zone', description: 'IANA timezone, e.g. Europe/Berlin', type: 3, required: true }]
+      },
+      {
+        name: 'days',
+        description: 'Admin-only: days of the week drops can happen on',
+        level: 'admin',
+        type: 1,
+        options: [{ name: 'days', description: 'e.g. mon,wed,fri or weekdays, weekends, all', type: 3, required: true }]
+      },
+      {
+        name: 'activity',
+        description: 'Admin-only: only drop after this many messages in the drop channel (0 turns it off)',
+        level: 'admin',
+        type: 1,
+        options: [{ name: 'messages', description: 'Messages needed since the last drop', type: 4, required: true, min_value: 0, max_value: 1000 }]
+      }
+    ]
+  },
+
+  subcommands: {
+    show(interaction, { bot, state, t }) {
+      return interaction.reply({ content: bot.describeSchedule(bot.getSchedule(state.settings), t), ephemeral: true });
+    },
+
+    next(interaction, { bot, t }) {
+      return interaction.reply({ content: bot.describeNextDrop(interaction.guildId, t), ephemeral: true });
+    },
+
+    interval: updateSchedule('interval', (interaction, sched) => {
+      const min = interaction.options.getInteger('min_minutes', true);
+      const max = interaction.options.getInteger('max_minutes', true);
+      if (min > max) return 'schedule.minOverMax';
+      sched.minMinutes = min;
+      sched.maxMinutes = max;
+    }),
+
+    quiet_hours: updateSchedule('quiet_hours', (interaction, sched) => {
+      const startInput = interaction.options.getString('start');
+      const endInput = interaction.options.getString('end');
+      if (!startInput !== !endInput) return 'schedule.quietBoth';
+      const start = startInput ? parseClock(startInput) : null;
+      const end = endInput ? parseClock(endInput) : null;
+      if (startInput && (start === null || end === null)) return 'schedule.badTime';
+      sched.quietStart = start;
+      sched.quietEnd = end;
+    }),
+
+    timezone: updateSchedule('timezone', (interaction, sched) => {
+      const zone = interaction.options.getString('zone', true).trim();
+      if (!isValidTimezone(zone)) return 'schedule.badZone';
+      sched.timezone = zone;
+    }),
+
+    days: updateSchedule('days', (interaction, sched) => {
+      const days = parseDays(interaction.options.getString('days', true));
+      if (!days) return 'schedule.badDays';
+      sched.days = days;
+    }),
+
+    activity: updateSchedule('activity', (interaction, sched) => {
+      sched.activityMessages = interaction.options.getInteger('messages', true);
+    })
+  }
+};
@@ -0,0 +1,79 @@
+const { SEASON_NAME_MAX } = require('../constants');
+
+module.exports = {
+  data: {
+    name: 'season',
+    description: 'Seasons: drops only run while a season is active',
+    options: [
+      { name: 'show', description: 'Show the current season and past seasons', type: 1 },
+      {
+        name: 'create',
+        description: 'Admin-only: schedule a new season',
+        level: 'admin',
+        type: 1,
+        options: [
+          { name: 'name', description: 'Season name, e.g. Winter 2025', type: 3, required: true, max_length: SEASON_NAME_MAX },
+          { name: 'start', description: 'Start as YYYY-MM-DD or YYYY-MM-DD HH:MM (UTC)', type: 3, required: true },
+          { name: 'end', description: 'End as YYYY-MM-DD or YYYY-MM-DD HH:MM (UTC); a bare date means 00:00', type: 3, required: true },
+          { name: 'channel', description: 'Where to announce the podium (default: first drop channel)', type: 7, required: false }
+        ]
+      },
+      { name: 'end', description: 'Admin-only: end the current season now (or cancel one that has not started)', type: 1, level: 'admin' }
+    ]
+  },
+
+  subcommands: {
+    show(interaction, { bot, state, t }) {
+      return interaction.reply({ content: bot.describeSeasons(state, t), allowedMentions: { parse: [] }, ephemeral: false });
+    },
+
+    async create(interaction, { bot, state, t }) {
+      const seasonName = interaction.options.getString('name', true).trim();
+      const startsAt = bot.parseSeasonDate(interaction.options.getString('start', true));
+      const endsAt = bot.parseSeasonDate(interaction.options.getString('end', true));
+      const channel = interaction.options.getChannel('channel');
+      if (!seasonName) return interaction.reply({ content: t('season.needsName'), ephemeral: true });
+      if (bot.seasonNameTaken(state, seasonName)) return interaction.reply({ content: t('season.nameTaken', { name: seasonName }), ephemeral: true });
+      if (startsAt === null || endsAt === null) return interaction.reply({ content: t('season.badDate'), ephemeral: true });
+      if (endsAt <= startsAt) return interaction.reply({ content: t('season.endBeforeStart'), ephemeral: true });
+      if (endsAt <= Date.now()) return interaction.reply({ content: t('season.endInPast'), ephemeral: true });
+      if (channel && !channel.isTextBased()) return interaction.reply({ content: t('common.textChannel'), ephemeral: true });
+      const current = state.seasons.current;
+      if (current && bot.seasonStatus(state) !== 'over') {
+        return interaction.reply({ content: t('season.alreadyRunning', { name: current.name }), ephemeral: true });
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      if (current) await bot.endSeason(interaction.guildId);
+      state.seasons.current = {
+        name: seasonName,
+        startsAt,
+        endsAt,
+        channelId: channel ? channel.id : null,
+        createdBy: interaction.user.id,
+        createdAt: Date.now()
+      };
+      bot.saveStorage();
+      bot.armSeasonTimer(interaction.guildId);
+      if (state.settings.autoDropEnabled) bot.scheduleNextDrop(interaction.guildId);
+      bot.postAudit(interaction.guildId, {
+        title: '/season create',
+        actorId: interaction.user.id,
+        fields: [
+          { name: 'Season', value: seasonName, inline: true },
+          { name: 'Starts', value: `<t:${Math.floor(startsAt / 1000)}:F>`, inline: true },
+          { name: 'Ends', value: `<t:${Math.floor(endsAt / 1000)}:F>`, inline: true }
+        ]
+      });
+      return interaction.editReply({ content: bot.describeSeasons(state, t), allowedMentions: { parse: [] } });
+    },
+
+    async end(interaction, { bot, state, t }) {
+      const season = state.seasons.current;
+      if (!season) return interaction.reply({ content: t('season.noneRunning'), ephemeral: true });
+      await interaction.deferReply({ ephemeral: true });
+      const archived = await bot.endSeason(interaction.guildId, interaction.user.id);
+      return interaction.editReply(t(archived ? 'season.ended' : 'season.cancelledEarly', { name: season.name }));
+    }
+  }
+};
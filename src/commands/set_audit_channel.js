@@ -0,0 +1,26 @@
+module.exports = {
+  data: {
+    name: 'set_audit_channel',
+    description: 'Admin-only: set the channel for the audit log (omit to disable)',
+    level: 'admin',
+    options: [{ name: 'channel', description: 'Text channel', type: 7, required: false }]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    const channel = interaction.options.getChannel('channel');
+    if (channel && !channel.isTextBased()) return interaction.reply({ content: t('common.textChannel'), ephemeral: true });
+    const previous = state.settings.auditChannelId;
+    const change = {
+      title: '/set_audit_channel',
+      actorId: interaction.user.id,
+      changes: [{ name: 'Audit channel', from: previous && `<#${previous}>`, to: channel && `<#${channel.id}>` }]
+    };
+    state.settings.auditChannelId = channel ? channel.id : null;
+    bot.saveStorage();
+    // Reply first: the audit posts fetch and send, which can outlast the interaction deadline.
+    await interaction.reply({ content: channel ? t('audit.set', { channel: channel.toString() }) : t('audit.disabled'), ephemeral: true });
+    // Log to the old channel too so the switch is visible from both sides.
+    if (previous) await bot.postAudit(interaction.guildId, { ...change, channelId: previous });
+    if (channel && channel.id !== previous) await bot.postAudit(interaction.guildId, change);
+  }
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  data: { name: 'shop', description: 'List the items in the gift shop' },
+
+  async execute(interaction, { bot, state, t }) {
+    return interaction.reply({ embeds: [bot.shopEmbed(state, t)], ephemeral: false });
+  }
+};
@@ -0,0 +1,159 @@
+const { SHOP_ITEM_TYPES, DEFAULT_IMMUNITY_HOURS } = require('../constants');
+const { logger } = require('../logger');
+
+const log = logger.child('commands');
+
+module.exports = {
+  data: {
+    name: 'shop_admin',
+    description: 'Admin-only: manage gift shop items and purchases',
+    level: 'admin',
+    options: [
+      {
+        name: 'add',
+        description: 'Add or replace a shop item',
+        type: 1,
+        options: [
+          { name: 'name', description: 'Item name', type: 3, required: true, max_length: 32 },
+          {
+            name: 'type',
+            description: 'What the item does',
+            type: 3,
+            required: true,
+            choices: Object.entries(SHOP_ITEM_TYPES).map(([value, t]) => ({ name: t.label, value }))
+          },
+          { name: 'price', description: 'Price in gift boxes', type: 4, required: true, min_value: 1 },
+          { name: 'role', description: 'Role to give (colour role items)', type: 8, required: false },
+          { name: 'title', description: 'Title text (title items, default: item name)', type: 3, required: false, max_length: 32 },
+          { name: 'hours', description: `Immunity length in hours (default ${DEFAULT_IMMUNITY_HOURS})`, type: 4, required: false, min_value: 1 },
+          { name: 'description', description: 'Shown in /shop', type: 3, required: false, max_length: 100 }
+        ]
+      },
+      {
+        name: 'remove',
+        description: 'Stop selling an item',
+        type: 1,
+        options: [{ name: 'item', description: 'Item', type: 3, required: true, autocomplete: true }]
+      },
+      {
+        name: 'refund',
+        description: 'Refund a purchase',
+        type: 1,
+        options: [{ name: 'purchase', description: 'Purchase ID (see /shop_admin purchases)', type: 3, required: true }]
+      },
+      {
+        name: 'purchases',
+        description: 'List recent purchases',
+        type: 1,
+        options: [{ name: 'user', description: 'Only purchases by this user', type: 6, required: false }]
+      }
+    ]
+  },
+
+  subcommands: {
+    add(interaction, { bot, state, t }) {
+      const name = interaction.options.getString('name', true).trim();
+      const type = interaction.options.getString('type', true);
+      const id = bot.slugify(name);
+      if (!id || !SHOP_ITEM_TYPES[type]) return interaction.reply({ content: t('shopAdmin.invalid'), ephemeral: true });
+      const item = {
+        id,
+        name,
+        type,
+        price: interaction.options.getInteger('price', true),
+        description: interaction.options.getString('description') || ''
+      };
+      if (type === 'role') {
+        const role = interaction.options.getRole('role');
+        if (!role) return interaction.reply({ content: t('shopAdmin.needRole'), ephemeral: true });
+        item.roleId = role.id;
+      } else if (type === 'title') {
+        item.title = interaction.options.getString('title') || name;
+      } else if (type === 'snowball_immunity') {
+        item.hours = interaction.options.getInteger('hours') || DEFAULT_IMMUNITY_HOURS;
+      }
+      const previous = state.shop.items[id] && !state.shop.items[id].retired ? state.shop.items[id] : null;
+      state.shop.items[id] = item;
+      bot.saveStorage();
+      bot.postAudit(interaction.guildId, {
+        title: '/shop_admin add',
+        actorId: interaction.user.id,
+        changes: [{ name: `Item ${id}`, from: previous && bot.describeShopItem(previous), to: bot.describeShopItem(item) }]
+      });
+      return interaction.reply({ content: t('shopAdmin.saved', { item: bot.describeShopItem(item, t) }), ephemeral: true });
+    },
+
+    remove(interaction, { bot, state, t }) {
+      const item = bot.findShopItem(state, interaction.options.getString('item', true));
+      if (!item) return interaction.reply({ content: t('shopAdmin.noItem'), ephemeral: true });
+      item.retired = true;
+      bot.saveStorage();
+      bot.postAudit(interaction.guildId, {
+        title: '/shop_admin remove',
+        actorId: interaction.user.id,
+        changes: [{ name: `Item ${item.id}`, from: bot.describeShopItem(item), to: null }]
+      });
+      return interaction.reply({ content: t('shopAdmin.removed', { item: item.name }), ephemeral: true });
+    },
+
+    async refund(interaction, { bot, state, t }) {
+      const purchaseId = interaction.options.getString('purchase', true).trim();
+      const purchase = state.shop.purchases.find(p => p.id === purchaseId);
+      if (!purchase) return interaction.reply({ content: t('shopAdmin.noPurchase'), ephemeral: true });
+      if (purchase.refundedAt) return interaction.reply({ content: t('shopAdmin.alreadyRefunded'), ephemeral: true });
+      // Only what the buyer still holds can be handed back (extra claims get used, items traded).
+      const inv = state.shop.inventories[purchase.userId] || {};
+      const item = state.shop.items[purchase.itemId];
+      if (!inv[purchase.itemId]) {
+        return interaction.reply({
+          content: t('shopAdmin.itemGone', { user: `<@${purchase.userId}>`, item: item ? item.name : purchase.itemId }),
+          allowedMentions: { users: [] },
+          ephemeral: true
+        });
+      }
+      inv[purchase.itemId]--;
+      if (inv[purchase.itemId] === 0) delete inv[purchase.itemId];
+      if (purchase.type === 'title' && item && state.shop.titles[purchase.userId] === item.title) delete state.shop.titles[purchase.userId];
+      if (purchase.type === 'snowball_immunity') {
+        const immunity = state.snowball.immunity;
+        const until = (immunity[purchase.userId] || 0) - ((item && item.hours) || DEFAULT_IMMUNITY_HOURS) * 60 * 60 * 1000;
+        if (until > Date.now()) immunity[purchase.userId] = until;
+        else delete immunity[purchase.userId];
+      }
+      if (purchase.type === 'role' && item) {
+        const member = await interaction.guild.members.fetch(purchase.userId).catch(() => null);
+        if (member) await member.roles.remove(item.roleId, 'Gift shop refund').catch(e => log.warn('Refund role removal failed', { guild: interaction.guildId, user: purchase.userId, err: e }));
+      }
+      state.userCounts[purchase.userId] = (state.userCounts[purchase.userId] || 0) + purchase.price;
+      purchase.refundedAt = Date.now();
+      purchase.refundedBy = interaction.user.id;
+      bot.saveStorage();
+      bot.postAudit(interaction.guildId, {
+        title: '/shop_admin refund',
+        actorId: interaction.user.id,
+        fields: [
+          { name: 'Purchase', value: purchase.id, inline: true },
+          { name: 'Member', value: `<@${purchase.userId}>`, inline: true },
+          { name: 'Refunded', value: `${purchase.price} gift box(es)`, inline: true }
+        ]
+      });
+      return interaction.reply({
+        content: t('shopAdmin.refunded', { amount: t('common.boxes', { count: purchase.price }), user: `<@${purchase.userId}>`, item: purchase.itemId }),
+        allowedMentions: { users: [] },
+        ephemeral: true
+      });
+    },
+
+    purchases(interaction, { state, t }) {
+      const user = interaction.options.getUser('user');
+      const list = state.shop.purchases.filter(p => !user || p.userId === user.id).slice(-15).reverse();
+      const lines = list.map(p => `\`${p.id}\` <@${p.userId}> ${p.itemId} — ${p.price} · <t:${Math.floor(p.at / 1000)}:d>${p.refundedAt ? ` ${t('shopAdmin.refundedMark')}` : ''}`);
+      return interaction.reply({ content: lines.length ? lines.join('\n') : t('shopAdmin.noPurchases'), allowedMentions: { users: [] }, ephemeral: true });
+    }
+  },
+
+  async autocomplete(interaction, { bot, state, t }) {
+    if (!state) return interaction.respond([]);
+    return interaction.respond(bot.shopItemChoices(state, interaction.options.getFocused(), t));
+  }
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  data: {
+    name: 'snowball',
+    description: 'Throw a snowball at a user; the channel votes on whether it hits',
+    options: [{ name: 'target', description: 'User to hit', type: 6, required: true }]
+  },
+
+  async execute(interaction, { bot, t }) {
+    return bot.startSnowballVote(interaction, t);
+  },
+
+  components: {
+    snowball: (interaction, { bot }) => bot.handleSnowballVote(interaction)
+  }
+};
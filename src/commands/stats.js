@@ -0,0 +1,14 @@
+module.exports = {
+  data: {
+    name: 'stats',
+    description: 'Show claim statistics for a user',
+    options: [{ name: 'user', description: 'User to look up (default: you)', type: 6, required: false }]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const stats = bot.userClaimStats(state, user.id);
+    if (stats.total === 0) return interaction.reply({ content: t('stats.none', { user: user.tag }), ephemeral: false });
+    return interaction.reply({ embeds: [bot.statsEmbed(user, stats, bot.getTheme(state.settings), t)], ephemeral: false });
+  }
+};
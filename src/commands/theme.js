@@ -0,0 +1,90 @@
+const { DEFAULT_THEME_ID, CUSTOM_THEME_ID, MAX_THEME_BYTES, validateTheme } = require('../themes');
+
+// Everything but list and show ends here: save, audit, and show the new theme.
+function themeChanged(interaction, { bot, state, t }, sub, before) {
+  const settings = state.settings;
+  bot.saveStorage();
+  bot.postAudit(interaction.guildId, {
+    title: `/theme ${sub}`,
+    actorId: interaction.user.id,
+    changes: [{ name: 'Theme', from: before, to: settings.theme }]
+  });
+  const content = `${t('theme.set')}\n${bot.describeTheme(bot.getTheme(settings), settings.theme, t)}`;
+  return interaction.deferred ? interaction.editReply(content) : interaction.reply({ content, ephemeral: true });
+}
+
+module.exports = {
+  data: {
+    name: 'theme',
+    description: 'Look of drops and bot messages',
+    options: [
+      { name: 'list', description: 'List the available themes', type: 1 },
+      { name: 'show', description: 'Show the current theme', type: 1 },
+      {
+        name: 'set',
+        description: 'Admin-only: switch theme',
+        level: 'admin',
+        type: 1,
+        options: [{ name: 'theme', description: 'Theme to use', type: 3, required: true, autocomplete: true }]
+      },
+      {
+        name: 'upload',
+        description: "Admin-only: upload this server's own theme file (JSON) and switch to it",
+        level: 'admin',
+        type: 1,
+        options: [{ name: 'file', description: 'Theme JSON file, see themes/ for examples', type: 11, required: true }]
+      }
+    ]
+  },
+
+  subcommands: {
+    list(interaction, { bot, state, t }) {
+      const settings = state.settings;
+      const active = bot.getTheme(settings).id;
+      const lines = bot.themeChoices(settings, '', t).map(c => `${c.value === settings.theme || (!settings.theme && c.value === active) ? '▶' : '•'} \`${c.value}\` — ${c.name}`);
+      return interaction.reply({ content: lines.join('\n'), ephemeral: true });
+    },
+
+    show(interaction, { bot, state, t }) {
+      return interaction.reply({ content: bot.describeTheme(bot.getTheme(state.settings), state.settings.theme || DEFAULT_THEME_ID, t), ephemeral: true });
+    },
+
+    set(interaction, ctx) {
+      const { bot, state, t } = ctx;
+      const settings = state.settings;
+      const before = settings.theme || DEFAULT_THEME_ID;
+      const id = interaction.options.getString('theme', true);
+      if (id === CUSTOM_THEME_ID ? !settings.customTheme : !bot.themes[id]) {
+        return interaction.reply({ content: t('theme.unknown'), ephemeral: true });
+      }
+      settings.theme = id;
+      return themeChanged(interaction, ctx, 'set', before);
+    },
+
+    async upload(interaction, ctx) {
+      const { state, t } = ctx;
+      const settings = state.settings;
+      const before = settings.theme || DEFAULT_THEME_ID;
+      const file = interaction.options.getAttachment('file', true);
+      if (file.size > MAX_THEME_BYTES) return interaction.reply({ content: t('theme.tooLarge', { kb: MAX_THEME_BYTES / 1024 }), ephemeral: true });
+      await interaction.deferReply({ ephemeral: true });
+      let raw;
+      try {
+        const res = await fetch(file.url);
+        raw = JSON.parse(await res.text());
+      } catch (e) {
+        return interaction.editReply(t('theme.badJson', { error: e.message }));
+      }
+      const problems = validateTheme(raw);
+      if (problems.length) return interaction.editReply(t('theme.problems', { problems: problems.slice(0, 10).map(p => `• ${p}`).join('\n') }));
+      settings.customTheme = raw;
+      settings.theme = CUSTOM_THEME_ID;
+      return themeChanged(interaction, ctx, 'upload', before);
+    }
+  },
+
+  async autocomplete(interaction, { bot, state, t }) {
+    if (!state) return interaction.respond([]);
+    return interaction.respond(bot.themeChoices(state.settings, interaction.options.getFocused(), t));
+  }
+};
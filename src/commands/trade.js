@@ -0,0 +1,36 @@
+const { SHOP_ITEM_TYPES } = require('../constants');
+
+module.exports = {
+  data: {
+    name: 'trade',
+    description: 'Offer one of your shop items to another member',
+    options: [
+      { name: 'user', description: 'Member to trade with', type: 6, required: true },
+      { name: 'offer', description: 'Item you give', type: 3, required: true, autocomplete: true },
+      { name: 'request', description: 'Item you want back', type: 3, required: false, autocomplete: true },
+      { name: 'boxes', description: 'Gift boxes you want back', type: 4, required: false, min_value: 1 }
+    ]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    return bot.proposeTrade(interaction, state, t);
+  },
+
+  // Offers come from the member's own tradeable items, requests from the whole shop.
+  async autocomplete(interaction, { state }) {
+    if (!state) return interaction.respond([]);
+    const focused = interaction.options.getFocused(true);
+    const owned = focused.name === 'offer' ? state.shop.inventories[interaction.user.id] || {} : null;
+    const q = String(focused.value || '').toLowerCase();
+    const choices = Object.values(state.shop.items)
+      .filter(it => SHOP_ITEM_TYPES[it.type].tradeable && (owned ? owned[it.id] > 0 : !it.retired))
+      .filter(it => it.id.includes(q) || it.name.toLowerCase().includes(q))
+      .slice(0, 25)
+      .map(it => ({ name: it.name, value: it.id }));
+    return interaction.respond(choices);
+  },
+
+  components: {
+    trade: (interaction, { bot }) => bot.handleTradeButton(interaction)
+  }
+};
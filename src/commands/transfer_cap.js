@@ -0,0 +1,23 @@
+module.exports = {
+  data: {
+    name: 'transfer_cap',
+    description: 'Admin-only: daily limit on gift boxes sent/received per member (0 turns gifting off)',
+    level: 'admin',
+    options: [{ name: 'amount', description: 'Boxes per member per day', type: 4, required: true, min_value: 0 }]
+  },
+
+  async execute(interaction, { bot, state, t }) {
+    const previous = bot.transferCap(state);
+    state.settings.transferCap = interaction.options.getInteger('amount', true);
+    bot.saveStorage();
+    bot.postAudit(interaction.guildId, {
+      title: '/transfer_cap',
+      actorId: interaction.user.id,
+      changes: [{ name: 'Daily transfer cap', from: previous, to: state.settings.transferCap }]
+    });
+    return interaction.reply({
+      content: state.settings.transferCap === 0 ? t('transferCap.off') : t('transferCap.set', { count: state.settings.transferCap }),
+      ephemeral: true
+    });
+  }
+};
@@ -0,0 +1,63 @@
+const { TROLL_EFFECT_LABELS } = require('../constants');
+
+function describeTrollEffects({ bot, state, t }) {
+  const config = bot.getTrollEffectConfig(state.settings);
+  const total = config.filter(e => e.enabled).reduce((sum, e) => sum + e.weight, 0);
+  const lines = config.map(e => {
+    const chance = e.enabled && total ? ` (${Math.round((e.weight / total) * 100)}%)` : '';
+    return `• \`${e.id}\` — ${bot.trollEffectLabel(e.id, t)}: ${e.enabled ? `${t('trollEffects.on', { weight: e.weight })}${chance}` : t('common.off')}`;
+  });
+  return `${t('trollEffects.title')}\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  data: {
+    name: 'troll_effects',
+    description: 'Admin-only: choose which troll box effects can happen',
+    level: 'admin',
+    options: [
+      { name: 'show', description: 'List troll effects and their weights', type: 1 },
+      {
+        name: 'set',
+        description: 'Enable or disable a troll effect and set its weight',
+        type: 1,
+        options: [
+          {
+            name: 'effect',
+            description: 'Effect to change',
+            type: 3,
+            required: true,
+            choices: Object.entries(TROLL_EFFECT_LABELS).map(([id, label]) => ({ name: label, value: id }))
+          },
+          { name: 'enabled', description: 'Whether this effect can be picked', type: 5, required: true },
+          { name: 'weight', description: 'Relative chance of this effect', type: 4, required: false, min_value: 1 }
+        ]
+      }
+    ]
+  },
+
+  subcommands: {
+    show: (interaction, ctx) => interaction.reply({ content: describeTrollEffects(ctx), ephemeral: true }),
+
+    set(interaction, ctx) {
+      const { bot, state, t } = ctx;
+      const effectId = interaction.options.getString('effect', true);
+      if (!TROLL_EFFECT_LABELS[effectId]) return interaction.reply({ content: t('trollEffects.unknown'), ephemeral: true });
+      const current = bot.getTrollEffectConfig(state.settings).find(e => e.id === effectId);
+      const next = {
+        enabled: interaction.options.getBoolean('enabled', true),
+        weight: interaction.options.getInteger('weight') ?? current.weight
+      };
+      state.settings.trollEffects = state.settings.trollEffects || {};
+      state.settings.trollEffects[effectId] = next;
+      bot.saveStorage();
+      const show = e => `${e.enabled ? 'on' : 'off'}, weight ${e.weight}`;
+      bot.postAudit(interaction.guildId, {
+        title: '/troll_effects set',
+        actorId: interaction.user.id,
+        changes: [{ name: effectId, from: show(current), to: show(next) }]
+      });
+      return interaction.reply({ content: describeTrollEffects(ctx), ephemeral: true });
+    }
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * Timings, limits and fixed tables shared by the bot (src/bot.js) and the command
+ * modules (src/commands/).
+ */
+
+const VOTE_DURATION_SECONDS = 45;
+const TIMEOUT_DURATION_SECONDS = 60;
+const COOLDOWN_DURATION_MINUTES = 15;
+const IMMUNITY_MINUTES = 15;
+const BACKFIRE_COMMAND_COOLDOWN_MINUTES = 15;
+const BACKFIRE_CHANCE = 0.5; // chance a failed snowball vote times out the thrower instead
+const DROP_EXPIRE_HOURS = 48;
+const DROP_MESSAGE_LIFETIME_MS = 10 * 1000; // delete drop message after 10 seconds
+const DEFAULT_BOX_COUNT = 4;
+const DEFAULT_TROLL_COUNT = 2;
+const MAX_BOXES = 25; // Discord allows 5 rows of 5 buttons
+const MAX_EMBEDS = 10; // above this a drop is shown as one embed with a field per box
+const LEADERBOARD_PAGE_SIZE = 10;
+const LEADERBOARD_PERIODS = {
+  all: 'All-time',
+  season: 'This season',
+  week: 'Last 7 days',
+  today: 'Today (UTC)'
+};
+// unique: one per member; tradeable: can change hands with /trade (immunity is applied on
+// purchase, so there is nothing left to hand over).
+const SHOP_ITEM_TYPES = {
+  role: { label: 'Colour role', unique: true, tradeable: true },
+  title: { label: 'Custom title', unique: true, tradeable: true },
+  extra_claim: { label: 'Extra claim in one drop', unique: false, tradeable: true },
+  snowball_immunity: { label: 'Snowball immunity', unique: false, tradeable: false }
+};
+const DEFAULT_IMMUNITY_HOURS = 24;
+const DEFAULT_TRANSFER_CAP = 25; // gift boxes a member may send, and receive, per UTC day
+const GIFT_CONFIRM_SECONDS = 60;
+const TRADE_EXPIRE_MINUTES = 5;
+const SEASON_CONFIRM_SECONDS = 60;
+const SEASON_NAME_MAX = 32;
+const LANGUAGE_NAMES = { en: 'English', es: 'Español', de: 'Deutsch' }; // one per locales/*.json
+const LEVEL_NAMES = { user: 'User', moderator: 'Moderator', admin: 'Admin', owner: 'Owner' };
+const FAST_CLAIM_MS = 400; // claims this soon after a drop appears count as suspiciously fast
+const FAST_CLAIM_WINDOW = 10; // look at a member's last N claims...
+const FAST_CLAIM_MIN = 5; // ...and flag them when this many were fast
+const FAST_PAIR_MIN_SHARED = 4; // flag two members fast-claiming the same drops this often
+const ABUSE_FLAG_COOLDOWN_HOURS = 24;
+// Troll box effects (see TROLL EFFECTS in src/bot.js) and their English labels.
+const TROLL_ROLE_MINUTES = 30;
+const TROLL_NICKNAME_MINUTES = 30;
+const TROLL_TIMEOUT_SECONDS = 30;
+const TROLL_EFFECT_LABELS = {
+  temp_role: `Troll role for ${TROLL_ROLE_MINUTES} minutes`,
+  nickname: `Nickname prefix for ${TROLL_NICKNAME_MINUTES} minutes`,
+  lose_box: 'Lose 1 gift box',
+  timeout: `${TROLL_TIMEOUT_SECONDS}s timeout`,
+  nothing: 'Nothing happens'
+};
+
+module.exports = {
+  VOTE_DURATION_SECONDS,
+  TIMEOUT_DURATION_SECONDS,
+  COOLDOWN_DURATION_MINUTES,
+  IMMUNITY_MINUTES,
+  BACKFIRE_COMMAND_COOLDOWN_MINUTES,
+  BACKFIRE_CHANCE,
+  DROP_EXPIRE_HOURS,
+  DROP_MESSAGE_LIFETIME_MS,
+  DEFAULT_BOX_COUNT,
+  DEFAULT_TROLL_COUNT,
+  MAX_BOXES,
+  MAX_EMBEDS,
+  LEADERBOARD_PAGE_SIZE,
+  LEADERBOARD_PERIODS,
+  SHOP_ITEM_TYPES,
+  DEFAULT_IMMUNITY_HOURS,
+  DEFAULT_TRANSFER_CAP,
+  GIFT_CONFIRM_SECONDS,
+  TRADE_EXPIRE_MINUTES,
+  SEASON_CONFIRM_SECONDS,
+  SEASON_NAME_MAX,
+  LANGUAGE_NAMES,
+  LEVEL_NAMES,
+  FAST_CLAIM_MS,
+  FAST_CLAIM_WINDOW,
+  FAST_CLAIM_MIN,
+  FAST_PAIR_MIN_SHARED,
+  ABUSE_FLAG_COOLDOWN_HOURS,
+  TROLL_ROLE_MINUTES,
+  TROLL_NICKNAME_MINUTES,
+  TROLL_TIMEOUT_SECONDS,
+  TROLL_EFFECT_LABELS
+};
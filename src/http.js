@@ -0,0 +1,226 @@
+/**
+ * Optional HTTP server inside the bot process (HTTP_PORT), for organisers who do not live
+ * in Discord.
+ * - /api/...: JSON admin API, only when ADMIN_API_TOKEN is set. Every request needs
+ *   "Authorization: Bearer <token>". Writes go through the bot's admin actions (see ADMIN
+ *   ACTIONS in src/bot.js), the same code the slash commands use, and are audited.
+ * - /: the dashboard (public/dashboard.html), a static page on top of the API.
+ * - /healthz and /metrics: always on and without a token, for container health checks and
+ *   Prometheus. /healthz answers 200 while the gateway connection is ready, 503 otherwise.
+ *   Bind HTTP_HOST to an address your scraper can reach but the internet cannot.
+ *
+ *   GET  /api/guilds                              servers the bot is in
+ *   GET  /api/guilds/:guild/settings              settings, season and next drop
+ *   GET  /api/guilds/:guild/drops                 active drops
+ *   GET  /api/guilds/:guild/leaderboard?period=   all | season | week | today
+ *   GET  /api/guilds/:guild/users/:user           a member's count
+ *   POST /api/guilds/:guild/auto-drops            { enabled }
+ *   POST /api/guilds/:guild/drops                 { channelId }
+ *   POST /api/guilds/:guild/users/:user/count     { count } or { add }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Status } = require('discord.js');
+const { LEADERBOARD_PERIODS } = require('./constants');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { logger } = require('./logger');
+const { translator } = require('./i18n');
+
+const log = logger.child('http');
+const DASHBOARD_FILE = path.join(__dirname, '..', 'public', 'dashboard.html');
+const MAX_BODY_BYTES = 16 * 1024;
+const EN = translator('en');
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, Object.assign({ 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' }, headers));
+  res.end(JSON.stringify(body));
+}
+
+// Past MAX_BODY_BYTES the rest of the body is read and thrown away rather than the request
+// destroyed, so the client gets the 413 (sent with Connection: close) instead of a reset.
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let tooLarge = false;
+    const chunks = [];
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      if (!chunks.length) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Constant-time, so the token cannot be guessed a character at a time.
+function tokenMatches(header, token) {
+  const m = /^Bearer (.+)$/.exec(header || '');
+  if (!m) return false;
+  const given = crypto.createHash('sha256').update(m[1]).digest();
+  const wanted = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, wanted);
+}
+
+/**
+ * bot:    what createBot returns
+ * client: the client the bot runs on, for guild and channel lookups
+ * adminToken: enables /api and the dashboard; without it both answer 404 (/healthz and
+ *             /metrics stay up either way)
+ */
+function createHttpServer({ bot, client, adminToken = null }) {
+  const guildOr404 = id => {
+    const guild = client.guilds.cache.get(id);
+    if (!guild) throw new HttpError(404, 'Unknown guild');
+    return guild;
+  };
+
+  const routes = [
+    ['GET', /^\/api\/guilds$/, () => [...client.guilds.cache.values()].map(g => {
+      const state = bot.getGuildState(g.id);
+      return { id: g.id, name: g.name, autoDropEnabled: state.settings.autoDropEnabled, activeDrops: Object.keys(state.activeDrops).length };
+    })],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/settings$/, ({ params: [guildId] }) => {
+      const guild = guildOr404(guildId);
+      const state = bot.getGuildState(guildId);
+      const channels = [...guild.channels.cache.values()]
+        .filter(ch => ch.isTextBased())
+        .map(ch => ({ id: ch.id, name: ch.name }));
+      return {
+        id: guild.id,
+        name: guild.name,
+        settings: state.settings,
+        season: state.seasons.current,
+        nextDrop: bot.describeNextDrop(guildId, EN),
+        channels
+      };
+    }],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/drops$/, ({ params: [guildId] }) => {
+      guildOr404(guildId);
+      return Object.entries(bot.getGuildState(guildId).activeDrops).map(([id, drop]) => ({
+        id,
+        channelId: drop.channelId,
+        messageId: drop.messageId,
+        createdAt: drop.createdAt,
+        expiresAt: drop.expiresAt,
+        boxCount: drop.boxCount,
+        claimedBy: Object.keys(drop.collectedBy || {})
+      }));
+    }],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/leaderboard$/, ({ params: [guildId], query }) => {
+      guildOr404(guildId);
+      const period = query.get('period') || 'all';
+      if (!LEADERBOARD_PERIODS[period]) throw new HttpError(400, `period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`);
+      const entries = bot.leaderboardEntries(bot.getGuildState(guildId), period);
+      return { period, entries: entries.map(([userId, count]) => ({ rank: bot.rankOf(entries, count), userId, count })) };
+    }],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/users\/(\d+)$/, ({ params: [guildId, userId] }) => {
+      guildOr404(guildId);
+      return { userId, count: bot.getGuildState(guildId).userCounts[userId] || 0 };
+    }],
+
+    ['POST', /^\/api\/guilds\/(\d+)\/auto-drops$/, ({ params: [guildId], body }) => {
+      guildOr404(guildId);
+      if (typeof body.enabled !== 'boolean') throw new HttpError(400, 'enabled must be true or false');
+      const enabled = bot.setAutoDrops(guildId, body.enabled, { title: `Dashboard: automatic drops ${body.enabled ? 'on' : 'off'}` });
+      return { autoDropEnabled: enabled, dropChannels: bot.getGuildState(guildId).settings.dropChannels.length };
+    }],
+
+    ['POST', /^\/api\/guilds\/(\d+)\/drops$/, async ({ params: [guildId], body }) => {
+      const guild = guildOr404(guildId);
+      const channel = guild.channels.cache.get(String(body.channelId || ''));
+      if (!channel || !channel.isTextBased()) throw new HttpError(400, 'channelId must be a text channel in this server');
+      const dropId = await bot.dropNow(guild, channel, { title: 'Dashboard: drop now' });
+      if (!dropId) throw new HttpError(502, 'Sending the drop failed; see the bot logs.');
+      return { dropId, channelId: channel.id };
+    }],
+
+    ['POST', /^\/api\/guilds\/(\d+)\/users\/(\d+)\/count$/, ({ params: [guildId, userId], body }) => {
+      guildOr404(guildId);
+      const current = bot.getGuildState(guildId).userCounts[userId] || 0;
+      const target = Number.isInteger(body.count) ? body.count : Number.isInteger(body.add) ? current + body.add : null;
+      if (target === null) throw new HttpError(400, 'Send an integer count or add');
+      const count = bot.setUserCount(guildId, userId, target, { title: 'Dashboard: gift box count' });
+      return { userId, count };
+    }]
+  ];
+
+  async function handleApi(req, res, url) {
+    if (!tokenMatches(req.headers.authorization, adminToken)) throw new HttpError(401, 'Missing or wrong token');
+    const matching = routes.filter(([, pattern]) => pattern.test(url.pathname));
+    if (!matching.length) throw new HttpError(404, 'Not found');
+    const route = matching.find(([method]) => method === req.method);
+    if (!route) throw new HttpError(405, 'Method not allowed');
+    const body = req.method === 'POST' ? await readJson(req) : {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Body must be a JSON object');
+    const params = route[1].exec(url.pathname).slice(1);
+    sendJson(res, 200, await route[2]({ params, query: url.searchParams, body }));
+  }
+
+  function health() {
+    const status = client.ws ? client.ws.status : null;
+    const ready = client.isReady() && status === Status.Ready;
+    return {
+      code: ready ? 200 : 503,
+      body: {
+        status: ready ? 'ok' : 'unavailable',
+        gateway: Object.keys(Status).find(name => Status[name] === status) || 'Unknown',
+        ping: client.ws && client.ws.ping >= 0 ? client.ws.ping : null,
+        uptime: Math.round(process.uptime())
+      }
+    };
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && url.pathname === '/healthz') {
+        const { code, body } = health();
+        return sendJson(res, code, body);
+      }
+      if (req.method === 'GET' && url.pathname === '/metrics') {
+        res.writeHead(200, { 'content-type': METRICS_CONTENT_TYPE, 'cache-control': 'no-store' });
+        return res.end(bot.metrics.render());
+      }
+      if (adminToken && url.pathname.startsWith('/api/')) return await handleApi(req, res, url);
+      if (adminToken && req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        return fs.createReadStream(DASHBOARD_FILE).pipe(res);
+      }
+      throw new HttpError(404, 'Not found');
+    } catch (e) {
+      if (!(e instanceof HttpError)) log.error('HTTP handler failed', { method: req.method, path: url.pathname, err: e });
+      if (!res.headersSent) sendJson(res, e.status || 500, { error: e instanceof HttpError ? e.message : 'Internal error' }, e.status === 413 ? { connection: 'close' } : {});
+    }
+  });
+}
+
+module.exports = { createHttpServer, HttpError };
@@ -0,0 +1,115 @@
+/**
+ * Message catalogs (locales/<lang>.json) for replies and command descriptions.
+ * - Keys are dotted paths, e.g. "shop.bought". {name} placeholders are filled from vars.
+ * - A value may be a plural object ({ one, other, ... } per Intl.PluralRules), picked by
+ *   vars.count.
+ * - Missing keys fall back to English, then to the key itself, so a partial catalog is fine.
+ * - The "commands" section mirrors the command tree and feeds name_localizations and
+ *   description_localizations: commands.<command>.{name, description}, subcommands and
+ *   options under .options.<name>, choices under .choices.<value>. English stays in the
+ *   command definitions themselves.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+// Discord locale codes served by each catalog.
+const DISCORD_LOCALES = { en: ['en-US', 'en-GB'], es: ['es-ES', 'es-419'], de: ['de'] };
+const SUPPORTED_LOCALES = Object.keys(DISCORD_LOCALES);
+
+const catalogs = {};
+for (const locale of SUPPORTED_LOCALES) {
+  catalogs[locale] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'));
+}
+
+function lookup(catalog, key) {
+  let node = catalog;
+  for (const part of key.split('.')) {
+    if (node === null || typeof node !== 'object' || !(part in node)) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+const pluralRules = {};
+function pluralCategory(locale, count) {
+  if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+  return pluralRules[locale].select(count);
+}
+
+// "es-ES" -> "es"; null if there is no catalog for it.
+function catalogLocale(locale) {
+  if (!locale) return null;
+  const base = String(locale).toLowerCase().split('-')[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+// The guild's forced language wins; otherwise the member's own Discord language, then the
+// guild's community language, then English.
+function resolveLocale(override, userLocale, guildLocale) {
+  return catalogLocale(override) || catalogLocale(userLocale) || catalogLocale(guildLocale) || DEFAULT_LOCALE;
+}
+
+function translate(locale, key, vars = {}) {
+  let value = lookup(catalogs[locale] || {}, key);
+  if (value === undefined && locale !== DEFAULT_LOCALE) {
+    locale = DEFAULT_LOCALE;
+    value = lookup(catalogs[DEFAULT_LOCALE], key);
+  }
+  if (value === undefined) return key;
+  if (value !== null && typeof value === 'object') {
+    value = value[pluralCategory(locale, Number(vars.count))] ?? value.other;
+  }
+  return String(value).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+// t(key, vars) bound to one locale; t.locale names it.
+function translator(locale) {
+  const t = (key, vars) => translate(locale, key, vars);
+  t.locale = locale;
+  return t;
+}
+
+function localizations(node, field) {
+  const out = {};
+  for (const locale of SUPPORTED_LOCALES) {
+    if (locale === DEFAULT_LOCALE) continue;
+    const value = lookup(catalogs[locale], node ? `${node}.${field}` : field);
+    if (typeof value === 'string') for (const code of DISCORD_LOCALES[locale]) out[code] = value;
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+// Copy of the command definitions with name_/description_localizations filled in.
+function localizeCommands(commands) {
+  const walk = (item, prefix) => {
+    const key = `${prefix}.${item.name}`;
+    const out = Object.assign({}, item);
+    const names = localizations(key, 'name');
+    const descriptions = localizations(key, 'description');
+    if (names) out.name_localizations = names;
+    if (descriptions) out.description_localizations = descriptions;
+    if (item.options) out.options = item.options.map(o => walk(o, `${key}.options`));
+    if (item.choices) {
+      out.choices = item.choices.map(c => {
+        const choiceNames = localizations(`${key}.choices`, c.value);
+        return choiceNames ? Object.assign({}, c, { name_localizations: choiceNames }) : c;
+      });
+    }
+    return out;
+  };
+  return commands.map(c => walk(c, 'commands'));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  catalogs,
+  catalogLocale,
+  resolveLocale,
+  translate,
+  translator,
+  localizeCommands
+};
@@ -0,0 +1,178 @@
+/**
+ * Logging. Every diagnostic goes through here instead of console.
+ * - Levels: debug < info < warn < error; "silent" turns everything off. LOG_LEVEL picks
+ *   the lowest level written (default info).
+ * - Tags: logger.child('drops') labels a part of the bot (scheduler, storage, drops,
+ *   commands, ...), so its lines can be filtered.
+ * - Fields: log.info('Drop sent', { guild, channel, drop }). IDs go in fields rather
+ *   than in the message; err takes an Error (its stack is kept) or a string.
+ * - Output: text lines ("<time> INFO  [drops] Drop sent guild=1 drop=x") or one JSON
+ *   object per line (LOG_FORMAT=json). Warnings and errors go to stderr, the rest to stdout.
+ * - File: LOG_FILE also appends every line to that file. Once it would grow past
+ *   LOG_MAX_BYTES it is rotated to LOG_FILE.1 .. LOG_FILE.<LOG_MAX_FILES>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+const DEFAULTS = {
+  level: 'info',
+  json: false,
+  file: null,
+  maxBytes: DEFAULT_MAX_BYTES,
+  maxFiles: DEFAULT_MAX_FILES,
+  stdout: process.stdout,
+  stderr: process.stderr
+};
+
+// Shared by every logger, so child loggers made at require time follow configureLogger().
+let settings = Object.assign({}, DEFAULTS);
+let sink = null;
+
+/* ---------------- FILE ROTATION ---------------- */
+
+class RotatingFile {
+  constructor(file, { maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES } = {}) {
+    this.file = path.resolve(file);
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    this.fd = fs.openSync(this.file, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  // file -> file.1 -> file.2 ...; the oldest copy past maxFiles is dropped.
+  rotate() {
+    fs.closeSync(this.fd);
+    for (let n = this.maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(`${this.file}.${n}`)) fs.renameSync(`${this.file}.${n}`, `${this.file}.${n + 1}`);
+    }
+    if (this.maxFiles > 0) fs.renameSync(this.file, `${this.file}.1`);
+    else fs.unlinkSync(this.file);
+    this.open();
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+/* ---------------- FORMATTING ---------------- */
+
+function errorFields(err) {
+  if (err instanceof Error) return { message: err.message, stack: err.stack, ...(err.code !== undefined ? { code: err.code } : {}) };
+  return { message: String(err) };
+}
+
+function formatJson(record) {
+  const { err, ...rest } = record;
+  return JSON.stringify(err === undefined ? rest : { ...rest, err: errorFields(err) }, (k, v) => (typeof v === 'bigint' ? String(v) : v));
+}
+
+const quote = value => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+};
+
+function formatText({ time, level, tag, msg, err, ...fields }) {
+  let line = `${time} ${level.toUpperCase().padEnd(5)} ${tag ? `[${tag}] ` : ''}${msg}`;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) line += ` ${key}=${quote(value)}`;
+  }
+  if (err !== undefined) line += err instanceof Error ? `\n${err.stack || err.message}` : ` err=${quote(String(err))}`;
+  return line;
+}
+
+/* ---------------- LOGGERS ---------------- */
+
+class Logger {
+  constructor(tag = null, fields = {}) {
+    this.tag = tag;
+    this.fields = fields;
+  }
+
+  /** A logger with a tag (string) and/or fixed fields added to every line. */
+  child(tagOrFields) {
+    if (typeof tagOrFields === 'string') return new Logger(tagOrFields, this.fields);
+    return new Logger(this.tag, Object.assign({}, this.fields, tagOrFields));
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[settings.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+    const record = Object.assign({ time: new Date().toISOString(), level, tag: this.tag || undefined, msg }, this.fields, fields);
+    const line = `${settings.json ? formatJson(record) : formatText(record)}\n`;
+    (LEVELS[level] >= LEVELS.warn ? settings.stderr : settings.stdout).write(line);
+    if (sink) {
+      try {
+        sink.write(line);
+      } catch (e) {
+        settings.stderr.write(`Log file write failed: ${e.message}\n`);
+      }
+    }
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+/**
+ * Change where and what the shared logger writes. Unset options keep their current value.
+ * Returns the previous options, so tests can put them back.
+ *   level, json, file (null for none), maxBytes, maxFiles, stdout, stderr (writable streams)
+ */
+function configureLogger(options = {}) {
+  if (options.level !== undefined && !(options.level in LEVELS)) {
+    throw new Error(`Unknown LOG_LEVEL "${options.level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  const previous = settings;
+  settings = Object.assign({}, settings, options);
+  if (sink && (settings.file !== previous.file || settings.maxBytes !== previous.maxBytes || settings.maxFiles !== previous.maxFiles)) {
+    sink.close();
+    sink = null;
+  }
+  if (settings.file && !sink) sink = new RotatingFile(settings.file, settings);
+  return previous;
+}
+
+// Logger options from the environment: LOG_LEVEL, LOG_FORMAT (text|json), LOG_FILE,
+// LOG_MAX_BYTES, LOG_MAX_FILES.
+function loggerOptionsFromEnv(env = process.env) {
+  const number = (name, fallback) => {
+    if (!env[name]) return fallback;
+    const n = Number(env[name]);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a whole number`);
+    return n;
+  };
+  return {
+    level: (env.LOG_LEVEL || DEFAULTS.level).toLowerCase(),
+    json: (env.LOG_FORMAT || 'text').toLowerCase() === 'json',
+    file: env.LOG_FILE || null,
+    maxBytes: number('LOG_MAX_BYTES', DEFAULT_MAX_BYTES),
+    maxFiles: number('LOG_MAX_FILES', DEFAULT_MAX_FILES)
+  };
+}
+
+module.exports = { logger, Logger, configureLogger, loggerOptionsFromEnv, RotatingFile, LEVELS };
@@ -0,0 +1,144 @@
+/**
+ * Prometheus metrics, rendered in the text exposition format for GET /metrics (src/http.js).
+ * - counter(name, help, labelNames): inc(labels, by)
+ * - gauge(name, help, labelNames, collect): set(labels, value); collect() runs at scrape
+ *   time and may set values itself (e.g. from the client or the drop timers)
+ * - histogram(name, help, labelNames, buckets): observe(labels, value)
+ * Label values are keyed in labelNames order, so {guild, kind} and {kind, guild} are the
+ * same series.
+ */
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const formatValue = value => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+function formatLabels(pairs) {
+  if (!pairs.length) return '';
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  key(labels = {}) {
+    return JSON.stringify(this.labelNames.map(n => (labels[n] === undefined ? '' : String(labels[n]))));
+  }
+
+  labelPairs(key) {
+    return JSON.parse(key).map((v, i) => [this.labelNames[i], v]);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, by = 1) {
+    const key = this.key(labels);
+    this.series.set(key, (this.series.get(key) || 0) + by);
+  }
+
+  get(labels) {
+    return this.series.get(this.key(labels)) || 0;
+  }
+
+  lines() {
+    return [...this.series].map(([key, value]) => `${this.name}${formatLabels(this.labelPairs(key))} ${formatValue(value)}`);
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help, labelNames, collect = null) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.series.set(this.key(labels), value);
+  }
+
+  lines() {
+    if (this.collect) this.collect(this);
+    return super.lines();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let entry = this.series.get(key);
+    if (!entry) this.series.set(key, entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    this.buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  lines() {
+    const out = [];
+    for (const [key, { counts, sum, count }] of this.series) {
+      const pairs = this.labelPairs(key);
+      this.buckets.forEach((le, i) => out.push(`${this.name}_bucket${formatLabels([...pairs, ['le', formatValue(le)]])} ${counts[i]}`));
+      out.push(`${this.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${count}`);
+      out.push(`${this.name}_sum${formatLabels(pairs)} ${formatValue(sum)}`);
+      out.push(`${this.name}_count${formatLabels(pairs)} ${count}`);
+    }
+    return out;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  add(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.add(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /** Every metric in the Prometheus text format (version 0.0.4). */
+  render() {
+    const out = [];
+    for (const metric of this.metrics.values()) {
+      out.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      out.push(`# TYPE ${metric.name} ${metric.type}`);
+      out.push(...metric.lines());
+    }
+    return `${out.join('\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { Registry, Counter, Gauge, Histogram, CONTENT_TYPE };
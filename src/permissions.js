@@ -0,0 +1,99 @@
+/**
+ * Permission levels: user < moderator < admin < owner.
+ * - owner: the bot owners (OWNER_ID, comma-separated) and the server owner. Never granted.
+ * - admin: Manage Server (Administrator implies it). moderator: MOD_ROLE_ID or any of
+ *   MODERATOR_PERMISSIONS. Everyone else is a user.
+ * - settings.permissions = { roles: { [roleId]: level }, users: { [userId]: level } }, set with
+ *   /permissions. A member gets the highest of their Discord level and their roles' levels; a
+ *   level set on the member themselves replaces both, so it can also lower someone.
+ * - Command definitions declare `level` (default user); a subcommand or group may ask for
+ *   more. The command's own level becomes its default_member_permissions, so Discord hides it
+ *   from members who cannot use it by default (server admins can change that under Server
+ *   Settings > Integrations, e.g. for roles mapped with /permissions).
+ */
+
+const { PermissionsBitField } = require('discord.js');
+
+const { Flags } = PermissionsBitField;
+const LEVELS = ['user', 'moderator', 'admin', 'owner'];
+const GRANTABLE_LEVELS = ['user', 'moderator', 'admin'];
+const ADMIN_PERMISSIONS = [Flags.ManageGuild];
+const MODERATOR_PERMISSIONS = [Flags.ManageMessages, Flags.ManageChannels, Flags.KickMembers, Flags.BanMembers];
+const DEFAULT_MEMBER_PERMISSIONS = {
+  user: null,
+  moderator: Flags.ManageMessages,
+  admin: Flags.ManageGuild,
+  owner: Flags.Administrator
+};
+
+const rank = level => Math.max(0, LEVELS.indexOf(level));
+const atLeast = (level, needed) => rank(level) >= rank(needed);
+const higher = (a, b) => (rank(b) > rank(a) ? b : a);
+
+function normalizeMappings(mappings) {
+  return Object.assign({ roles: {}, users: {} }, mappings);
+}
+
+// Interaction members are GuildMembers, or raw API members (role id list, permission
+// string) when the guild is not cached.
+function memberRoleIds(member) {
+  if (!member || !member.roles) return [];
+  if (Array.isArray(member.roles)) return member.roles;
+  return member.roles.cache ? [...member.roles.cache.keys()] : [];
+}
+
+function hasAnyPermission(member, flags) {
+  let perms = member && member.permissions;
+  if (typeof perms === 'string') perms = new PermissionsBitField(BigInt(perms));
+  if (!perms || typeof perms.has !== 'function') return false;
+  return flags.some(flag => perms.has(flag));
+}
+
+function memberLevel({ userId, member, guildOwnerId = null, ownerIds = [], modRoleId = null, mappings }) {
+  const id = String(userId);
+  if (ownerIds.includes(id) || id === String(guildOwnerId)) return 'owner';
+  const map = normalizeMappings(mappings);
+  if (map.users[id]) return map.users[id];
+  const roleIds = memberRoleIds(member);
+  let level = 'user';
+  if (hasAnyPermission(member, ADMIN_PERMISSIONS)) level = 'admin';
+  else if (hasAnyPermission(member, MODERATOR_PERMISSIONS) || (modRoleId && roleIds.includes(modRoleId))) level = 'moderator';
+  for (const roleId of roleIds) {
+    if (map.roles[roleId]) level = higher(level, map.roles[roleId]);
+  }
+  return level;
+}
+
+// The level a command needs; path names the subcommand (group first) being run.
+function requiredLevel(command, path = []) {
+  let level = (command && command.level) || 'user';
+  let node = command;
+  for (const name of path) {
+    node = node && (node.options || []).find(o => o.name === name);
+    if (node && node.level) level = higher(level, node.level);
+  }
+  return level;
+}
+
+function withoutLevels(item) {
+  const { level, ...out } = item;
+  if (item.options) out.options = item.options.map(withoutLevels);
+  return out;
+}
+
+// A command definition as Discord expects it: level fields dropped,
+// default_member_permissions set from the command's level.
+function applyCommandPermissions(command) {
+  const flag = DEFAULT_MEMBER_PERMISSIONS[command.level || 'user'];
+  return Object.assign(withoutLevels(command), { default_member_permissions: flag === null ? null : String(flag) });
+}
+
+module.exports = {
+  LEVELS,
+  GRANTABLE_LEVELS,
+  atLeast,
+  normalizeMappings,
+  memberLevel,
+  requiredLevel,
+  applyCommandPermissions
+};
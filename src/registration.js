@@ -0,0 +1,117 @@
+/**
+ * Publishing slash commands: what Discord has, how it differs from ours, and putting ours
+ * in place. Used on startup (index.js) and by the CLI (cli.js).
+ * - A scope is a guild id, or null for global commands.
+ * - baseUrl replaces https://discord.com/api, e.g. to point at a local mock server.
+ * - Commands are compared on the fields we send; ids, versions and defaults Discord fills
+ *   in do not count as changes.
+ */
+
+const { REST, Routes } = require('discord.js');
+
+// Fields Discord adds to the commands it returns that we never send.
+const SERVER_FIELDS = new Set(['id', 'application_id', 'guild_id', 'version', 'default_permission', 'dm_permission', 'nsfw', 'integration_types', 'contexts', 'handler']);
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+// Discord leaves out what is false or empty (required: false, no options, no localizations).
+const isEmpty = v => v === undefined || v === null || v === false
+  || (Array.isArray(v) && v.length === 0) || (isPlainObject(v) && Object.keys(v).length === 0);
+
+function createRest({ token, baseUrl = null }) {
+  return new REST(Object.assign({ version: '10' }, baseUrl ? { api: baseUrl.replace(/\/+$/, '') } : {})).setToken(token);
+}
+
+function commandsRoute(clientId, guildId) {
+  return guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+}
+
+function commandRoute(clientId, guildId, commandId) {
+  return guildId ? Routes.applicationGuildCommand(clientId, guildId, commandId) : Routes.applicationCommand(clientId, commandId);
+}
+
+// A command reduced to what matters for comparing, with keys in a fixed order.
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!isPlainObject(value)) return value;
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    if (SERVER_FIELDS.has(key) || isEmpty(value[key])) continue;
+    out[key] = canonical(value[key]);
+  }
+  return out;
+}
+
+// Chat input is the default command type, whether or not it was spelled out.
+function sameCommand(a, b) {
+  return JSON.stringify(canonical({ type: 1, ...a })) === JSON.stringify(canonical({ type: 1, ...b }));
+}
+
+// local: the payload we would publish; remote: what Discord has. Lists of names.
+function diffCommands(local, remote) {
+  const remoteByName = new Map(remote.map(c => [c.name, c]));
+  const localNames = new Set(local.map(c => c.name));
+  const diff = { added: [], changed: [], removed: [], unchanged: [] };
+  for (const command of local) {
+    const existing = remoteByName.get(command.name);
+    if (!existing) diff.added.push(command.name);
+    else if (sameCommand(command, existing)) diff.unchanged.push(command.name);
+    else diff.changed.push(command.name);
+  }
+  diff.removed = remote.map(c => c.name).filter(name => !localNames.has(name));
+  return diff;
+}
+
+const hasChanges = diff => diff.added.length + diff.changed.length + diff.removed.length > 0;
+
+function formatDiff(diff) {
+  const lines = [
+    ...diff.added.map(name => `+ /${name}`),
+    ...diff.changed.map(name => `~ /${name}`),
+    ...diff.removed.map(name => `- /${name}`)
+  ];
+  return lines.length ? lines.join('\n') : `No changes (${diff.unchanged.length} commands up to date).`;
+}
+
+async function fetchCommands(rest, clientId, guildId) {
+  return rest.get(commandsRoute(clientId, guildId), { query: new URLSearchParams({ with_localizations: 'true' }) });
+}
+
+// Replaces the scope's commands with body unless nothing changed (or dryRun). Returns the
+// diff and whether anything was sent.
+async function deployCommands(rest, clientId, guildId, body, { force = false, dryRun = false } = {}) {
+  const diff = diffCommands(body, await fetchCommands(rest, clientId, guildId));
+  const deployed = !dryRun && (force || hasChanges(diff));
+  if (deployed) await rest.put(commandsRoute(clientId, guildId), { body });
+  return Object.assign(diff, { deployed });
+}
+
+// Deletes the named commands, or all of them when names is empty. Returns the names deleted
+// and the ones Discord does not have.
+async function deleteCommands(rest, clientId, guildId, names = []) {
+  const remote = await fetchCommands(rest, clientId, guildId);
+  const wanted = names.length ? names : remote.map(c => c.name);
+  const deleted = [];
+  const missing = [];
+  for (const name of wanted) {
+    const command = remote.find(c => c.name === name);
+    if (!command) {
+      missing.push(name);
+      continue;
+    }
+    await rest.delete(commandRoute(clientId, guildId, command.id));
+    deleted.push(name);
+  }
+  return { deleted, missing };
+}
+
+module.exports = {
+  createRest,
+  canonical,
+  sameCommand,
+  diffCommands,
+  hasChanges,
+  formatDiff,
+  fetchCommands,
+  deployCommands,
+  deleteCommands
+};
@@ -0,0 +1,134 @@
+/**
+ * Automatic drop schedule maths. Pure functions, no discord.js.
+ * schedule = { minMinutes, maxMinutes, timezone, quietStart, quietEnd, days, activityMessages }
+ * - quietStart / quietEnd are minutes after local midnight; the window wraps past midnight
+ *   when quietStart > quietEnd. null (or equal values) means no quiet hours.
+ * - days lists the local weekdays drops may happen on, 0 = Sunday.
+ * - activityMessages > 0 holds a due drop back until that many messages have been posted
+ *   in the drop channel since the previous drop.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE_MS = 60 * 1000;
+// A schedule with at least one allowed day always has an allowed minute within a week.
+const MAX_SEARCH_MINUTES = 8 * 24 * 60;
+
+const DEFAULT_SCHEDULE = {
+  minMinutes: 5,
+  maxMinutes: 10,
+  timezone: 'UTC',
+  quietStart: null,
+  quietEnd: null,
+  days: [0, 1, 2, 3, 4, 5, 6],
+  activityMessages: 0
+};
+
+function normalizeSchedule(raw) {
+  const s = Object.assign({}, DEFAULT_SCHEDULE, raw);
+  s.days = Array.isArray(s.days) && s.days.length ? [...s.days] : [...DEFAULT_SCHEDULE.days];
+  return s;
+}
+
+const formatters = new Map();
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Local weekday (0 = Sunday) and minute of the day at `ts` in `timezone`.
+function localTime(ts, timezone) {
+  const parts = {};
+  for (const p of formatterFor(timezone).formatToParts(new Date(ts))) parts[p.type] = p.value;
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+    minute: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// "22:30" -> 1350; null if it is not a valid 24h time.
+function parseClock(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function formatClock(minute) {
+  return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+}
+
+// "mon,wed,fri", "weekdays", "weekends" or "all" -> sorted day numbers; null if unreadable.
+function parseDays(text) {
+  const days = new Set();
+  for (const word of String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+    if (word === 'all') [0, 1, 2, 3, 4, 5, 6].forEach(d => days.add(d));
+    else if (word === 'weekdays') [1, 2, 3, 4, 5].forEach(d => days.add(d));
+    else if (word === 'weekends') [0, 6].forEach(d => days.add(d));
+    else if (DAY_NAMES.includes(word.slice(0, 3))) days.add(DAY_NAMES.indexOf(word.slice(0, 3)));
+    else return null;
+  }
+  return days.size ? [...days].sort((a, b) => a - b) : null;
+}
+
+function formatDays(days) {
+  if (days.length === 7) return 'every day';
+  return days.map(d => DAY_NAMES[d][0].toUpperCase() + DAY_NAMES[d].slice(1)).join(', ');
+}
+
+function inQuietHours(schedule, minute) {
+  const { quietStart: start, quietEnd: end } = schedule;
+  if (start == null || end == null || start === end) return false;
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+function isAllowedAt(schedule, ts) {
+  const { day, minute } = localTime(ts, schedule.timezone);
+  return schedule.days.includes(day) && !inQuietHours(schedule, minute);
+}
+
+// First moment at or after `ts` when drops are allowed, or null if the schedule never allows one.
+function nextAllowedTime(schedule, ts) {
+  if (isAllowedAt(schedule, ts)) return ts;
+  let t = Math.ceil(ts / MINUTE_MS) * MINUTE_MS;
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++, t += MINUTE_MS) {
+    if (isAllowedAt(schedule, t)) return t;
+  }
+  return null;
+}
+
+// When the next automatic drop is due: a random interval from now, pushed forward out of
+// quiet hours and disallowed days.
+function nextDropTime(schedule, now, random = Math.random) {
+  const minutes = schedule.minMinutes + Math.floor(random() * (schedule.maxMinutes - schedule.minMinutes + 1));
+  return nextAllowedTime(schedule, now + minutes * MINUTE_MS);
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  isValidTimezone,
+  localTime,
+  parseClock,
+  formatClock,
+  parseDays,
+  formatDays,
+  isAllowedAt,
+  nextAllowedTime,
+  nextDropTime
+};
@@ -0,0 +1,26 @@
+/**
+ * Storage backends. Every backend exposes the same interface:
+ *   load()                   -> the stored object, or null if nothing is stored yet
+ *   save(data)               -> persist the whole object
+ *   recordClaim(data, claim) -> persist one box claim ({ guildId, dropId, boxId, userId, amount, entry })
+ *                               after it has been applied to `data`, where entry is the record
+ *                               appended to guild.claims; false if the box was taken
+ *   close()
+ */
+
+const { JsonStore } = require('./jsonStore');
+
+function createStore({ driver = 'json', file, sqliteFile } = {}) {
+  switch (driver) {
+    case 'json':
+      return new JsonStore(file);
+    case 'sqlite': {
+      const { SqliteStore } = require('./sqliteStore');
+      return new SqliteStore(sqliteFile);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected json or sqlite)`);
+  }
+}
+
+module.exports = { createStore, JsonStore };
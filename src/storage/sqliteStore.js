@@ -0,0 +1,242 @@
+/**
+ * SQLite storage backend (better-sqlite3).
+ * - Counts, drops and drop claims live in their own tables so a box claim is a single
+ *   transactional row update instead of a rewrite of everything.
+ * - The claim log (guild.claims) is append-only: rows are inserted, never rewritten.
+ * - Any other per-guild section (settings and whatever later features add) is stored as
+ *   a JSON blob in guild_data, keyed by section name.
+ * - save() only writes rows that differ from what the database already holds: the store
+ *   remembers every row as last loaded or written, upserts the changed ones and deletes
+ *   the ones that are gone.
+ */
+
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS guild_data (
+    guild_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (guild_id, key)
+  );
+  CREATE TABLE IF NOT EXISTS user_counts (
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (guild_id, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS drops (
+    guild_id TEXT NOT NULL,
+    drop_id TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (guild_id, drop_id)
+  );
+  CREATE TABLE IF NOT EXISTS drop_claims (
+    guild_id TEXT NOT NULL,
+    drop_id TEXT NOT NULL,
+    box_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    PRIMARY KEY (guild_id, drop_id, box_id)
+  );
+  CREATE TABLE IF NOT EXISTS claims (
+    guild_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    at INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (guild_id, id)
+  );
+`;
+
+// The tables save() keeps in step with the data: key columns, then the value column.
+const TABLES = {
+  meta: ['key', 'value'],
+  guild_data: ['guild_id', 'key', 'value'],
+  user_counts: ['guild_id', 'user_id', 'count'],
+  drops: ['guild_id', 'drop_id', 'value'],
+  drop_claims: ['guild_id', 'drop_id', 'box_id', 'user_id']
+};
+
+const rowKey = (...parts) => JSON.stringify(parts);
+
+// Every row the data maps to, as { [table]: Map(rowKey -> value) }.
+function rowsOf(data) {
+  const rows = {};
+  for (const table of Object.keys(TABLES)) rows[table] = new Map();
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'guilds') continue;
+    rows.meta.set(rowKey(key), JSON.stringify(value));
+  }
+  for (const [guildId, g] of Object.entries(data.guilds || {})) {
+    for (const [key, value] of Object.entries(g)) {
+      if (key === 'userCounts' || key === 'activeDrops' || key === 'claims') continue;
+      rows.guild_data.set(rowKey(guildId, key), JSON.stringify(value));
+    }
+    for (const [userId, count] of Object.entries(g.userCounts || {})) {
+      rows.user_counts.set(rowKey(guildId, userId), count);
+    }
+    for (const [dropId, drop] of Object.entries(g.activeDrops || {})) {
+      const { collectedBy, ...rest } = drop;
+      rows.drops.set(rowKey(guildId, dropId), JSON.stringify(rest));
+      for (const [boxId, userId] of Object.entries(collectedBy || {})) {
+        rows.drop_claims.set(rowKey(guildId, dropId, boxId), userId);
+      }
+    }
+  }
+  return rows;
+}
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3).');
+  }
+}
+
+class SqliteStore {
+  constructor(file) {
+    const Database = loadDriver();
+    this.file = path.resolve(file);
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.stmts = {
+      insertClaim: this.db.prepare('INSERT OR IGNORE INTO drop_claims (guild_id, drop_id, box_id, user_id) VALUES (?, ?, ?, ?)'),
+      appendLog: this.db.prepare('INSERT OR IGNORE INTO claims (guild_id, id, at, value) VALUES (?, ?, ?, ?)'),
+      addCount: this.db.prepare(`
+        INSERT INTO user_counts (guild_id, user_id, count) VALUES (?, ?, ?)
+        ON CONFLICT (guild_id, user_id) DO UPDATE SET count = count + excluded.count
+        RETURNING count
+      `)
+    };
+    this.upsert = {};
+    this.remove = {};
+    for (const [table, columns] of Object.entries(TABLES)) {
+      const keys = columns.slice(0, -1);
+      const value = columns[columns.length - 1];
+      this.upsert[table] = this.db.prepare(`
+        INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+        ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${value} = excluded.${value}
+      `);
+      this.remove[table] = this.db.prepare(`DELETE FROM ${table} WHERE ${keys.map(k => `${k} = ?`).join(' AND ')}`);
+    }
+
+    // Rows as the database holds them (see rowsOf) and the claim log ids already in it;
+    // read on first use.
+    this.rows = null;
+    this.logged = null;
+
+    this.saveTx = this.db.transaction((rows, entries) => this.writeChanges(rows, entries));
+    this.claimTx = this.db.transaction(claim => this.writeClaim(claim));
+  }
+
+  readRows() {
+    const rows = {};
+    for (const [table, columns] of Object.entries(TABLES)) {
+      rows[table] = new Map();
+      for (const row of this.db.prepare(`SELECT ${columns.join(', ')} FROM ${table} ORDER BY rowid`).raw().all()) {
+        rows[table].set(rowKey(...row.slice(0, -1)), row[row.length - 1]);
+      }
+    }
+    this.rows = rows;
+    this.logged = new Set(this.db.prepare('SELECT guild_id, id FROM claims').raw().all().map(([g, id]) => rowKey(g, id)));
+  }
+
+  /** Returns the stored object, or null when the database is empty. */
+  load() {
+    this.readRows();
+    if (this.rows.meta.size === 0) return null;
+
+    const data = { guilds: {} };
+    const guild = id => {
+      if (!data.guilds[id]) data.guilds[id] = { userCounts: {}, activeDrops: {}, claims: [] };
+      return data.guilds[id];
+    };
+    const each = (table, fn) => {
+      for (const [key, value] of this.rows[table]) fn(...JSON.parse(key), value);
+    };
+
+    each('meta', (key, value) => { data[key] = JSON.parse(value); });
+    each('guild_data', (guildId, key, value) => { guild(guildId)[key] = JSON.parse(value); });
+    each('user_counts', (guildId, userId, count) => { guild(guildId).userCounts[userId] = count; });
+    each('drops', (guildId, dropId, value) => {
+      guild(guildId).activeDrops[dropId] = Object.assign(JSON.parse(value), { collectedBy: {} });
+    });
+    each('drop_claims', (guildId, dropId, boxId, userId) => {
+      const drop = guild(guildId).activeDrops[dropId];
+      if (drop) drop.collectedBy[boxId] = userId;
+    });
+    for (const row of this.db.prepare('SELECT guild_id, value FROM claims ORDER BY at, rowid').all()) {
+      guild(row.guild_id).claims.push(JSON.parse(row.value));
+    }
+    return data;
+  }
+
+  // Upsert the rows that changed since the last load or save and delete the ones that are
+  // gone; claims is append-only, so only new log entries are inserted.
+  writeChanges(rows, entries) {
+    for (const table of Object.keys(TABLES)) {
+      const known = this.rows[table];
+      for (const [key, value] of rows[table]) {
+        if (known.get(key) !== value) this.upsert[table].run(...JSON.parse(key), value);
+      }
+      for (const key of known.keys()) {
+        if (!rows[table].has(key)) this.remove[table].run(...JSON.parse(key));
+      }
+    }
+    for (const [guildId, entry] of entries) this.appendLogEntry(guildId, entry);
+  }
+
+  appendLogEntry(guildId, entry) {
+    this.stmts.appendLog.run(guildId, entry.id, entry.at, JSON.stringify(entry));
+  }
+
+  save(data) {
+    if (!this.rows) this.readRows();
+    const rows = rowsOf(data);
+    const entries = [];
+    for (const [guildId, g] of Object.entries(data.guilds || {})) {
+      for (const entry of g.claims || []) {
+        if (!this.logged.has(rowKey(guildId, entry.id))) entries.push([guildId, entry]);
+      }
+    }
+    this.saveTx(rows, entries);
+    // Only once the transaction committed: a rolled back save leaves the database as it was.
+    this.rows = rows;
+    for (const [guildId, entry] of entries) this.logged.add(rowKey(guildId, entry.id));
+  }
+
+  writeClaim({ guildId, dropId, boxId, userId, amount, entry }) {
+    const res = this.stmts.insertClaim.run(guildId, dropId, boxId, userId);
+    if (res.changes === 0) return null;
+    const count = amount ? this.stmts.addCount.get(guildId, userId, amount).count : null;
+    if (entry) this.appendLogEntry(guildId, entry);
+    return { count };
+  }
+
+  /**
+   * Persist one box claim: the claim row, the count change and the claim log entry commit
+   * together or not at all. Returns false if the box was already claimed in the database.
+   */
+  recordClaim(data, claim) {
+    if (!this.rows) this.readRows();
+    const written = this.claimTx(claim);
+    if (!written) return false;
+    const { guildId, dropId, boxId, userId, entry } = claim;
+    this.rows.drop_claims.set(rowKey(guildId, dropId, boxId), userId);
+    if (written.count !== null) this.rows.user_counts.set(rowKey(guildId, userId), written.count);
+    if (entry) this.logged.add(rowKey(guildId, entry.id));
+    return true;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStore };
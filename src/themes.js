@@ -0,0 +1,136 @@
+/**
+ * Themes: the titles, texts, colours, images and reply lines of drops and bot messages.
+ * - Built-in themes are the JSON files in themes/; THEMES_DIR can point at more.
+ * - A theme only needs the keys it changes: everything is layered over the default theme,
+ *   whose file also serves as the schema (same keys, same types).
+ * - Colours are "#RRGGBB" in files and numbers once compiled. Texts may use {placeholders}
+ *   filled by fillTemplate().
+ * - replies are the theme's English lines; translations.<locale>.replies holds them in other
+ *   languages. A language the theme has no lines for uses the catalog's replies.* texts
+ *   (see themeReplies). Translations come with the replies they translate: a theme that
+ *   sets its own replies does not inherit the default theme's translations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+const log = logger.child('themes');
+const DEFAULT_THEME_ID = 'christmas';
+const CUSTOM_THEME_ID = 'custom'; // a guild's own uploaded theme
+const BUILTIN_DIR = path.join(__dirname, '..', 'themes');
+const MAX_THEME_BYTES = 64 * 1024;
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isColorKey = key => /colou?r$/i.test(key);
+const isUrlKey = key => key === 'image' || key === 'thumbnail';
+
+function readThemeFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const defaultRaw = readThemeFile(path.join(BUILTIN_DIR, `${DEFAULT_THEME_ID}.json`));
+
+// Problems with a raw theme object, checked against the default theme's shape. Empty if fine.
+function validateTheme(raw, schema = defaultRaw, at = '') {
+  if (!isPlainObject(raw)) return [`${at || 'theme'} must be an object`];
+  const problems = [];
+  if (!at && (typeof raw.id !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(raw.id))) {
+    problems.push('id must be 1-32 lowercase letters, digits, - or _');
+  }
+  for (const [key, value] of Object.entries(raw)) {
+    const where = at ? `${at}.${key}` : key;
+    if (!(key in schema)) {
+      problems.push(`${where} is not a theme setting`);
+      continue;
+    }
+    const expected = schema[key];
+    if (value === null) {
+      if (expected !== null) problems.push(`${where} cannot be empty`);
+    } else if (isPlainObject(expected)) {
+      problems.push(...validateTheme(value, expected, where));
+    } else if (Array.isArray(expected)) {
+      if (!Array.isArray(value) || !value.length || !value.every(v => typeof v === 'string')) {
+        problems.push(`${where} must be a non-empty list of texts`);
+      }
+    } else if (typeof value !== 'string') {
+      problems.push(`${where} must be a text`);
+    } else if (isColorKey(key) && !/^#?[0-9a-f]{6}$/i.test(value)) {
+      problems.push(`${where} must be a hex colour like #FFD700`);
+    } else if (isUrlKey(key) && !/^https:\/\/\S+$/.test(value)) {
+      problems.push(`${where} must be an https:// URL`);
+    }
+  }
+  return problems;
+}
+
+function mergeTheme(base, over) {
+  const out = Object.assign({}, base);
+  for (const [key, value] of Object.entries(over || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeTheme(base[key], value) : value;
+  }
+  return out;
+}
+
+function parseColors(theme) {
+  const out = {};
+  for (const [key, value] of Object.entries(theme)) {
+    if (isPlainObject(value)) out[key] = parseColors(value);
+    else if (isColorKey(key) && typeof value === 'string') out[key] = parseInt(value.replace('#', ''), 16);
+    else out[key] = value;
+  }
+  return out;
+}
+
+// A raw theme layered over the default and with colours as numbers.
+function compileTheme(raw) {
+  const theme = mergeTheme(defaultRaw, raw);
+  if (raw && raw.replies) theme.translations = raw.translations || {};
+  return parseColors(theme);
+}
+
+// The claim and mention lines in t's language: the theme's own for that language if it has
+// them, otherwise the catalog's. mention is a list to pick from.
+function themeReplies(theme, t) {
+  const translated = ((theme.translations || {})[t.locale] || {}).replies || {};
+  const own = key => translated[key] || (t.locale === DEFAULT_LOCALE ? theme.replies[key] : null);
+  return {
+    claim: own('claim') || t('replies.claim'),
+    claimTier: own('claimTier') || t('replies.claimTier'),
+    mention: own('mention') || [t('replies.mention')]
+  };
+}
+
+// { [id]: compiled theme } for every valid *.json in the given directories. Later
+// directories win, so THEMES_DIR can override a built-in.
+function loadThemes(extraDir) {
+  const themes = {};
+  for (const dir of [BUILTIN_DIR, extraDir].filter(Boolean)) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+    } catch (e) {
+      log.warn(`Cannot read theme directory ${dir}`, { err: e.message });
+      continue;
+    }
+    for (const f of files) {
+      try {
+        const raw = readThemeFile(path.join(dir, f));
+        const problems = validateTheme(raw);
+        if (problems.length) throw new Error(problems.join('; '));
+        themes[raw.id] = compileTheme(raw);
+      } catch (e) {
+        log.warn(`Skipping theme ${path.join(dir, f)}`, { err: e.message });
+      }
+    }
+  }
+  return themes;
+}
+
+// "Gift {n}" + { n: 3 } -> "Gift 3". Unknown placeholders are left as they are.
+function fillTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
+}
+
+module.exports = { DEFAULT_THEME_ID, CUSTOM_THEME_ID, MAX_THEME_BYTES, validateTheme, compileTheme, themeReplies, loadThemes, fillTemplate };
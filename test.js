@@ -1,5 +1,9 @@
-const { Client, GatewayIntentBits } = require('discord.js');
-require('dotenv').config();
-const client = new Client({ intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers] });
-client.once('ready', () => console.log('READY:', client.user.tag));
-client.login(process.env.DISCORD_TOKEN).catch(e => console.error('LOGIN ERR:', e.message));
\ No newline at end of file
+const { Client, GatewayIntentBits } = require('discord.js');
+require('dotenv').config();
+const { configureLogger, loggerOptionsFromEnv, logger } = require('./src/logger');
+
+configureLogger(loggerOptionsFromEnv());
+const log = logger.child('startup');
+const client = new Client({ intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers] });
+client.once('ready', () => log.info(`READY: ${client.user.tag}`));
+client.login(process.env.DISCORD_TOKEN).catch(e => log.error('Login failed', { err: e.message }));
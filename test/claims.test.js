@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { KeyedLock, createClaimHandler } = require('../src/claims');
+const { translator } = require('../src/i18n');
+
+// English reply for each rejection status.
+const rejection = status => translator('en')(`claims.${status}`);
+
+const GUILD = 'g1';
+const DROP = 'drop_1';
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function makeState({ boxes = 4, valid = ['box_1', 'box_2'] } = {}) {
+  const now = Date.now();
+  return {
+    userCounts: {},
+    claims: [],
+    extraClaims: {},
+    activeDrops: {
+      [DROP]: {
+        createdAt: now,
+        expiresAt: now + 60000,
+        boxCount: boxes,
+        validBoxes: valid,
+        boxTiers: {},
+        collectedBy: {}
+      }
+    }
+  };
+}
+
+function fakeInteraction(userId, box, dropId = DROP) {
+  const replies = [];
+  return {
+    customId: `collect:${dropId}:${box}`,
+    guildId: GUILD,
+    member: { id: userId, user: { id: userId }, roles: { cache: new Map() } },
+    replies,
+    async reply(payload) {
+      // Replies arrive over the network: make them slow so any ordering bug shows.
+      await sleep(Math.random() * 5);
+      replies.push(payload);
+    }
+  };
+}
+
+// Storage whose writes take a random few milliseconds, like a disk or database would.
+function makeHandler(state, overrides = {}) {
+  const persisted = [];
+  const awarded = [];
+  const hooks = {
+    ineligible: () => null,
+    extraClaims: (s, userId) => s.extraClaims[userId] || 0,
+    consumeExtraClaim: (s, userId) => { s.extraClaims[userId] -= 1; },
+    pickEffect: () => 'nothing',
+    persist: async claim => {
+      await sleep(Math.random() * 5);
+      persisted.push(claim);
+      return true;
+    },
+    ...overrides
+  };
+  const handle = createClaimHandler({
+    getState: () => state,
+    hooks,
+    onClaimed: async (interaction, result) => {
+      awarded.push({ userId: interaction.member.id, boxId: result.entry.boxId });
+      await interaction.reply({ content: 'ok' });
+    }
+  });
+  return { handle, persisted, awarded };
+}
+
+const okReplies = interactions => interactions.filter(i => i.replies.some(r => r.content === 'ok'));
+
+test('many users clicking the same box at once: exactly one gets it', async () => {
+  const state = makeState();
+  const { handle, persisted, awarded } = makeHandler(state);
+  const clicks = Array.from({ length: 50 }, (_, i) => fakeInteraction(`u${i}`, 1));
+
+  await Promise.all(clicks.map(handle));
+
+  assert.strictEqual(okReplies(clicks).length, 1);
+  assert.strictEqual(awarded.length, 1);
+  assert.strictEqual(persisted.length, 1);
+  assert.strictEqual(state.claims.length, 1);
+  assert.strictEqual(state.activeDrops[DROP].collectedBy.box_1, awarded[0].userId);
+  assert.deepStrictEqual(state.userCounts, { [awarded[0].userId]: 1 });
+  for (const click of clicks) assert.strictEqual(click.replies.length, 1);
+  const losers = clicks.filter(c => c.replies[0].content !== 'ok');
+  assert.ok(losers.every(c => c.replies[0].content === rejection('taken')));
+});
+
+test('one user clicking every box at once only gets one', async () => {
+  const state = makeState();
+  const { handle, awarded } = makeHandler(state);
+  const clicks = [1, 2, 3, 4].map(box => fakeInteraction('fast', box));
+
+  await Promise.all(clicks.map(handle));
+
+  assert.strictEqual(awarded.length, 1);
+  assert.strictEqual(Object.keys(state.activeDrops[DROP].collectedBy).length, 1);
+  assert.strictEqual(clicks.filter(c => c.replies[0].content === rejection('already')).length, 3);
+});
+
+test('an extra claim allows exactly one more box and is used up', async () => {
+  const state = makeState();
+  state.extraClaims.fast = 2;
+  const { handle, awarded } = makeHandler(state);
+  const clicks = [1, 2, 3, 4].map(box => fakeInteraction('fast', box));
+
+  await Promise.all(clicks.map(handle));
+
+  assert.strictEqual(awarded.length, 2);
+  assert.strictEqual(state.extraClaims.fast, 1);
+});
+
+test('a crowd on every box: one winner per box, nobody wins twice', async () => {
+  const state = makeState({ boxes: 6, valid: ['box_1', 'box_3', 'box_5'] });
+  const { handle, awarded } = makeHandler(state);
+  const clicks = [];
+  for (let u = 0; u < 20; u++) {
+    for (let box = 1; box <= 6; box++) clicks.push(fakeInteraction(`u${u}`, box));
+  }
+  clicks.sort(() => Math.random() - 0.5);
+
+  await Promise.all(clicks.map(handle));
+
+  assert.strictEqual(awarded.length, 6);
+  assert.strictEqual(new Set(awarded.map(a => a.boxId)).size, 6);
+  assert.strictEqual(new Set(awarded.map(a => a.userId)).size, 6);
+  assert.strictEqual(state.claims.length, 6);
+  const total = Object.values(state.userCounts).reduce((a, b) => a + b, 0);
+  assert.strictEqual(total, 3);
+  for (const click of clicks) assert.strictEqual(click.replies.length, 1);
+});
+
+test('a box the storage reports as taken is rolled back and the next click can win it', async () => {
+  const state = makeState();
+  let refuse = true;
+  const { handle, awarded } = makeHandler(state, {
+    persist: async () => {
+      await sleep(1);
+      if (refuse) {
+        refuse = false;
+        return false;
+      }
+      return true;
+    }
+  });
+  const first = fakeInteraction('a', 1);
+  const second = fakeInteraction('b', 1);
+
+  await Promise.all([handle(first), handle(second)]);
+
+  assert.strictEqual(first.replies[0].content, rejection('taken'));
+  assert.deepStrictEqual(awarded, [{ userId: 'b', boxId: 'box_1' }]);
+  assert.deepStrictEqual(state.userCounts, { a: 0, b: 1 });
+  assert.strictEqual(state.claims.length, 1);
+});
+
+test('a claim that fails to save is taken back and the member is told so', async () => {
+  const state = makeState();
+  let fail = true;
+  const { handle, awarded } = makeHandler(state, {
+    persist: async () => {
+      if (fail) {
+        fail = false;
+        throw new Error('SQLITE_BUSY');
+      }
+      return true;
+    }
+  });
+  const click = fakeInteraction('a', 1);
+  await handle(click);
+
+  assert.strictEqual(click.replies[0].content, rejection('failed'));
+  assert.deepStrictEqual(awarded, []);
+  assert.deepStrictEqual(state.userCounts, { a: 0 });
+  assert.deepStrictEqual(state.activeDrops[DROP].collectedBy, {});
+  assert.strictEqual(state.claims.length, 0);
+
+  const retry = fakeInteraction('a', 1);
+  await handle(retry);
+  assert.deepStrictEqual(awarded, [{ userId: 'a', boxId: 'box_1' }]);
+});
+
+test('ineligible, expired and unknown drops are rejected without a claim', async () => {
+  const state = makeState();
+  const expired = [];
+  const { handle } = makeHandler(state, { ineligible: (s, member) => (member.id === 'banned' ? 'you are blacklisted' : null) });
+  const banned = fakeInteraction('banned', 1);
+  const unknown = fakeInteraction('a', 1, 'drop_missing');
+  await handle(banned);
+  await handle(unknown);
+  assert.strictEqual(banned.replies[0].content, 'You cannot claim gift boxes here: you are blacklisted.');
+  assert.strictEqual(unknown.replies[0].content, rejection('missing'));
+
+  const late = createClaimHandler({
+    getState: () => state,
+    hooks: { persist: () => true },
+    onClaimed: () => assert.fail('expired drop was claimed'),
+    onExpired: (guildId, dropId) => expired.push(dropId),
+    now: () => state.activeDrops[DROP].expiresAt + 1
+  });
+  const click = fakeInteraction('a', 2);
+  await late(click);
+  assert.strictEqual(click.replies[0].content, rejection('expired'));
+  assert.deepStrictEqual(expired, [DROP]);
+  assert.strictEqual(state.claims.length, 0);
+});
+
+test('KeyedLock runs same-key work one at a time and survives failures', async () => {
+  const lock = new KeyedLock();
+  const log = [];
+  const job = (key, n) => lock.run(key, async () => {
+    log.push(`${key}${n}+`);
+    await sleep(2);
+    log.push(`${key}${n}-`);
+    if (n === 1) throw new Error('boom');
+    return n;
+  });
+
+  const results = await Promise.allSettled([job('a', 1), job('a', 2), job('b', 1)]);
+
+  assert.strictEqual(results[0].status, 'rejected');
+  assert.strictEqual(results[1].value, 2);
+  const a = log.filter(l => l.startsWith('a'));
+  assert.deepStrictEqual(a, ['a1+', 'a1-', 'a2+', 'a2-']);
+  // other keys are not held up
+  assert.ok(log.indexOf('b1+') < log.indexOf('a1-'));
+  await sleep(1);
+  assert.strictEqual(lock.tails.size, 0);
+});
@@ -0,0 +1,510 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startBot } = require('./helpers/bot');
+const { textOf, buttonsOf, flush } = require('./helpers/discord');
+const christmas = require('../themes/christmas.json');
+
+const MINUTE = 60 * 1000;
+
+test('/giftbox, /leaderboard, /rank and /stats read the counts', async (t) => {
+  const bot = await startBot(t);
+  const { alice, bob } = bot.members;
+  assert.strictEqual((await bot.run(alice, 'giftbox')).text, 'You have collected **0** gift boxes.');
+  assert.match((await bot.run(alice, 'leaderboard')).text, /No collectors yet\./);
+  assert.strictEqual((await bot.run(alice, 'stats')).text, 'alice has not claimed any boxes yet.');
+  assert.strictEqual((await bot.run(alice, 'rank')).text, 'alice has not collected any gift boxes (all-time).');
+
+  Object.assign(bot.state().userCounts, { [alice.id]: 3, [bob.id]: 5 });
+  const board = await bot.run(alice, 'leaderboard');
+  assert.match(board.text, new RegExp(`1\\. <@${bob.id}> — \\*\\*5\\*\\*\\n2\\. <@${alice.id}> — \\*\\*3\\*\\*`));
+  assert.match(board.text, /Page 1\/1 • 2 collectors/);
+  const rank = await bot.run(alice, 'rank');
+  assert.strictEqual(rank.text, `**#2** of 2 — <@${alice.id}> has **3** gift boxes (all-time). **2** behind <@${bob.id}> at #1.`);
+  assert.match((await bot.run(alice, 'rank', { options: { user: bob.user } })).text, /Nobody is ahead!/);
+  assert.strictEqual((await bot.run(alice, 'leaderboard', { options: { season: 'Nope' } })).text, 'No finished season called "Nope". See /season show.');
+});
+
+test('/stats sums up the claim ledger', async (t) => {
+  const bot = await startBot(t);
+  const { alice } = bot.members;
+  await bot.run(bot.members.owner, 'force_drop');
+  const [dropId, drop] = Object.entries(bot.state().activeDrops)[0];
+  const box = Number(drop.validBoxes[0].slice('box_'.length));
+  t.mock.timers.tick(2500);
+  await bot.client.click(alice, bot.channel.sent[0], `collect:${dropId}:${box}`);
+  const stats = await bot.run(alice, 'stats');
+  assert.match(stats.text, /Gift stats for alice/);
+  assert.match(stats.text, /2\.50s after the drop/);
+  assert.match(stats.text, /1 real box in a row/);
+});
+
+test('/drop now posts a drop; /drop preview is private and saves nothing', async (t) => {
+  const bot = await startBot(t);
+  const { mod } = bot.members;
+  const now = await bot.run(mod, 'drop', { subcommand: 'now' });
+  assert.strictEqual(now.text, 'Creating drop in this channel...');
+  assert.strictEqual(bot.channel.sent.length, 1);
+  assert.strictEqual(buttonsOf(bot.channel.sent[0]).length, 4);
+
+  const preview = await bot.run(mod, 'drop', { subcommand: 'preview' });
+  assert.strictEqual(preview.lastReply.ephemeral, true);
+  assert.match(preview.text, /Drop preview/);
+  const buttons = buttonsOf(preview.lastReply);
+  assert.strictEqual(buttons.length, 4);
+  const clicks = [];
+  for (const b of buttons) clicks.push((await bot.client.click(mod, null, b.custom_id)).text);
+  assert.strictEqual(clicks.filter(c => /is real/.test(c)).length, 2);
+  assert.strictEqual(clicks.filter(c => /is a troll box/.test(c)).length, 2);
+  assert.strictEqual(bot.channel.sent.length, 1);
+  assert.strictEqual(Object.keys(bot.state().activeDrops).length, 1);
+  assert.deepStrictEqual(bot.state().claims, []);
+
+  t.mock.timers.tick(15 * MINUTE);
+  assert.strictEqual((await bot.client.click(mod, null, buttons[0].custom_id)).text, 'This preview has expired. Run /drop preview again.');
+});
+
+test('/admin channel add, list and remove', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  const other = bot.guild.addChannel('lobby');
+  assert.strictEqual((await bot.run(admin, 'admin', { group: 'channel', subcommand: 'list' })).text, 'No drop channels yet. Add one with /admin channel add.');
+
+  await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: bot.channel, weight: 3 } });
+  await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: other } });
+  assert.deepStrictEqual(bot.state().settings.dropChannels, [{ channelId: bot.channel.id, weight: 3 }, { channelId: other.id, weight: 1 }]);
+  assert.strictEqual(bot.state().settings.autoDropEnabled, true);
+  const list = await bot.run(admin, 'admin', { group: 'channel', subcommand: 'list' });
+  assert.strictEqual(list.text, `<#${bot.channel.id}> — weight 3 (~75%)\n<#${other.id}> — weight 1 (~25%)`);
+
+  assert.strictEqual((await bot.run(admin, 'admin', { group: 'channel', subcommand: 'remove', options: { channel: other } })).text, `<#${other.id}> removed from the drop channels.`);
+  assert.strictEqual((await bot.run(admin, 'admin', { group: 'channel', subcommand: 'remove', options: { channel: other } })).text, `<#${other.id}> is not a drop channel.`);
+  const last = await bot.run(admin, 'admin', { group: 'channel', subcommand: 'remove', options: { channel: bot.channel } });
+  assert.match(last.text, /No drop channels are left/);
+});
+
+test('/admin toggle switches automatic drops', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: bot.channel } });
+  assert.strictEqual((await bot.run(admin, 'admin', { subcommand: 'toggle' })).text, 'Automatic drops are now disabled.');
+  assert.strictEqual((await bot.run(admin, 'admin', { subcommand: 'toggle' })).text, 'Automatic drops are now enabled.');
+});
+
+test('/admin toggle will not turn automatic drops on without a drop channel', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  const refused = await bot.run(admin, 'admin', { subcommand: 'toggle' });
+  assert.strictEqual(refused.text, 'No drop channel is set, so automatic drops stay off. Add one with /admin channel add first.');
+  assert.strictEqual(bot.state().settings.autoDropEnabled, false);
+  assert.strictEqual((await bot.run(alice, 'schedule', { subcommand: 'next' })).text, 'Automatic drops are disabled.');
+
+  const german = await bot.run(admin, 'admin', { subcommand: 'toggle', locale: 'de' });
+  assert.match(german.text, /kein Drop-Kanal/);
+});
+
+test('/admin reset archives the season after a confirmation', async (t) => {
+  const bot = await startBot(t);
+  const { owner, admin, alice } = bot.members;
+  bot.state().userCounts[alice.id] = 4;
+
+  const ask = await bot.run(owner, 'admin', { subcommand: 'reset', options: { name: 'Spring' } });
+  assert.match(ask.text, /reset every member's gift box count to 0 and start \*\*Spring\*\*/);
+  const [confirm, cancel] = buttonsOf(ask.lastReply);
+  assert.strictEqual((await bot.client.click(admin, null, confirm.custom_id)).text, 'This is not your request.');
+  assert.strictEqual(bot.state().userCounts[alice.id], 4);
+
+  const done = await bot.client.click(owner, null, confirm.custom_id);
+  assert.strictEqual(done.replies[0].content, 'Done. **Spring** has started.');
+  assert.match(done.replies[1].content, /All gift box counts in this server have been reset/);
+  assert.deepStrictEqual(bot.state().userCounts, {});
+  assert.strictEqual(bot.state().seasons.current.name, 'Spring');
+
+  const again = await bot.client.click(owner, null, cancel.custom_id);
+  assert.strictEqual(again.updates[0].content, 'This request has expired.');
+  assert.match((await bot.run(owner, 'admin', { subcommand: 'reset', options: { name: 'Spring' } })).text, /There is already a season called "Spring"/);
+});
+
+test('/season create, show and end', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  assert.match((await bot.run(alice, 'season', { subcommand: 'show' })).text, /seasons are not in use/);
+
+  const bad = await bot.run(admin, 'season', { subcommand: 'create', options: { name: 'Winter', start: '2025-02-01', end: '2025-01-20' } });
+  assert.strictEqual(bad.text, 'The season must end after it starts.');
+  assert.strictEqual((await bot.run(admin, 'season', { subcommand: 'create', options: { name: 'Winter', start: 'soon', end: 'later' } })).text, 'Dates must look like 2025-12-01 or 2025-12-01 18:00 (UTC).');
+
+  const created = await bot.run(admin, 'season', { subcommand: 'create', options: { name: 'Winter', start: '2025-01-01', end: '2025-02-01' } });
+  assert.match(created.text, /\*\*Current season:\*\* Winter/);
+  assert.match((await bot.run(admin, 'season', { subcommand: 'create', options: { name: 'Later', start: '2025-03-01', end: '2025-04-01' } })).text, /already scheduled or running/);
+
+  bot.state().userCounts[alice.id] = 2;
+  bot.state().claims.push({ id: 'x', dropId: 'd', boxId: 'box_0', userId: alice.id, amount: 2, real: true, at: Date.now() });
+  t.mock.timers.tick(MINUTE);
+  const ended = await bot.run(admin, 'season', { subcommand: 'end' });
+  assert.strictEqual(ended.text, '**Winter** has ended. Its standings are under /leaderboard season:Winter.');
+  assert.strictEqual((await bot.run(admin, 'season', { subcommand: 'end' })).text, 'No season is running.');
+  assert.match((await bot.run(alice, 'season', { subcommand: 'show' })).text, /Past seasons/);
+  const archived = await bot.run(alice, 'leaderboard', { options: { season: 'Winter' } });
+  assert.match(archived.text, new RegExp(`Season: Winter .*\\n1\\. <@${alice.id}> — \\*\\*2\\*\\*`));
+});
+
+test('a season ends by itself and pauses automatic drops', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  await bot.run(admin, 'season', { subcommand: 'create', options: { name: 'Short', start: '2025-01-15', end: '2025-01-15 13:00', channel: bot.channel } });
+  await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: bot.channel } });
+  t.mock.timers.tick(60 * MINUTE);
+  await flush();
+  assert.strictEqual(bot.state().seasons.current, null);
+  assert.strictEqual(bot.state().seasons.archive[0].name, 'Short');
+  assert.ok(bot.channel.sent.some(m => /Short — final podium/.test(textOf(m))));
+  assert.match((await bot.run(admin, 'schedule', { subcommand: 'next' })).text, /No season is running/);
+});
+
+test('/shop, /buy and /inventory', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  const vip = bot.guild.addRole('VIP', 10);
+  assert.match((await bot.run(alice, 'shop')).text, /The shop is empty\./);
+  assert.strictEqual((await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Red Name', type: 'role', price: 3 } })).text, 'Colour role items need the role option.');
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Red Name', type: 'role', price: 3, role: vip } });
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Elf', type: 'title', price: 1 } });
+  assert.match((await bot.run(alice, 'shop')).text, /Red Name/);
+  assert.deepStrictEqual(await bot.client.autocomplete(alice, bot.channel, 'buy', { name: 'item', value: 'red' }), [{ name: 'Red Name — 3 gift boxes', value: 'red-name' }]);
+
+  assert.strictEqual((await bot.run(alice, 'buy', { options: { item: 'red-name' } })).text, '**Red Name** costs 3 gift boxes; you have 0.');
+  bot.state().userCounts[alice.id] = 5;
+  assert.strictEqual((await bot.run(alice, 'buy', { options: { item: 'red-name' } })).text, 'You bought **Red Name** for 3 gift boxes. Balance: 2.');
+  assert.ok(alice.roles.cache.has(vip.id));
+  assert.strictEqual((await bot.run(alice, 'buy', { options: { item: 'red-name' } })).text, 'You already own **Red Name**.');
+  await bot.run(alice, 'buy', { options: { item: 'elf' } });
+  assert.match((await bot.run(alice, 'giftbox')).text, /^\*\*Elf\*\* — You have collected \*\*1\*\* gift box\./);
+  assert.strictEqual((await bot.run(alice, 'buy', { options: { item: 'nothing' } })).text, 'No such item. See /shop.');
+
+  const inventory = await bot.run(bot.members.bob, 'inventory', { options: { user: alice.user } });
+  assert.match(inventory.text, /Red Name/);
+  assert.match(inventory.text, /Elf/);
+});
+
+test('/buy charges before granting: no double buys, refunded when the grant fails', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  const vip = bot.guild.addRole('VIP', 10);
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Red Name', type: 'role', price: 3, role: vip } });
+  bot.state().userCounts[alice.id] = 6;
+  const both = await Promise.all([1, 2].map(() => bot.run(alice, 'buy', { options: { item: 'red-name' } })));
+  assert.deepStrictEqual(both.map(i => i.text).sort(), ['You already own **Red Name**.', 'You bought **Red Name** for 3 gift boxes. Balance: 3.']);
+  assert.strictEqual(bot.state().userCounts[alice.id], 3);
+  assert.strictEqual(bot.state().shop.purchases.length, 1);
+
+  const { bob } = bot.members;
+  bot.state().userCounts[bob.id] = 3;
+  bot.guild.roles.cache.delete(vip.id);
+  assert.match((await bot.run(bob, 'buy', { options: { item: 'red-name' } })).text, /^Could not give you \*\*Red Name\*\* .*You were not charged\.$/);
+  assert.strictEqual(bot.state().userCounts[bob.id], 3);
+  assert.deepStrictEqual(bot.state().shop.inventories[bob.id], {});
+  assert.strictEqual(bot.state().shop.purchases.length, 1);
+});
+
+test('/shop_admin remove, purchases and refund', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Extra', type: 'extra_claim', price: 2 } });
+  bot.state().userCounts[alice.id] = 2;
+  await bot.run(alice, 'buy', { options: { item: 'extra' } });
+  assert.strictEqual((await bot.run(admin, 'shop_admin', { subcommand: 'remove', options: { item: 'extra' } })).text, 'Removed **Extra** from the shop. Owners keep what they bought.');
+  assert.match((await bot.run(alice, 'shop')).text, /The shop is empty\./);
+
+  const [purchase] = bot.state().shop.purchases;
+  const list = await bot.run(admin, 'shop_admin', { subcommand: 'purchases', options: { user: alice.user } });
+  assert.match(list.text, new RegExp(`\`${purchase.id}\` <@${alice.id}> extra — 2`));
+  const refund = await bot.run(admin, 'shop_admin', { subcommand: 'refund', options: { purchase: purchase.id } });
+  assert.strictEqual(refund.text, `Refunded 2 gift boxes to <@${alice.id}> for extra.`);
+  assert.strictEqual(bot.state().userCounts[alice.id], 2);
+  assert.deepStrictEqual(bot.state().shop.inventories[alice.id], {});
+  assert.strictEqual((await bot.run(admin, 'shop_admin', { subcommand: 'refund', options: { purchase: purchase.id } })).text, 'That purchase was already refunded.');
+  assert.match((await bot.run(admin, 'shop_admin', { subcommand: 'purchases' })).text, /\(refunded\)/);
+
+  // Used up: nothing to hand back, so no boxes either.
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Extra', type: 'extra_claim', price: 2 } });
+  await bot.run(alice, 'buy', { options: { item: 'extra' } });
+  bot.state().shop.inventories[alice.id] = {};
+  const used = bot.state().shop.purchases[1];
+  const gone = await bot.run(admin, 'shop_admin', { subcommand: 'refund', options: { purchase: used.id } });
+  assert.strictEqual(gone.text, `<@${alice.id}> no longer has **Extra** (used or traded away), so it cannot be refunded.`);
+  assert.strictEqual(bot.state().userCounts[alice.id], 0);
+  assert.ok(!used.refundedAt);
+
+  // Immunity is taken back along with the refund.
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Shield', type: 'snowball_immunity', price: 1, hours: 2 } });
+  bot.state().userCounts[alice.id] = 1;
+  await bot.run(alice, 'buy', { options: { item: 'shield' } });
+  assert.ok(bot.state().snowball.immunity[alice.id] > Date.now());
+  const shield = bot.state().shop.purchases[2];
+  await bot.run(admin, 'shop_admin', { subcommand: 'refund', options: { purchase: shield.id } });
+  assert.strictEqual(bot.state().snowball.immunity[alice.id], undefined);
+  assert.strictEqual(bot.state().userCounts[alice.id], 1);
+});
+
+test('an extra claim lets a member take a second box from one drop', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Extra', type: 'extra_claim', price: 1 } });
+  bot.state().userCounts[alice.id] = 1;
+  await bot.run(alice, 'buy', { options: { item: 'extra' } });
+  await bot.run(bot.members.owner, 'force_drop');
+  const [dropId, drop] = Object.entries(bot.state().activeDrops)[0];
+  const [first, second] = drop.validBoxes.map(b => b.slice('box_'.length));
+  await bot.client.click(alice, bot.channel.sent[0], `collect:${dropId}:${first}`);
+  await bot.client.click(alice, bot.channel.sent[0], `collect:${dropId}:${second}`);
+  assert.strictEqual(bot.state().userCounts[alice.id], 2);
+  assert.deepStrictEqual(bot.state().shop.inventories[alice.id], {});
+});
+
+test('/gift sends boxes after a confirmation, within the daily cap', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice, bob } = bot.members;
+  bot.state().userCounts[alice.id] = 10;
+  assert.strictEqual((await bot.run(alice, 'gift', { options: { user: alice.user, amount: 1 } })).text, 'You cannot send gift boxes to yourself.');
+  assert.strictEqual((await bot.run(alice, 'gift', { options: { user: bob.user, amount: 11 } })).text, 'Not enough gift boxes: 10 available, 11 needed.');
+
+  const ask = await bot.run(alice, 'gift', { options: { user: bob.user, amount: 4 } });
+  assert.strictEqual(ask.text, `Send **4** gift boxes to <@${bob.id}>? This cannot be undone. (Expires in 60s.)`);
+  const [send] = buttonsOf(ask.lastReply);
+  assert.strictEqual((await bot.client.click(bob, null, send.custom_id)).text, 'This is not your gift to send.');
+  const sent = await bot.client.click(alice, null, send.custom_id);
+  assert.strictEqual(sent.updates[0].content, `Sent **4** gift boxes to <@${bob.id}>. You have 6 left.`);
+  assert.deepStrictEqual([bot.state().userCounts[alice.id], bot.state().userCounts[bob.id]], [6, 4]);
+  assert.match(textOf(bot.channel.sent[0]), new RegExp(`<@${alice.id}> gave \\*\\*4\\*\\* gift boxes to <@${bob.id}>!`));
+  await flush();
+  assert.strictEqual(bob.user.dms.length, 1);
+
+  assert.strictEqual((await bot.run(admin, 'transfer_cap', { options: { amount: 5 } })).text, 'Members can now send and receive up to 5 gift boxes per day.');
+  assert.strictEqual((await bot.run(alice, 'gift', { options: { user: bob.user, amount: 2 } })).text, `Daily limit reached: <@${alice.id}> can send 1 more gift box today.`);
+  assert.strictEqual((await bot.run(admin, 'transfer_cap', { options: { amount: 0 } })).text, 'Gifting is now turned off.');
+  assert.strictEqual((await bot.run(alice, 'gift', { options: { user: bob.user, amount: 1 } })).text, 'Gifting is turned off in this server.');
+});
+
+test('/trade swaps items once the other member accepts', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice, bob } = bot.members;
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Elf', type: 'title', price: 1 } });
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Extra', type: 'extra_claim', price: 1 } });
+  Object.assign(bot.state().userCounts, { [alice.id]: 1, [bob.id]: 1 });
+  await bot.run(alice, 'buy', { options: { item: 'elf' } });
+  await bot.run(bob, 'buy', { options: { item: 'extra' } });
+  assert.deepStrictEqual(await bot.client.autocomplete(alice, bot.channel, 'trade', { name: 'offer', value: '' }), [{ name: 'Elf', value: 'elf' }]);
+
+  assert.strictEqual((await bot.run(alice, 'trade', { options: { user: bob.user, offer: 'extra' } })).text, `<@${alice.id}> no longer has **Extra**.`);
+  const offer = await bot.run(alice, 'trade', { options: { user: bob.user, offer: 'elf', request: 'extra' } });
+  assert.match(offer.text, new RegExp(`<@${alice.id}> offers \\*\\*Elf\\*\\* to <@${bob.id}> for \\*\\*Extra\\*\\*\\.`));
+  const [accept] = buttonsOf(offer.lastReply);
+  assert.strictEqual((await bot.client.click(alice, null, accept.custom_id)).text, 'This trade is not addressed to you.');
+  const done = await bot.client.click(bob, null, accept.custom_id);
+  assert.match(done.updates[0].content, /^✅ Trade complete!/);
+  assert.deepStrictEqual(bot.state().shop.inventories, { [alice.id]: { extra: 1 }, [bob.id]: { elf: 1 } });
+  assert.strictEqual(bot.state().shop.titles[bob.id], 'Elf');
+  assert.strictEqual((await bot.client.click(bob, null, accept.custom_id)).text, 'This trade is no longer open.');
+});
+
+test('an unanswered trade expires', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice, bob } = bot.members;
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Elf', type: 'title', price: 1 } });
+  bot.state().userCounts[alice.id] = 1;
+  await bot.run(alice, 'buy', { options: { item: 'elf' } });
+  const offer = await bot.run(alice, 'trade', { options: { user: bob.user, offer: 'elf' } });
+  t.mock.timers.tick(5 * MINUTE);
+  await flush();
+  assert.match(offer.lastReply.content, /^⌛ Trade expired\./);
+  assert.strictEqual((await bot.client.click(bob, null, buttonsOf(offer.replies[0])[0].custom_id)).text, 'This trade is no longer open.');
+});
+
+test('/snowball opens a vote that times out the target on a hit', async (t) => {
+  const bot = await startBot(t);
+  const { alice, bob, mod } = bot.members;
+  assert.strictEqual((await bot.run(alice, 'snowball', { options: { target: alice.user } })).text, 'You cannot throw a snowball at yourself.');
+
+  const thrown = await bot.run(alice, 'snowball', { options: { target: bob.user } });
+  assert.match(thrown.text, new RegExp(`<@${alice.id}> threw a snowball at <@${bob.id}>!`));
+  const [hit] = buttonsOf(thrown.lastReply);
+  assert.strictEqual((await bot.client.click(bob, thrown.replyMessage, hit.custom_id)).text, 'You cannot vote in your own snowball fight.');
+  const vote = await bot.client.click(mod, thrown.replyMessage, hit.custom_id);
+  assert.match(textOf(vote.updates[0]), /Hit: 1 • Dodge: 0/);
+  assert.match((await bot.run(alice, 'snowball', { options: { target: mod.user } })).text, /still packing snowballs/);
+
+  t.mock.timers.tick(45 * 1000);
+  await flush();
+  assert.deepStrictEqual(bob.timeouts.map(x => x.ms), [60 * 1000]);
+  assert.match(textOf(thrown.replyMessage), /was hit by <@\d+>'s snowball and timed out for 60 seconds/);
+  assert.match((await bot.run(mod, 'snowball', { options: { target: bob.user } })).text, /bob is immune to snowballs for 15 minutes more/);
+});
+
+test('/blacklist add, list and remove', async (t) => {
+  const bot = await startBot(t);
+  const { mod, alice } = bot.members;
+  assert.strictEqual((await bot.run(mod, 'blacklist', { subcommand: 'add', options: { user: alice.user, reason: 'bot' } })).text, 'alice can no longer claim gift boxes.');
+  assert.match((await bot.run(mod, 'blacklist', { subcommand: 'list' })).text, new RegExp(`<@${alice.id}> — by <@${mod.id}> <t:\\d+:d>: bot`));
+  assert.strictEqual((await bot.run(mod, 'blacklist', { subcommand: 'remove', options: { user: alice.user } })).text, 'alice can claim gift boxes again.');
+  assert.deepStrictEqual(bot.state().blacklist, {});
+});
+
+test('/claim_rules shows and changes who may claim', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  const vip = bot.guild.addRole('VIP');
+  const review = bot.guild.addChannel('review');
+  assert.match((await bot.run(admin, 'claim_rules', { subcommand: 'show' })).text, /\*\*Minimum account age:\*\* 0 days/);
+
+  const age = await bot.run(admin, 'claim_rules', { subcommand: 'age', options: { account_days: 30 } });
+  assert.match(age.text, /\*\*Minimum account age:\*\* 30 days/);
+  const role = await bot.run(admin, 'claim_rules', { subcommand: 'role_add', options: { kind: 'required', role: vip } });
+  assert.match(role.text, new RegExp(`\\*\\*Required roles \\(any\\):\\*\\* <@&${vip.id}>`));
+  await bot.run(admin, 'claim_rules', { subcommand: 'review_channel', options: { channel: review } });
+  assert.strictEqual(bot.state().settings.reviewChannelId, review.id);
+
+  alice.user.createdTimestamp = Date.now() - 60 * 24 * 60 * MINUTE;
+  await bot.run(bot.members.owner, 'force_drop');
+  const [dropId, drop] = Object.entries(bot.state().activeDrops)[0];
+  const box = drop.validBoxes[0].slice('box_'.length);
+  const refused = await bot.client.click(alice, bot.channel.sent[0], `collect:${dropId}:${box}`);
+  assert.strictEqual(refused.text, `You cannot claim gift boxes here: you need one of these roles: <@&${vip.id}>.`);
+
+  const removed = await bot.run(admin, 'claim_rules', { subcommand: 'role_remove', options: { role: vip } });
+  assert.match(removed.text, /\*\*Required roles \(any\):\*\* none/);
+  await bot.client.click(alice, bot.channel.sent[0], `collect:${dropId}:${box}`);
+  assert.strictEqual(bot.state().userCounts[alice.id], 1);
+});
+
+test('/set_audit_channel logs admin changes', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  const audit = bot.guild.addChannel('audit');
+  assert.strictEqual((await bot.run(admin, 'set_audit_channel', { options: { channel: audit } })).text, `Audit log set to <#${audit.id}>.`);
+  await bot.run(admin, 'transfer_cap', { options: { amount: 10 } });
+  await flush();
+  const titles = audit.sent.map(m => m.embeds[0].title);
+  assert.ok(titles.some(title => /\/set_audit_channel/.test(title)));
+  assert.ok(titles.some(title => /\/transfer_cap/.test(title)));
+  assert.match(textOf(audit.sent[audit.sent.length - 1]), /Daily transfer cap/);
+
+  const beforeOff = audit.sent.length;
+  assert.strictEqual((await bot.run(admin, 'set_audit_channel')).text, 'Audit log disabled.');
+  assert.strictEqual(audit.sent.length, beforeOff + 1, 'the old channel hears about the switch');
+  assert.match(textOf(audit.sent[audit.sent.length - 1]), /Audit channel/);
+  const before = audit.sent.length;
+  await bot.run(admin, 'transfer_cap', { options: { amount: 11 } });
+  await flush();
+  assert.strictEqual(audit.sent.length, before);
+});
+
+test('/drop_config sets box counts and tiers', async (t) => {
+  const bot = await startBot(t);
+  const { admin, owner } = bot.members;
+  assert.match((await bot.run(admin, 'drop_config', { subcommand: 'show' })).text, /\*\*Boxes:\*\* 4 \(2 real, 2 troll\)/);
+  assert.strictEqual((await bot.run(admin, 'drop_config', { subcommand: 'boxes', options: { count: 3, trolls: 3 } })).text, 'A drop needs at least one real box: use fewer trolls than boxes.');
+  assert.match((await bot.run(admin, 'drop_config', { subcommand: 'boxes', options: { count: 6, trolls: 1 } })).text, /\*\*Boxes:\*\* 6 \(5 real, 1 troll\)/);
+
+  const tier = await bot.run(admin, 'drop_config', { subcommand: 'tier_set', options: { name: 'Rare', value: 5, weight: 1, color: '#FFD700' } });
+  assert.match(tier.text, /Rare — worth 5, weight 1/);
+  assert.strictEqual((await bot.run(admin, 'drop_config', { subcommand: 'tier_set', options: { name: 'Odd', value: 1, weight: 1, color: 'gold' } })).text, 'Colour must be a hex value like #FFD700.');
+  assert.strictEqual((await bot.run(admin, 'drop_config', { subcommand: 'tier_remove', options: { name: 'Epic' } })).text, 'No tier with that name.');
+
+  await bot.run(owner, 'force_drop');
+  assert.strictEqual(buttonsOf(bot.channel.sent[0]).length, 6);
+  const [drop] = Object.values(bot.state().activeDrops);
+  assert.strictEqual(drop.validBoxes.length, 5);
+
+  const tiers = bot.state().settings.drop.tiers.map(x => x.name);
+  for (const name of tiers.slice(0, -1)) await bot.run(admin, 'drop_config', { subcommand: 'tier_remove', options: { name } });
+  assert.strictEqual((await bot.run(admin, 'drop_config', { subcommand: 'tier_remove', options: { name: tiers[tiers.length - 1] } })).text, 'Cannot remove the last tier.');
+});
+
+test('/troll_effects lists and changes effects', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  const show = await bot.run(admin, 'troll_effects', { subcommand: 'show' });
+  assert.match(show.text, /^\*\*Troll box effects\*\*/);
+  assert.match(show.text, /`temp_role` — Troll role for 30 minutes: on, weight 3 \(30%\)/);
+  const set = await bot.run(admin, 'troll_effects', { subcommand: 'set', options: { effect: 'temp_role', enabled: false } });
+  assert.match(set.text, /`temp_role` — Troll role for 30 minutes: off/);
+  assert.match(set.text, /`nothing` — Nothing happens: on, weight 2 \(29%\)/);
+});
+
+test('/theme list, show, set and upload', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  assert.match((await bot.run(alice, 'theme', { subcommand: 'list' })).text, /▶ `christmas`/);
+  assert.match((await bot.run(alice, 'theme', { subcommand: 'show' })).text, /\*\*Drop title:\*\*/);
+  assert.strictEqual((await bot.run(admin, 'theme', { subcommand: 'set', options: { theme: 'nope' } })).text, 'Unknown theme. See /theme list.');
+  assert.match((await bot.run(admin, 'theme', { subcommand: 'set', options: { theme: 'halloween' } })).text, /^Theme set\./);
+  assert.strictEqual(bot.state().settings.theme, 'halloween');
+  assert.ok((await bot.client.autocomplete(admin, bot.channel, 'theme', { name: 'theme', value: 'east' })).some(c => c.value === 'easter'));
+
+  const upload = (body) => {
+    t.mock.method(globalThis, 'fetch', async () => ({ text: async () => body }));
+    return bot.run(admin, 'theme', { subcommand: 'upload', options: { file: { url: 'https://cdn.example/theme.json', size: body.length } } });
+  };
+  assert.match((await upload('{ nope')).text, /^Could not read that file as JSON/);
+  assert.match((await upload(JSON.stringify({ name: 'Summer', color: 'red' }))).text, /^That theme has problems/);
+  const good = await upload(JSON.stringify({ id: 'summer', name: 'Summer', boxName: 'ice cream' }));
+  assert.match(good.text, /^Theme set\./);
+  assert.strictEqual(bot.state().settings.theme, 'custom');
+});
+
+test('/language show and set', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  assert.match((await bot.run(alice, 'language', { subcommand: 'show' })).text, /each member's Discord language/);
+  assert.strictEqual((await bot.run(alice, 'giftbox', { locale: 'de' })).text, 'Du hast **0** Geschenkboxen gesammelt.');
+
+  assert.strictEqual((await bot.run(admin, 'language', { subcommand: 'set', options: { language: 'es' } })).text, 'Las respuestas en este servidor siempre están en **Español**.');
+  assert.strictEqual((await bot.run(alice, 'giftbox', { locale: 'de' })).text, 'Has recogido **0** cajas de regalo.');
+  await bot.run(admin, 'language', { subcommand: 'set', options: { language: 'auto' } });
+  assert.strictEqual(bot.state().settings.locale, null);
+});
+
+test('claim and mention replies follow the language', async (t) => {
+  const bot = await startBot(t);
+  const { admin, owner, alice } = bot.members;
+  await bot.run(owner, 'force_drop');
+  const [dropId, drop] = Object.entries(bot.state().activeDrops)[0];
+  const box = drop.validBoxes[0].slice('box_'.length);
+  const claim = await bot.client.click(alice, bot.channel.sent[0], `collect:${dropId}:${box}`, { locale: 'es-ES' });
+  assert.match(claim.text, new RegExp(`^¡<@${alice.id}> recogió una caja de regalo`));
+
+  await bot.run(admin, 'language', { subcommand: 'set', options: { language: 'de' } });
+  const mention = await bot.client.message(alice, bot.channel, 'hey bot', { mentions: [bot.client.user.id] });
+  const german = christmas.translations.de.replies.mention.map(line => line.replace('{user}', 'alice'));
+  assert.ok(german.includes(mention.replies[0].content), mention.replies[0].content);
+});
+
+test('/schedule shows and validates the drop schedule', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  const run = (subcommand, options) => bot.run(admin, 'schedule', { subcommand, options });
+  assert.strictEqual((await run('interval', { min_minutes: 20, max_minutes: 10 })).text, 'The shortest wait cannot be longer than the longest wait.');
+  assert.match((await run('interval', { min_minutes: 10, max_minutes: 20 })).text, /\*\*Interval:\*\* 10–20 minutes/);
+  assert.strictEqual((await run('quiet_hours', { start: '23:00' })).text, 'Give both a start and an end time, or neither to remove quiet hours.');
+  assert.strictEqual((await run('quiet_hours', { start: '25:00', end: '08:00' })).text, 'Times must look like 23:00 or 7:30.');
+  assert.match((await run('quiet_hours', { start: '23:00', end: '08:00' })).text, /\*\*Quiet hours:\*\* 23:00–08:00/);
+  assert.match((await run('quiet_hours')).text, /\*\*Quiet hours:\*\* none/);
+  assert.strictEqual((await run('timezone', { zone: 'Mars/Olympus' })).text, 'Unknown timezone. Use a name like Europe/Berlin or America/New_York.');
+  assert.match((await run('timezone', { zone: 'Europe/Berlin' })).text, /\*\*Timezone:\*\* Europe\/Berlin/);
+  assert.strictEqual((await run('days', { days: 'someday' })).text, 'Could not read those days. Use e.g. mon,wed,fri or weekdays, weekends, all.');
+  assert.match((await run('days', { days: 'weekends' })).text, /\*\*Days:\*\* /);
+  assert.match((await run('activity', { messages: 3 })).text, /\*\*Activity:\*\* 3 messages in the drop channel since the last drop/);
+  assert.match((await run('show')).text, /\*\*Interval:\*\* 10–20 minutes/);
+});
+
+test('leaderboard pages turn with the buttons', async (t) => {
+  const bot = await startBot(t);
+  const { alice } = bot.members;
+  for (let i = 0; i < 12; i++) bot.state().userCounts[`u${i}`] = 100 - i;
+  const board = await bot.run(alice, 'leaderboard');
+  assert.match(board.text, /Page 1\/2 • 12 collectors/);
+  const [, next] = buttonsOf(board.lastReply);
+  const page = await bot.client.click(alice, board.replyMessage, next.custom_id);
+  assert.match(textOf(page.updates[0]), /11\. <@u10> — \*\*90\*\*/);
+  assert.match(textOf(page.updates[0]), /Page 2\/2/);
+});
@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionsBitField } = require('discord.js');
+const { startBot } = require('./helpers/bot');
+const { flush } = require('./helpers/discord');
+const { configureLogger } = require('../src/logger');
+
+const MINUTE = 60 * 1000;
+
+// Drop a box set in #gifts and return handles for clicking its boxes.
+async function dropIn(bot) {
+  await bot.run(bot.members.owner, 'force_drop');
+  const message = bot.channel.sent[bot.channel.sent.length - 1];
+  const [dropId, drop] = Object.entries(bot.state().activeDrops).find(([, d]) => d.messageId === message.id);
+  const boxes = [...Array(drop.boxCount).keys()];
+  return {
+    dropId,
+    drop,
+    message,
+    real: boxes.filter(i => drop.validBoxes.includes(`box_${i}`)),
+    troll: boxes.filter(i => !drop.validBoxes.includes(`box_${i}`)),
+    click: (member, i) => bot.client.click(member, message, `collect:${dropId}:${i}`)
+  };
+}
+
+test('a real box adds to the count, disables its button and lands in the ledger', async (t) => {
+  const bot = await startBot(t);
+  const { alice } = bot.members;
+  const drop = await dropIn(bot);
+  assert.strictEqual(drop.message.components[0].components.length, 4);
+  assert.strictEqual(drop.real.length, 2);
+
+  const claim = await drop.click(alice, drop.real[0]);
+  assert.strictEqual(claim.text, `<@${alice.id}> collected a gift box! 🎁 You now have 1 collected.`);
+  assert.strictEqual(bot.state().userCounts[alice.id], 1);
+  const button = drop.message.components[0].components[drop.real[0]];
+  assert.strictEqual(button.disabled, true);
+  const [entry] = bot.state().claims;
+  assert.strictEqual(entry.userId, alice.id);
+  assert.strictEqual(entry.real, true);
+  assert.strictEqual(entry.dropId, drop.dropId);
+
+  assert.match((await bot.run(alice, 'giftbox')).text, /\*\*1\*\* gift box\./);
+});
+
+test('a box from a tier the guild set up names the tier and its value', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  await bot.run(admin, 'drop_config', { subcommand: 'tier_set', options: { name: 'Rare', value: 5, weight: 1, color: '#FFD700' } });
+  bot.state().settings.drop.tiers = bot.state().settings.drop.tiers.filter(tier => tier.name === 'Rare');
+  const drop = await dropIn(bot);
+
+  const claim = await drop.click(alice, drop.real[0]);
+  assert.strictEqual(claim.text, `<@${alice.id}> collected a **Rare** gift box (+5)! 🎁 You now have 5 collected.`);
+});
+
+test('one box per member per drop, and a taken box stays taken', async (t) => {
+  const bot = await startBot(t);
+  const { alice, bob } = bot.members;
+  const drop = await dropIn(bot);
+
+  await drop.click(alice, drop.real[0]);
+  assert.strictEqual((await drop.click(alice, drop.real[1])).text, 'You already claimed a box from this drop. You cannot claim another.');
+  assert.strictEqual((await drop.click(bob, drop.real[0])).text, 'Someone already collected this box.');
+  await drop.click(bob, drop.real[1]);
+  assert.deepStrictEqual(bot.state().userCounts, { [alice.id]: 1, [bob.id]: 1 });
+});
+
+test('troll boxes apply one of the enabled effects', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice, bob } = bot.members;
+  for (const effect of ['temp_role', 'nickname', 'timeout', 'nothing']) {
+    await bot.run(admin, 'troll_effects', { subcommand: 'set', options: { effect, enabled: false } });
+  }
+  // Only lose_box is left.
+  bot.state().userCounts[alice.id] = 3;
+  const drop = await dropIn(bot);
+  const troll = await drop.click(alice, drop.troll[0]);
+  assert.strictEqual(troll.text, `<@${alice.id}> opened a troll box and lost a gift box! You now have 2 collected.`);
+  assert.strictEqual(bot.state().userCounts[alice.id], 2);
+  assert.strictEqual(bot.state().claims[0].effect, 'lose_box');
+
+  await bot.run(admin, 'troll_effects', { subcommand: 'set', options: { effect: 'lose_box', enabled: false } });
+  await bot.run(admin, 'troll_effects', { subcommand: 'set', options: { effect: 'timeout', enabled: true } });
+  const next = await drop.click(bob, drop.troll[1]);
+  assert.match(next.text, /timed out for 30 seconds/);
+  assert.strictEqual(bob.timeouts.length, 1);
+});
+
+test('blacklisted and too-new members are turned away', async (t) => {
+  const bot = await startBot(t);
+  const { mod, admin, alice, bob } = bot.members;
+  await bot.run(mod, 'blacklist', { subcommand: 'add', options: { user: alice.user, reason: 'alt account' } });
+  await bot.run(admin, 'claim_rules', { subcommand: 'age', options: { member_days: 7 } });
+  bob.joinedTimestamp = Date.now() - 2 * 24 * 60 * MINUTE;
+  const drop = await dropIn(bot);
+
+  assert.strictEqual((await drop.click(alice, drop.real[0])).text, 'You cannot claim gift boxes here: you are blacklisted from drops.');
+  assert.strictEqual((await drop.click(bob, drop.real[0])).text, 'You cannot claim gift boxes here: you must have been in this server for 7 days.');
+  assert.deepStrictEqual(bot.state().claims, []);
+});
+
+test('drop messages are removed after 10 seconds and the drop retired', async (t) => {
+  const bot = await startBot(t);
+  const drop = await dropIn(bot);
+  t.mock.timers.tick(9 * 1000);
+  await flush();
+  assert.ok(bot.channel.messages.cache.has(drop.message.id));
+
+  t.mock.timers.tick(1000);
+  await flush();
+  assert.ok(!bot.channel.messages.cache.has(drop.message.id));
+  assert.deepStrictEqual(bot.state().activeDrops, {});
+  assert.strictEqual((await drop.click(bot.members.alice, drop.real[0])).text, 'This drop expired or is invalid (message removed).');
+});
+
+test('a drop past its expiry is rejected and cleaned up', async (t) => {
+  const bot = await startBot(t);
+  const drop = await dropIn(bot);
+  // The message survived (say, a failed delete) but the drop is past its 48 hours.
+  bot.state().activeDrops[drop.dropId].expiresAt = Date.now() - 1;
+  assert.strictEqual((await drop.click(bot.members.alice, drop.real[0])).text, 'This drop has expired.');
+  await flush();
+  assert.deepStrictEqual(bot.state().activeDrops, {});
+  assert.strictEqual(bot.state().userCounts[bot.members.alice.id], undefined);
+});
+
+test('a drop that cannot be deleted gets its buttons disabled instead', async (t) => {
+  const bot = await startBot(t);
+  const drop = await dropIn(bot);
+  bot.channel.messages.delete = async () => { throw new Error('Missing Permissions'); };
+  t.mock.timers.tick(10 * 1000);
+  await flush();
+  assert.ok(drop.message.components.every(row => row.components.every(b => b.disabled)));
+});
+
+test('automatic drops follow the drop channels and interval', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  assert.strictEqual((await bot.run(alice, 'schedule', { subcommand: 'next' })).text, 'Automatic drops are disabled.');
+
+  const add = await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: bot.channel } });
+  assert.strictEqual(add.text, `Automatic drops now include <#${bot.channel.id}> (weight 1).`);
+  assert.match((await bot.run(alice, 'schedule', { subcommand: 'next' })).text, /^The next drop is due <t:\d+:R>/);
+
+  t.mock.timers.tick(4 * MINUTE);
+  await flush();
+  assert.strictEqual(bot.channel.sent.length, 0);
+  t.mock.timers.tick(6 * MINUTE);
+  await flush();
+  assert.strictEqual(bot.channel.sent.length, 1);
+  assert.strictEqual(Object.keys(bot.state().activeDrops).length, 1);
+
+  await bot.run(admin, 'admin', { subcommand: 'toggle' });
+  t.mock.timers.tick(60 * MINUTE);
+  await flush();
+  assert.strictEqual(bot.channel.sent.length, 1);
+});
+
+test('quiet hours hold automatic drops back', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  await bot.run(admin, 'schedule', { subcommand: 'quiet_hours', options: { start: '11:00', end: '13:00' } });
+  await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: bot.channel } });
+
+  t.mock.timers.tick(59 * MINUTE);
+  await flush();
+  assert.strictEqual(bot.channel.sent.length, 0);
+  t.mock.timers.tick(MINUTE);
+  await flush();
+  assert.strictEqual(bot.channel.sent.length, 1);
+});
+
+test('activity mode waits for messages in the drop channel', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice, bob } = bot.members;
+  await bot.run(admin, 'schedule', { subcommand: 'activity', options: { messages: 2 } });
+  await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: bot.channel } });
+
+  t.mock.timers.tick(10 * MINUTE);
+  await flush();
+  assert.strictEqual(bot.channel.sent.length, 0);
+  const next = await bot.run(alice, 'schedule', { subcommand: 'next' });
+  assert.strictEqual(next.text, `The next drop is due and will fire after 2 more messages in <#${bot.channel.id}>.`);
+
+  await bot.client.message(alice, bot.channel, 'hello');
+  assert.strictEqual(bot.channel.sent.length, 0);
+  await bot.client.message(bob, bot.channel, 'hi');
+  await flush();
+  assert.strictEqual(bot.channel.sent.length, 1);
+});
+
+test('drop channels the bot cannot post in are skipped', async (t) => {
+  const bot = await startBot(t);
+  const { admin } = bot.members;
+  const locked = bot.guild.addChannel('locked');
+  locked.botPermissions = new PermissionsBitField(['ViewChannel', 'EmbedLinks']);
+
+  const add = await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: locked } });
+  assert.match(add.text, /I am missing Send Messages there/);
+  const list = await bot.run(admin, 'admin', { group: 'channel', subcommand: 'list' });
+  assert.match(list.text, /weight 1 \(~100%\) ⚠️ missing Send Messages/);
+
+  t.mock.timers.tick(10 * MINUTE);
+  await flush();
+  assert.strictEqual(locked.sent.length, 0);
+});
+
+test('the bot answers when mentioned', async (t) => {
+  const bot = await startBot(t);
+  const message = await bot.client.message(bot.members.alice, bot.channel, 'hey bot', { mentions: [bot.client.user.id] });
+  assert.strictEqual(message.replies.length, 1);
+  const quiet = await bot.client.message(bot.members.alice, bot.channel, 'hey all');
+  assert.strictEqual(quiet.replies.length, 0);
+});
+
+test('a mention the bot cannot answer is logged, not thrown', async (t) => {
+  const bot = await startBot(t);
+  const warnings = [];
+  const previous = configureLogger({ level: 'warn', stderr: { write: line => warnings.push(line) } });
+  t.after(() => configureLogger(previous));
+  const reply = t.mock.fn(async () => { throw new Error('Missing Permissions'); });
+  bot.client.prependListener('messageCreate', message => { message.reply = reply; });
+
+  await bot.client.message(bot.members.alice, bot.channel, 'hey bot', { mentions: [bot.client.user.id] });
+  assert.strictEqual(reply.mock.callCount(), 1);
+  assert.match(warnings.join(''), /\[messages\] Failed to answer a mention .*Missing Permissions/s);
+});
@@ -0,0 +1,71 @@
+/**
+ * A running bot on a fake Discord, for tests: one server with an owner, an admin, a
+ * moderator and two members, a #gifts channel, JSON storage in a temp directory, and
+ * mocked timers (t.mock.timers.tick moves the clock). `storage` pre-fills the storage file;
+ * `beforeReady(bot, guild)` runs after storage is loaded and before the gateway is ready.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PermissionsBitField } = require('discord.js');
+const { createBot } = require('../../src/bot');
+const { JsonStore } = require('../../src/storage');
+const { configureLogger } = require('../../src/logger');
+const { FakeClient } = require('./discord');
+
+// Wednesday 2025-01-15 12:00 UTC
+const NOW = Date.UTC(2025, 0, 15, 12, 0);
+
+async function startBot(t, { config = {}, now = NOW, quiet = true, storage = null, beforeReady = null } = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now });
+  if (quiet) {
+    const previous = configureLogger({ level: 'silent' });
+    t.after(() => configureLogger(previous));
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'giftbot-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const client = new FakeClient();
+  const guild = client.addGuild({ name: 'North Pole' });
+  const modRole = guild.addRole('Elves', 5);
+  const members = {
+    owner: guild.addMember({ username: 'santa' }),
+    admin: guild.addMember({ username: 'mrsclaus' }, { permissions: [PermissionsBitField.Flags.ManageGuild] }),
+    mod: guild.addMember({ username: 'elf' }, { roles: [modRole] }),
+    alice: guild.addMember({ username: 'alice' }),
+    bob: guild.addMember({ username: 'bob' })
+  };
+  guild.ownerId = members.owner.id;
+  const channel = guild.addChannel('gifts');
+
+  const storageFile = path.join(dir, 'storage.json');
+  if (storage) fs.writeFileSync(storageFile, JSON.stringify(storage));
+  const registered = [];
+  const bot = createBot({
+    client,
+    store: new JsonStore(storageFile),
+    config: Object.assign({ ownerIds: [], modRoleId: modRole.id }, config),
+    registerCommands: async body => { registered.push(body); }
+  });
+  // Loaded once, before login, as index.js does.
+  bot.loadStorage();
+  if (beforeReady) await beforeReady(bot, guild);
+  await client.dispatch('ready');
+
+  return {
+    bot,
+    client,
+    guild,
+    channel,
+    members,
+    modRole,
+    registered,
+    storageFile,
+    state: () => bot.getGuildState(guild.id),
+    // Shorthand for a slash command in #gifts.
+    run: (member, name, opts) => client.command(member, channel, name, opts)
+  };
+}
+
+module.exports = { NOW, startBot };
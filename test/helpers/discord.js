@@ -0,0 +1,452 @@
+/**
+ * A fake Discord for the bot tests: just enough of discord.js's client, guilds, members,
+ * roles, channels, messages and interactions for src/bot.js to run offline.
+ * - Messages and replies are kept in API shape (plain JSON embeds and components), the way
+ *   discord.js structures look after a round trip. Everything sent is recorded.
+ * - Events are delivered with client.dispatch(), which waits for the bot's async handlers.
+ */
+
+const { EventEmitter } = require('events');
+const { Collection, PermissionsBitField, Status } = require('discord.js');
+
+let lastId = 1000;
+const snowflake = () => String(++lastId);
+const toJSON = x => (x && typeof x.toJSON === 'function' ? x.toJSON() : x);
+
+function normalize(payload) {
+  if (typeof payload === 'string') payload = { content: payload };
+  const out = Object.assign({}, payload);
+  if (payload.embeds) out.embeds = payload.embeds.map(toJSON);
+  if (payload.components) out.components = payload.components.map(toJSON);
+  return out;
+}
+
+// Everything a member would read: content, embed titles, descriptions, fields and footers.
+function textOf(payload) {
+  if (!payload) return '';
+  const parts = [payload.content];
+  for (const e of payload.embeds || []) {
+    parts.push(e.title, e.description, e.footer && e.footer.text);
+    for (const f of e.fields || []) parts.push(f.name, f.value);
+  }
+  return parts.filter(Boolean).join('\n');
+}
+
+const buttonsOf = payload => ((payload && payload.components) || []).flatMap(row => row.components);
+
+class FakeUser {
+  constructor({ id = snowflake(), username = `user${id}`, bot = false, createdTimestamp = 0 } = {}) {
+    this.id = id;
+    this.username = username;
+    this.tag = username;
+    this.bot = bot;
+    this.createdTimestamp = createdTimestamp;
+    this.dms = [];
+  }
+
+  async send(payload) {
+    this.dms.push(normalize(payload));
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+class FakeRole {
+  constructor(guild, { id = snowflake(), name, position = 1 }) {
+    this.guild = guild;
+    this.id = id;
+    this.name = name;
+    this.position = position;
+  }
+
+  toString() {
+    return `<@&${this.id}>`;
+  }
+}
+
+class FakeMember {
+  constructor(guild, user, { roles = [], permissions = [], joinedTimestamp = 0 } = {}) {
+    this.guild = guild;
+    this.user = user;
+    this.id = user.id;
+    this.nickname = null;
+    this.joinedTimestamp = joinedTimestamp;
+    this.permissions = new PermissionsBitField(permissions);
+    this.timeouts = [];
+    const cache = new Collection(roles.map(r => [r.id, r]));
+    const resolve = role => (typeof role === 'string' ? guild.roles.cache.get(role) : role);
+    this.roles = {
+      cache,
+      add: async role => { role = resolve(role); cache.set(role.id, role); },
+      remove: async role => { cache.delete(typeof role === 'string' ? role : role.id); },
+      get highest() {
+        return cache.reduce((top, r) => (r.position > top.position ? r : top), guild.everyone);
+      }
+    };
+  }
+
+  get displayName() {
+    return this.nickname || this.user.username;
+  }
+
+  get manageable() {
+    return this.id !== this.guild.ownerId && this.guild.members.me.roles.highest.position > this.roles.highest.position;
+  }
+
+  async setNickname(nick) {
+    this.nickname = nick;
+  }
+
+  async timeout(ms, reason) {
+    this.timeouts.push({ ms, reason });
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+class FakeMessage {
+  constructor(channel, payload, author) {
+    this.id = snowflake();
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guildId = channel.guildId;
+    this.author = author;
+    this.content = payload.content || '';
+    this.embeds = payload.embeds || [];
+    this.components = payload.components || [];
+    this.edits = [];
+    this.replies = [];
+    this.mentionIds = [];
+  }
+
+  get mentions() {
+    return { has: id => this.mentionIds.includes(String(id)) };
+  }
+
+  async edit(payload) {
+    const p = normalize(payload);
+    this.edits.push(p);
+    Object.assign(this, p);
+    return this;
+  }
+
+  async delete() {
+    this.channel.messages.cache.delete(this.id);
+  }
+
+  async reply(payload) {
+    this.replies.push(normalize(payload));
+  }
+}
+
+class FakeTextChannel {
+  constructor(guild, { id = snowflake(), name }) {
+    this.guild = guild;
+    this.guildId = guild.id;
+    this.id = id;
+    this.name = name;
+    // What the bot may do here; drop some to test permission problems.
+    this.botPermissions = new PermissionsBitField(PermissionsBitField.All);
+    this.sent = [];
+    const cache = new Collection();
+    this.messages = {
+      cache,
+      fetch: async messageId => {
+        if (!cache.has(messageId)) throw new Error('Unknown Message');
+        return cache.get(messageId);
+      },
+      delete: async messageId => {
+        if (!cache.delete(messageId)) throw new Error('Unknown Message');
+      }
+    };
+  }
+
+  isTextBased() {
+    return true;
+  }
+
+  permissionsFor() {
+    return this.botPermissions;
+  }
+
+  async send(payload) {
+    const msg = new FakeMessage(this, normalize(payload), this.guild.client.user);
+    this.messages.cache.set(msg.id, msg);
+    this.sent.push(msg);
+    return msg;
+  }
+
+  toString() {
+    return `<#${this.id}>`;
+  }
+}
+
+class FakeGuild {
+  constructor(client, { id = snowflake(), name = 'Test Server', ownerId = null, preferredLocale = 'en-US' } = {}) {
+    this.client = client;
+    this.id = id;
+    this.name = name;
+    this.ownerId = ownerId;
+    this.preferredLocale = preferredLocale;
+    this.everyone = new FakeRole(this, { id: this.id, name: '@everyone', position: 0 });
+
+    const roles = new Collection();
+    this.roles = {
+      cache: roles,
+      create: async ({ name }) => this.addRole(name)
+    };
+    const members = new Collection();
+    this.members = {
+      cache: members,
+      me: null,
+      fetch: async userId => {
+        if (!members.has(userId)) throw new Error('Unknown Member');
+        return members.get(userId);
+      }
+    };
+    const channels = new Collection();
+    this.channels = {
+      cache: channels,
+      fetch: async channelId => {
+        if (!channels.has(channelId)) throw new Error('Unknown Channel');
+        return channels.get(channelId);
+      }
+    };
+    const botRole = this.addRole('Bot', 100);
+    this.members.me = this.addMember(client.user, { roles: [botRole], permissions: PermissionsBitField.All });
+  }
+
+  addRole(name, position = 1) {
+    const role = new FakeRole(this, { name, position });
+    this.roles.cache.set(role.id, role);
+    return role;
+  }
+
+  addMember(userOrOptions = {}, options = {}) {
+    const user = userOrOptions instanceof FakeUser ? userOrOptions : new FakeUser(userOrOptions);
+    this.client.users.cache.set(user.id, user);
+    const member = new FakeMember(this, user, options);
+    this.members.cache.set(user.id, member);
+    return member;
+  }
+
+  addChannel(name) {
+    const channel = new FakeTextChannel(this, { name });
+    this.channels.cache.set(channel.id, channel);
+    return channel;
+  }
+}
+
+// Slash command options as discord.js's resolver exposes them. `values` maps option names
+// to strings, numbers, booleans, users, members, roles, channels or attachments.
+function optionResolver({ subcommand = null, group = null, values = {}, focused = null }) {
+  const missing = name => new TypeError(`Required option "${name}" not found.`);
+  const getter = pick => (name, required = false) => {
+    const value = values[name];
+    if (value === undefined || value === null) {
+      if (required) throw missing(name);
+      return null;
+    }
+    return pick(value);
+  };
+  return {
+    getSubcommand: (required = true) => {
+      if (!subcommand && required) throw new TypeError('A subcommand was not selected.');
+      return subcommand;
+    },
+    getSubcommandGroup: (required = false) => {
+      if (!group && required) throw new TypeError('A subcommand group was not selected.');
+      return group;
+    },
+    getString: getter(v => String(v)),
+    getInteger: getter(v => v),
+    getNumber: getter(v => v),
+    getBoolean: getter(v => v),
+    getUser: getter(v => (v instanceof FakeMember ? v.user : v)),
+    getMember: getter(v => (v instanceof FakeUser ? null : v)),
+    getRole: getter(v => v),
+    getChannel: getter(v => v),
+    getAttachment: getter(v => v),
+    getMentionable: getter(v => v),
+    get: getter(v => ({
+      value: v.id,
+      role: v instanceof FakeRole ? v : undefined,
+      user: v instanceof FakeUser ? v : v instanceof FakeMember ? v.user : undefined,
+      member: v instanceof FakeMember ? v : undefined
+    })),
+    getFocused: (full = false) => (full ? focused : focused.value)
+  };
+}
+
+class FakeInteraction {
+  constructor(kind, { member, channel, locale = 'en-US' }) {
+    this.kind = kind;
+    this.member = member;
+    this.user = member.user;
+    this.guild = member.guild;
+    this.guildId = member.guild.id;
+    this.guildLocale = member.guild.preferredLocale;
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.locale = locale;
+    this.replied = false;
+    this.deferred = false;
+    // reply, editReply and followUp payloads, in order; updates holds button updates.
+    this.replies = [];
+    this.updates = [];
+    this.choices = null;
+    this.replyMessage = null;
+  }
+
+  isChatInputCommand() {
+    return this.kind === 'command';
+  }
+
+  isButton() {
+    return this.kind === 'button';
+  }
+
+  isAutocomplete() {
+    return this.kind === 'autocomplete';
+  }
+
+  get lastReply() {
+    return this.replies[this.replies.length - 1];
+  }
+
+  get text() {
+    return this.replies.map(textOf).join('\n');
+  }
+
+  async reply(payload) {
+    if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+    this.replied = true;
+    const p = normalize(payload);
+    this.replies.push(p);
+    this.replyMessage = new FakeMessage(this.channel, p, this.guild.client.user);
+    if (!p.ephemeral) this.channel.messages.cache.set(this.replyMessage.id, this.replyMessage);
+    return p;
+  }
+
+  async deferReply() {
+    this.deferred = true;
+  }
+
+  async editReply(payload) {
+    this.replies.push(normalize(payload));
+  }
+
+  async followUp(payload) {
+    this.replies.push(normalize(payload));
+  }
+
+  async fetchReply() {
+    return this.replyMessage;
+  }
+
+  async update(payload) {
+    this.replied = true;
+    const p = normalize(payload);
+    this.updates.push(p);
+    if (this.message) await this.message.edit(p);
+  }
+
+  async deferUpdate() {
+    this.deferred = true;
+  }
+
+  async respond(choices) {
+    this.choices = choices;
+  }
+}
+
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.user = new FakeUser({ username: 'Gift Bot', bot: true });
+    const users = new Collection([[this.user.id, this.user]]);
+    this.users = {
+      cache: users,
+      fetch: async id => {
+        if (!users.has(id)) throw new Error('Unknown User');
+        return users.get(id);
+      }
+    };
+    this.guilds = { cache: new Collection() };
+    // Gateway state as discord.js reports it; 'ready' connects, disconnect() drops it.
+    this.ws = { status: Status.Idle, ping: -1 };
+    this.channels = {
+      fetch: async id => {
+        for (const guild of this.guilds.cache.values()) {
+          if (guild.channels.cache.has(id)) return guild.channels.cache.get(id);
+        }
+        throw new Error('Unknown Channel');
+      }
+    };
+  }
+
+  addGuild(options) {
+    const guild = new FakeGuild(this, options);
+    this.guilds.cache.set(guild.id, guild);
+    return guild;
+  }
+
+  isReady() {
+    return this.ws.status === Status.Ready;
+  }
+
+  disconnect() {
+    this.ws.status = Status.Disconnected;
+    this.ws.ping = -1;
+  }
+
+  // Emit an event and wait for every (async) listener to finish.
+  async dispatch(event, ...args) {
+    if (event === 'ready') Object.assign(this.ws, { status: Status.Ready, ping: 42 });
+    await Promise.all(this.rawListeners(event).map(listener => listener.apply(this, args)));
+  }
+
+  async command(member, channel, name, { subcommand, group, options, locale } = {}) {
+    const interaction = new FakeInteraction('command', { member, channel, locale });
+    interaction.commandName = name;
+    interaction.options = optionResolver({ subcommand, group, values: options });
+    await this.dispatch('interactionCreate', interaction);
+    return interaction;
+  }
+
+  // Click a button on a message the bot sent (or on a bare custom id).
+  async click(member, message, customId, { locale } = {}) {
+    const channel = message ? message.channel : member.guild.channels.cache.first();
+    const interaction = new FakeInteraction('button', { member, channel, locale });
+    interaction.customId = customId;
+    interaction.message = message;
+    await this.dispatch('interactionCreate', interaction);
+    return interaction;
+  }
+
+  async autocomplete(member, channel, name, focused, { subcommand, options } = {}) {
+    const interaction = new FakeInteraction('autocomplete', { member, channel });
+    interaction.commandName = name;
+    interaction.options = optionResolver({ subcommand, values: options, focused });
+    await this.dispatch('interactionCreate', interaction);
+    return interaction.choices;
+  }
+
+  async message(member, channel, content, { mentions = [] } = {}) {
+    const msg = new FakeMessage(channel, { content }, member.user);
+    msg.mentionIds = mentions.map(String);
+    await this.dispatch('messageCreate', msg);
+    return msg;
+  }
+}
+
+// Let fire-and-forget work (audit posts, message edits) finish.
+async function flush(rounds = 10) {
+  for (let i = 0; i < rounds; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { FakeClient, FakeUser, textOf, buttonsOf, flush };
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHttpServer } = require('../src/http');
+const { startBot } = require('./helpers/bot');
+
+const TOKEN = 'sekrit';
+
+// The bot with its HTTP server on a free port; call() sends a request with the token.
+async function startServer(t, { adminToken = TOKEN } = {}) {
+  const running = await startBot(t);
+  const server = createHttpServer({ bot: running.bot, client: running.client, adminToken });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, path, body, { token = TOKEN } = {}) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: Object.assign(token ? { authorization: `Bearer ${token}` } : {}, body ? { 'content-type': 'application/json' } : {}),
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, body: type.startsWith('application/json') ? await res.json() : await res.text() };
+  };
+  return Object.assign(running, { call, g: `/api/guilds/${running.guild.id}` });
+}
+
+test('the API needs the token', async (t) => {
+  const { call, g } = await startServer(t);
+  assert.strictEqual((await call('GET', '/api/guilds', undefined, { token: null })).status, 401);
+  assert.deepStrictEqual((await call('GET', `${g}/settings`, undefined, { token: 'wrong' })).body, { error: 'Missing or wrong token' });
+  assert.strictEqual((await call('GET', '/api/nope')).status, 404);
+  assert.strictEqual((await call('DELETE', `${g}/drops`)).status, 405);
+  assert.strictEqual((await call('GET', '/api/guilds/999/settings')).status, 404);
+
+  const page = await call('GET', '/');
+  assert.strictEqual(page.status, 200);
+  assert.match(page.body, /Gift Bot dashboard/);
+});
+
+test('without a token there is no API and no dashboard', async (t) => {
+  const { call } = await startServer(t, { adminToken: null });
+  assert.strictEqual((await call('GET', '/api/guilds')).status, 404);
+  assert.strictEqual((await call('GET', '/')).status, 404);
+});
+
+test('guilds, settings, drops, leaderboard and counts read from the bot state', async (t) => {
+  const { call, g, guild, channel, members, run, state } = await startServer(t);
+  const { owner, alice, bob } = members;
+  state().userCounts = { [alice.id]: 5, [bob.id]: 2 };
+  await run(owner, 'force_drop');
+
+  const guilds = (await call('GET', '/api/guilds')).body;
+  assert.deepStrictEqual(guilds, [{ id: guild.id, name: 'North Pole', autoDropEnabled: false, activeDrops: 1 }]);
+
+  const info = (await call('GET', `${g}/settings`)).body;
+  assert.strictEqual(info.settings.autoDropEnabled, false);
+  assert.strictEqual(info.nextDrop, 'Automatic drops are disabled.');
+  assert.deepStrictEqual(info.channels, [{ id: channel.id, name: 'gifts' }]);
+
+  const [drop] = (await call('GET', `${g}/drops`)).body;
+  assert.strictEqual(drop.channelId, channel.id);
+  assert.deepStrictEqual(drop.claimedBy, []);
+
+  const board = (await call('GET', `${g}/leaderboard`)).body;
+  assert.deepStrictEqual(board.entries, [{ rank: 1, userId: alice.id, count: 5 }, { rank: 2, userId: bob.id, count: 2 }]);
+  assert.strictEqual((await call('GET', `${g}/leaderboard?period=decade`)).status, 400);
+  // Ties share a rank, as in /leaderboard and /rank.
+  state().userCounts[members.mod.id] = 2;
+  const tied = (await call('GET', `${g}/leaderboard`)).body.entries;
+  assert.deepStrictEqual(tied.map(e => e.rank), [1, 2, 2]);
+  assert.match((await run(members.mod, 'rank')).text, /^\*\*#2\*\* of 3/);
+  assert.deepStrictEqual((await call('GET', `${g}/users/${alice.id}`)).body, { userId: alice.id, count: 5 });
+});
+
+test('writes go through the same paths as the slash commands', async (t) => {
+  const { call, g, channel, members, run, state } = await startServer(t);
+  const { admin, alice } = members;
+  const audit = channel.guild.addChannel('audit');
+  await run(admin, 'set_audit_channel', { options: { channel: audit } });
+  await run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel } });
+
+  const off = await call('POST', `${g}/auto-drops`, { enabled: false });
+  assert.deepStrictEqual(off.body, { autoDropEnabled: false, dropChannels: 1 });
+  assert.strictEqual((await run(alice, 'schedule', { subcommand: 'next' })).text, 'Automatic drops are disabled.');
+  assert.strictEqual((await call('POST', `${g}/auto-drops`, { enabled: 'yes' })).status, 400);
+
+  const sent = await call('POST', `${g}/drops`, { channelId: channel.id });
+  assert.strictEqual(sent.status, 200);
+  assert.ok(state().activeDrops[sent.body.dropId]);
+  assert.strictEqual(channel.sent.length, 1);
+  assert.strictEqual((await call('POST', `${g}/drops`, { channelId: '1' })).status, 400);
+
+  assert.deepStrictEqual((await call('POST', `${g}/users/${alice.id}/count`, { count: 4 })).body, { userId: alice.id, count: 4 });
+  assert.deepStrictEqual((await call('POST', `${g}/users/${alice.id}/count`, { add: -10 })).body, { userId: alice.id, count: 0 });
+  assert.strictEqual((await call('POST', `${g}/users/${alice.id}/count`, { add: 'many' })).status, 400);
+  assert.strictEqual((await call('POST', `${g}/users/${alice.id}/count`, '{oops')).status, 400);
+  const huge = await call('POST', `${g}/users/${alice.id}/count`, { count: 1, pad: 'x'.repeat(256 * 1024) });
+  assert.deepStrictEqual(huge, { status: 413, body: { error: 'Request body too large' } });
+
+  const titles = audit.sent.map(m => m.embeds[0].title);
+  assert.deepStrictEqual(titles.slice(-4), ['Dashboard: automatic drops off', 'Dashboard: drop now', 'Dashboard: gift box count', 'Dashboard: gift box count']);
+});
+
+test('/healthz follows the gateway and needs no token', async (t) => {
+  const { call, client } = await startServer(t, { adminToken: null });
+  const up = await call('GET', '/healthz', undefined, { token: null });
+  assert.strictEqual(up.status, 200);
+  assert.strictEqual(up.body.status, 'ok');
+  assert.strictEqual(up.body.gateway, 'Ready');
+  assert.strictEqual(up.body.ping, 42);
+
+  client.disconnect();
+  const down = await call('GET', '/healthz', undefined, { token: null });
+  assert.strictEqual(down.status, 503);
+  assert.deepStrictEqual([down.body.status, down.body.gateway, down.body.ping], ['unavailable', 'Disconnected', null]);
+});
+
+test('/metrics counts drops, claims, failures and errors', async (t) => {
+  const { call, client, guild, channel, members, run, state } = await startServer(t, { adminToken: null });
+  const { admin, owner, alice } = members;
+  await run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel } });
+  await run(owner, 'force_drop');
+  const [dropId, drop] = Object.entries(state().activeDrops)[0];
+  const box = drop.validBoxes[0].slice('box_'.length);
+  await client.click(alice, channel.sent[0], `collect:${dropId}:${box}`);
+  t.mock.method(channel, 'send', async () => { throw new Error('Missing Access'); });
+  await run(owner, 'force_drop');
+  await client.dispatch('interactionCreate', { guildId: null, replied: true, isButton() { throw new Error('boom'); } });
+
+  const res = await call('GET', '/metrics', undefined, { token: null });
+  assert.strictEqual(res.status, 200);
+  const g = guild.id;
+  for (const line of [
+    'giftbot_gateway_up 1',
+    'giftbot_gateway_ping_seconds 0.042',
+    `giftbot_drops_sent_total{guild="${g}"} 1`,
+    `giftbot_drop_failures_total{guild="${g}"} 1`,
+    `giftbot_claims_total{guild="${g}",kind="real"} 1`,
+    'giftbot_interaction_errors_total 1',
+    '# TYPE giftbot_storage_save_seconds histogram'
+  ]) assert.ok(res.body.split('\n').includes(line), `missing "${line}" in\n${res.body}`);
+  assert.match(res.body, new RegExp(`^giftbot_next_drop_seconds\\{guild="${g}"\\} \\d+`, 'm'));
+  assert.match(res.body, /^giftbot_storage_save_seconds_count [1-9]\d*$/m);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SUPPORTED_LOCALES, catalogs, resolveLocale, translate, translator, localizeCommands } = require('../src/i18n');
+
+// { 'a.b': value } for every leaf; plural objects count as one leaf.
+function flatten(node, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(node)) {
+    const at = prefix ? `${prefix}.${key}` : key;
+    const plural = value && typeof value === 'object' && 'other' in value;
+    if (value && typeof value === 'object' && !plural) flatten(value, at, out);
+    else out[at] = value;
+  }
+  return out;
+}
+
+const placeholders = value => new Set(JSON.stringify(value).match(/\{\w+\}/g) || []);
+
+test('every catalog has the English keys with the same placeholders', () => {
+  const en = flatten(catalogs.en);
+  for (const locale of SUPPORTED_LOCALES) {
+    const other = flatten(catalogs[locale]);
+    for (const [key, value] of Object.entries(en)) {
+      assert.ok(key in other, `${locale} is missing ${key}`);
+      assert.deepStrictEqual(placeholders(other[key]), placeholders(value), `${locale} ${key}`);
+    }
+  }
+});
+
+test('plurals follow the count and missing keys fall back', () => {
+  assert.strictEqual(translate('en', 'common.boxes', { count: 1 }), '1 gift box');
+  assert.strictEqual(translate('en', 'common.boxes', { count: 3 }), '3 gift boxes');
+  assert.strictEqual(translate('de', 'common.days', { count: 2 }), '2 Tage');
+  assert.strictEqual(translate('xx', 'claims.expired'), translate('en', 'claims.expired'));
+  assert.strictEqual(translate('es', 'no.such.key'), 'no.such.key');
+  const t = translator('es');
+  assert.strictEqual(t.locale, 'es');
+  assert.strictEqual(t('audit.set', { channel: '#logs' }), 'Registro de auditoría en #logs.');
+});
+
+test('the guild override beats the member and guild languages', () => {
+  assert.strictEqual(resolveLocale('de', 'es-ES', 'en-US'), 'de');
+  assert.strictEqual(resolveLocale(null, 'es-419', 'de'), 'es');
+  assert.strictEqual(resolveLocale(null, 'ja', 'de'), 'de');
+  assert.strictEqual(resolveLocale(null, 'ja', 'fr'), 'en');
+});
+
+test('command definitions get Discord localizations', () => {
+  const [cmd] = localizeCommands([{
+    name: 'leaderboard',
+    description: 'Show the top collectors',
+    options: [{ type: 3, name: 'period', description: 'Time window', choices: [{ name: 'All-time', value: 'all' }] }]
+  }]);
+  assert.strictEqual(cmd.description_localizations.de, catalogs.de.commands.leaderboard.description);
+  assert.strictEqual(cmd.description_localizations['es-ES'], cmd.description_localizations['es-419']);
+  assert.strictEqual(cmd.name_localizations, undefined);
+  const [period] = cmd.options;
+  assert.strictEqual(period.description_localizations.de, 'Zeitraum (Standard: gesamt)');
+  assert.strictEqual(period.choices[0].name_localizations.de, 'Gesamt');
+  assert.strictEqual(period.choices[0].name, 'All-time');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger, configureLogger, loggerOptionsFromEnv, RotatingFile } = require('../src/logger');
+
+// Points the shared logger at in-memory streams for one test.
+function capture(t, options = {}) {
+  const out = [];
+  const err = [];
+  const previous = configureLogger(Object.assign({
+    level: 'info',
+    json: false,
+    file: null,
+    stdout: { write: line => out.push(line) },
+    stderr: { write: line => err.push(line) }
+  }, options));
+  t.after(() => configureLogger(previous));
+  return { out, err };
+}
+
+test('levels filter, tags and fields end up on the line', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 15, 12, 0) });
+  const { out, err } = capture(t, { level: 'info' });
+  const drops = logger.child('drops').child({ guild: '1' });
+  drops.debug('hidden');
+  drops.info('Drop sent', { drop: 'drop_1', note: 'two words' });
+  drops.warn('Careful', { err: 'nope' });
+  assert.deepStrictEqual(out, ['2025-01-15T12:00:00.000Z INFO  [drops] Drop sent guild=1 drop=drop_1 note="two words"\n']);
+  assert.deepStrictEqual(err, ['2025-01-15T12:00:00.000Z WARN  [drops] Careful guild=1 err=nope\n']);
+
+  configureLogger({ level: 'debug' });
+  drops.debug('shown');
+  assert.match(out[1], /DEBUG \[drops\] shown/);
+  assert.throws(() => configureLogger({ level: 'loud' }), /Unknown LOG_LEVEL "loud"/);
+});
+
+test('JSON mode writes one object per line, errors with their stack', (t) => {
+  const { err } = capture(t, { json: true });
+  logger.child('storage').error('Failed saving storage', { guild: '7', err: new Error('disk full') });
+  const record = JSON.parse(err[0]);
+  assert.strictEqual(record.level, 'error');
+  assert.strictEqual(record.tag, 'storage');
+  assert.strictEqual(record.msg, 'Failed saving storage');
+  assert.strictEqual(record.guild, '7');
+  assert.strictEqual(record.err.message, 'disk full');
+  assert.match(record.err.stack, /^Error: disk full\n/);
+});
+
+test('the log file rotates by size and keeps maxFiles copies', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'giftbot-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'logs', 'bot.log');
+  const log = new RotatingFile(file, { maxBytes: 10, maxFiles: 2 });
+  for (const line of ['aaaaaa\n', 'bbbbbb\n', 'cccccc\n', 'dddddd\n']) log.write(line);
+  log.close();
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'dddddd\n');
+  assert.strictEqual(fs.readFileSync(`${file}.1`, 'utf8'), 'cccccc\n');
+  assert.strictEqual(fs.readFileSync(`${file}.2`, 'utf8'), 'bbbbbb\n');
+  assert.ok(!fs.existsSync(`${file}.3`));
+
+  capture(t, { level: 'warn', file });
+  logger.warn('also in the file');
+  configureLogger({ file: null });
+  assert.match(fs.readFileSync(file, 'utf8'), /^dddddd\n.* WARN  also in the file\n$/);
+});
+
+test('options come from the environment', () => {
+  assert.deepStrictEqual(loggerOptionsFromEnv({}), { level: 'info', json: false, file: null, maxBytes: 10 * 1024 * 1024, maxFiles: 5 });
+  assert.deepStrictEqual(
+    loggerOptionsFromEnv({ LOG_LEVEL: 'DEBUG', LOG_FORMAT: 'json', LOG_FILE: 'bot.log', LOG_MAX_BYTES: '1000', LOG_MAX_FILES: '0' }),
+    { level: 'debug', json: true, file: 'bot.log', maxBytes: 1000, maxFiles: 0 }
+  );
+  assert.throws(() => loggerOptionsFromEnv({ LOG_MAX_BYTES: 'big' }), /LOG_MAX_BYTES must be a whole number/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Registry } = require('../src/metrics');
+const { JsonStore } = require('../src/storage');
+const { startBot } = require('./helpers/bot');
+
+test('metrics render in the Prometheus text format', () => {
+  const registry = new Registry();
+  const hits = registry.counter('hits_total', 'Hits', ['path', 'code']);
+  hits.inc({ code: 200, path: '/a"b' });
+  hits.inc({ path: '/a"b', code: 200 }, 2);
+  registry.gauge('temp', 'Temperature', [], g => g.set({}, -1.5));
+  registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]).observe({}, 0.5);
+  assert.throws(() => registry.counter('temp', 'Again'), /already registered/);
+
+  assert.strictEqual(registry.render(), [
+    '# HELP hits_total Hits',
+    '# TYPE hits_total counter',
+    'hits_total{path="/a\\"b",code="200"} 3',
+    '# HELP temp Temperature',
+    '# TYPE temp gauge',
+    'temp -1.5',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{le="0.1"} 0',
+    'latency_seconds_bucket{le="1"} 1',
+    'latency_seconds_bucket{le="+Inf"} 1',
+    'latency_seconds_sum 0.5',
+    'latency_seconds_count 1',
+    ''
+  ].join('\n'));
+});
+
+test('claim writes are timed and counted with the storage saves', async (t) => {
+  const bot = await startBot(t);
+  const { owner, admin, alice, bob } = bot.members;
+  const saves = bot.bot.metrics.metrics.get('giftbot_storage_save_seconds');
+  const failures = bot.bot.metrics.metrics.get('giftbot_storage_save_failures_total');
+  await bot.run(admin, 'admin', { group: 'channel', subcommand: 'add', options: { channel: bot.channel } });
+  await bot.run(owner, 'force_drop');
+  const [dropId, drop] = Object.entries(bot.state().activeDrops)[0];
+  const click = (member, boxId) => bot.client.click(member, bot.channel.sent[0], `collect:${dropId}:${boxId.slice('box_'.length)}`);
+
+  const before = saves.series.get(saves.key()).count;
+  await click(alice, drop.validBoxes[0]);
+  assert.strictEqual(saves.series.get(saves.key()).count, before + 1);
+  assert.strictEqual(failures.get(), 0);
+
+  t.mock.method(JsonStore.prototype, 'recordClaim', () => { throw new Error('disk full'); });
+  await click(bob, drop.validBoxes[1]);
+  assert.strictEqual(saves.series.get(saves.key()).count, before + 2);
+  assert.strictEqual(failures.get(), 1);
+});
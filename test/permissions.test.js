@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionsBitField } = require('discord.js');
+const { memberLevel, requiredLevel, applyCommandPermissions } = require('../src/permissions');
+const { startBot } = require('./helpers/bot');
+
+const { Flags } = PermissionsBitField;
+
+// A GuildMember as memberLevel sees it.
+function member(roleIds = [], perms = []) {
+  return { roles: { cache: new Map(roleIds.map(id => [id, {}])) }, permissions: new PermissionsBitField(perms) };
+}
+
+test('member levels come from owners, Discord permissions and the moderator role', () => {
+  const base = { guildOwnerId: 'o1', ownerIds: ['b1', 'b2'], modRoleId: 'mods' };
+  assert.strictEqual(memberLevel({ ...base, userId: 'b2', member: member() }), 'owner');
+  assert.strictEqual(memberLevel({ ...base, userId: 'o1', member: member() }), 'owner');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member([], [Flags.ManageGuild]) }), 'admin');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member([], [Flags.Administrator]) }), 'admin');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member([], [Flags.KickMembers]) }), 'moderator');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member(['mods']) }), 'moderator');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member(['other']) }), 'user');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: null }), 'user');
+});
+
+test('role mappings only raise a level; a member mapping replaces it', () => {
+  const mappings = { roles: { helpers: 'moderator', staff: 'admin' }, users: { u2: 'user', o1: 'user' } };
+  const base = { guildOwnerId: 'o1', mappings };
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member(['helpers']) }), 'moderator');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member(['helpers', 'staff']) }), 'admin');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u1', member: member(['helpers'], [Flags.ManageGuild]) }), 'admin');
+  assert.strictEqual(memberLevel({ ...base, userId: 'u2', member: member(['staff'], [Flags.ManageGuild]) }), 'user');
+  assert.strictEqual(memberLevel({ ...base, userId: 'o1', member: member() }), 'owner');
+});
+
+test('raw API members (role id list, permission string) are understood', () => {
+  const raw = { roles: ['helpers'], permissions: String(Flags.BanMembers) };
+  assert.strictEqual(memberLevel({ userId: 'u1', member: raw }), 'moderator');
+  assert.strictEqual(memberLevel({ userId: 'u1', member: { roles: ['helpers'], permissions: '0' }, mappings: { roles: { helpers: 'admin' } } }), 'admin');
+});
+
+test('subcommands can need more than their command', () => {
+  const command = {
+    name: 'x',
+    level: 'moderator',
+    options: [
+      { name: 'show', type: 1 },
+      { name: 'set', type: 1, level: 'admin' },
+      { name: 'group', type: 2, options: [{ name: 'wipe', type: 1, level: 'owner' }, { name: 'list', type: 1 }] }
+    ]
+  };
+  assert.strictEqual(requiredLevel(command, ['show']), 'moderator');
+  assert.strictEqual(requiredLevel(command, ['set']), 'admin');
+  assert.strictEqual(requiredLevel(command, ['group', 'wipe']), 'owner');
+  assert.strictEqual(requiredLevel(command, ['group', 'list']), 'moderator');
+  assert.strictEqual(requiredLevel({ name: 'y' }, []), 'user');
+  assert.strictEqual(requiredLevel(undefined), 'user');
+});
+
+test('registered commands carry default_member_permissions and no level fields', async (t) => {
+  const { registered, bot } = await startBot(t);
+  assert.strictEqual(registered.length, 1);
+  const byName = Object.fromEntries(registered[0].map(c => [c.name, c]));
+  assert.strictEqual(byName.giftbox.default_member_permissions, null);
+  assert.strictEqual(byName.blacklist.default_member_permissions, String(Flags.ManageMessages));
+  assert.strictEqual(byName.admin.default_member_permissions, String(Flags.ManageGuild));
+  assert.strictEqual(byName.force_drop.default_member_permissions, String(Flags.Administrator));
+  // /schedule is open to everyone; only its setters need an admin.
+  assert.strictEqual(byName.schedule.default_member_permissions, null);
+  assert.doesNotMatch(JSON.stringify(registered[0]), /"level":/);
+  assert.strictEqual(registered[0].length, bot.commands.length);
+
+  const plain = applyCommandPermissions({ name: 'z', options: [{ name: 'a', type: 1, level: 'admin' }] });
+  assert.deepStrictEqual(plain, { name: 'z', options: [{ name: 'a', type: 1 }], default_member_permissions: null });
+});
+
+test('each command is refused below its level', async (t) => {
+  const { run, members, channel } = await startBot(t);
+  const { alice, mod, admin, owner } = members;
+  const denied = level => `You need the ${level} level to use this command.`;
+
+  assert.strictEqual((await run(alice, 'drop', { subcommand: 'now' })).text, denied('Moderator'));
+  assert.strictEqual((await run(alice, 'blacklist', { subcommand: 'list' })).text, denied('Moderator'));
+  assert.strictEqual((await run(mod, 'admin', { subcommand: 'toggle' })).text, denied('Admin'));
+  assert.strictEqual((await run(mod, 'drop_config', { subcommand: 'show' })).text, denied('Admin'));
+  assert.strictEqual((await run(admin, 'force_drop')).text, denied('Owner'));
+  assert.strictEqual((await run(admin, 'admin', { subcommand: 'reset' })).text, denied('Owner'));
+  assert.strictEqual(channel.sent.length, 0);
+
+  assert.match((await run(mod, 'blacklist', { subcommand: 'list' })).text, /Nobody is blacklisted/);
+  assert.match((await run(admin, 'drop_config', { subcommand: 'show' })).text, /4/);
+  await run(owner, 'force_drop');
+  assert.strictEqual(channel.sent.length, 1);
+});
+
+test('setters inside an open command need their own level', async (t) => {
+  const { run, members, state } = await startBot(t);
+  assert.match((await run(members.alice, 'schedule', { subcommand: 'show' })).text, /5–10|5-10/);
+  const set = await run(members.alice, 'schedule', { subcommand: 'interval', options: { min_minutes: 1, max_minutes: 2 } });
+  assert.strictEqual(set.text, 'You need the Admin level to use this command.');
+  assert.strictEqual(state().settings.schedule, undefined);
+  assert.strictEqual((await run(members.alice, 'season', { subcommand: 'end' })).text, 'You need the Admin level to use this command.');
+});
+
+test('bot owners from the config are owners in every server', async (t) => {
+  const { run, guild, members, channel } = await startBot(t, { config: { ownerIds: ['900', '901'] } });
+  const carol = guild.addMember({ id: '901', username: 'carol' });
+  assert.strictEqual((await run(members.alice, 'force_drop')).text, 'You need the Owner level to use this command.');
+  await run(carol, 'force_drop');
+  assert.strictEqual(channel.sent.length, 1);
+});
+
+test('/permissions maps roles and members to levels', async (t) => {
+  const { run, guild, members, state, channel } = await startBot(t);
+  const { admin, alice, bob, mod } = members;
+  const helpers = guild.addRole('Helpers');
+  await alice.roles.add(helpers);
+
+  const grant = await run(admin, 'permissions', { subcommand: 'set', options: { target: helpers, level: 'moderator' } });
+  assert.strictEqual(grant.text, `<@&${helpers.id}> now has the Moderator level.`);
+  assert.deepStrictEqual(state().settings.permissions, { roles: { [helpers.id]: 'moderator' }, users: {} });
+  await run(alice, 'drop', { subcommand: 'now' });
+  assert.strictEqual(channel.sent.length, 1);
+
+  // A member mapping can also take a level away.
+  await run(admin, 'permissions', { subcommand: 'set', options: { target: mod, level: 'user' } });
+  assert.match((await run(mod, 'blacklist', { subcommand: 'list' })).text, /Moderator level/);
+  await run(admin, 'permissions', { subcommand: 'set', options: { target: bob.user, level: 'admin' } });
+  assert.match((await run(bob, 'admin', { subcommand: 'toggle' })).text, /^No drop channel is set/);
+
+  const show = await run(alice, 'permissions', { subcommand: 'show' });
+  assert.match(show.text, /You need the Admin level/);
+  const listing = (await run(admin, 'permissions', { subcommand: 'show' })).text;
+  assert.match(listing, new RegExp(`<@&${helpers.id}> — Moderator`));
+  assert.match(listing, new RegExp(`<@${bob.id}> — Admin`));
+  assert.match(listing, /\*\*Owner:\*\* \/admin reset, \/force_drop/);
+  assert.match(listing, /\/schedule interval/);
+
+  const removed = await run(admin, 'permissions', { subcommand: 'remove', options: { target: mod } });
+  assert.strictEqual(removed.text, `<@${mod.id}> no longer has a level of its own.`);
+  assert.match((await run(mod, 'blacklist', { subcommand: 'list' })).text, /Nobody is blacklisted/);
+  const again = await run(admin, 'permissions', { subcommand: 'remove', options: { target: mod } });
+  assert.strictEqual(again.text, `<@${mod.id}> has no level set.`);
+});
+
+test('the server owner cannot be mapped below owner', async (t) => {
+  const { run, members } = await startBot(t);
+  await run(members.admin, 'permissions', { subcommand: 'set', options: { target: members.owner, level: 'user' } });
+  assert.strictEqual((await run(members.owner, 'force_drop')).text, 'Owner forced a drop in this channel...');
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { diffCommands, sameCommand } = require('../src/registration');
+const { loadCommands, createCommandRouter, registrationPayload } = require('../src/commands');
+const { run } = require('../cli');
+
+const payload = () => registrationPayload(createCommandRouter(loadCommands()).definitions);
+
+// A stand-in for Discord's command endpoints: /api/v10/applications/:app[/guilds/:guild]/commands[/:id].
+async function mockDiscord(t) {
+  const scopes = new Map();
+  const requests = [];
+  let nextId = 1;
+  // How Discord hands commands back: with ids, versions and its own fields (including the
+  // deprecated default_permission), and without empty fields.
+  const stored = (app, guildId) => c => JSON.parse(JSON.stringify(Object.assign({
+    id: String(nextId++),
+    application_id: app,
+    version: String(1300000000000000000n + BigInt(nextId)),
+    type: 1,
+    nsfw: false,
+    default_permission: true,
+    dm_permission: !guildId
+  }, guildId ? { guild_id: guildId } : {}, c), (k, v) => (v === null || v === false ? undefined : v)));
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const m = /^\/api\/v10\/applications\/(\w+)(?:\/guilds\/(\w+))?\/commands(?:\/(\w+))?/.exec(req.url);
+      requests.push(`${req.method} ${req.url.split('?')[0]}`);
+      const key = m[2] || 'global';
+      const list = scopes.get(key) || [];
+      let body = list;
+      if (req.method === 'PUT') scopes.set(key, body = JSON.parse(raw).map(stored(m[1], m[2])));
+      if (req.method === 'DELETE') {
+        scopes.set(key, list.filter(c => c.id !== m[3]));
+        res.writeHead(204).end();
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const env = { DISCORD_TOKEN: 'token', CLIENT_ID: '42', DISCORD_API_URL: `http://127.0.0.1:${server.address().port}/api` };
+  const cli = async (...argv) => {
+    const lines = [];
+    const code = await run(argv, { env, log: line => lines.push(line) });
+    return { code, out: lines.join('\n') };
+  };
+  return { scopes, requests, cli };
+}
+
+test('commands compare on what we send, not on what Discord fills in', () => {
+  const ours = { name: 'x', description: 'X', default_member_permissions: null, options: [{ name: 'a', description: 'A', type: 3, required: false }] };
+  const theirs = { id: '1', version: '9', type: 1, default_permission: true, name: 'x', description: 'X', nsfw: false, options: [{ description: 'A', name: 'a', type: 3 }] };
+  assert.ok(sameCommand(ours, theirs));
+  assert.ok(!sameCommand(ours, { ...theirs, description: 'Y' }));
+  assert.ok(!sameCommand(ours, { ...theirs, options: [{ ...theirs.options[0], required: true }] }));
+
+  const diff = diffCommands([ours, { name: 'new', description: 'N' }], [{ ...theirs, description: 'old' }, { name: 'gone', description: 'G' }]);
+  assert.deepStrictEqual(diff, { added: ['new'], changed: ['x'], removed: ['gone'], unchanged: [] });
+});
+
+test('deploy only sends when the command list changed', async (t) => {
+  const { requests, scopes, cli } = await mockDiscord(t);
+  const first = await cli('commands', 'deploy', '--guild', '7');
+  assert.strictEqual(first.code, 0);
+  assert.match(first.out, /\+ \/admin/);
+  assert.strictEqual(scopes.get('7').length, payload().length);
+
+  const again = await cli('commands', 'deploy', '--guild', '7');
+  assert.match(again.out, /No changes .*\nNothing to deploy\./);
+  assert.deepStrictEqual(requests.filter(r => r.startsWith('PUT')), ['PUT /api/v10/applications/42/guilds/7/commands']);
+
+  scopes.get('7').find(c => c.name === 'shop').description = 'Old text';
+  assert.strictEqual((await cli('commands', 'diff', '--guild', '7')).out, 'guild 7:\n~ /shop');
+  const dry = await cli('commands', 'deploy', '--guild', '7', '--dry-run');
+  assert.match(dry.out, /Dry run: nothing was sent\./);
+  assert.strictEqual(requests.filter(r => r.startsWith('PUT')).length, 1);
+});
+
+test('list and delete work per scope', async (t) => {
+  const { scopes, cli } = await mockDiscord(t);
+  await cli('commands', 'deploy', '--global');
+  assert.strictEqual(scopes.get('7'), undefined);
+  const list = await cli('commands', 'list', '--global');
+  assert.match(list.out, new RegExp(`^${payload().length} global command\\(s\\):`));
+  assert.match(list.out, /\/giftbox \(\d+\) — Show how many gift boxes you have collected/);
+
+  const one = await cli('commands', 'delete', 'giftbox', 'nope', '--global');
+  assert.strictEqual(one.code, 1);
+  assert.strictEqual(one.out, 'Deleted /giftbox (global).\n/nope is not registered (global).');
+  assert.strictEqual(scopes.get('global').length, payload().length - 1);
+
+  assert.strictEqual((await cli('commands', 'delete', '--global')).code, 2);
+  await cli('commands', 'delete', '--all', '--global');
+  assert.deepStrictEqual(scopes.get('global'), []);
+});
+
+test('the CLI explains bad usage', async () => {
+  const lines = [];
+  assert.strictEqual(await run(['commands', 'push'], { env: {}, log: l => lines.push(l) }), 2);
+  assert.strictEqual(await run(['commands', 'list'], { env: {}, log: l => lines.push(l) }), 2);
+  assert.strictEqual(await run(['commands', 'list', '--guild'], { env: {}, log: l => lines.push(l) }), 2);
+  assert.match(lines[0], /^Usage: node cli\.js commands/);
+  assert.strictEqual(lines[1], 'Missing required .env values: DISCORD_TOKEN, CLIENT_ID');
+  assert.match(lines[2], /^--guild needs a value\nUsage:/);
+});
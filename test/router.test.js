@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCommands, createCommandRouter } = require('../src/commands');
+const { startBot } = require('./helpers/bot');
+
+// Just enough of a chat input interaction for handlerFor().
+function chatInput(commandName, group = null, subcommand = null) {
+  return { commandName, options: { getSubcommandGroup: () => group, getSubcommand: () => subcommand } };
+}
+
+const grouped = {
+  data: {
+    name: 'x',
+    options: [
+      { name: 'toggle', type: 1 },
+      { name: 'channel', type: 2, options: [{ name: 'add', type: 1 }, { name: 'list', type: 1 }] }
+    ]
+  },
+  subcommands: { toggle: () => 'toggle', 'channel add': () => 'add', 'channel list': () => 'list' },
+  components: { xs: () => 'button' }
+};
+
+test('every module in src/commands loads and fits the router', () => {
+  const modules = loadCommands();
+  const router = createCommandRouter(modules);
+  const names = router.definitions.map(d => d.name);
+  assert.deepStrictEqual(names, [...names].sort());
+  assert.ok(names.includes('admin') && names.includes('giftbox'));
+  assert.strictEqual(router.command('admin').data.options.find(o => o.name === 'channel').type, 2);
+});
+
+test('subcommands and groups route to their handler', () => {
+  const router = createCommandRouter([grouped, { data: { name: 'y' }, execute: () => 'y' }]);
+  assert.strictEqual(router.handlerFor(chatInput('x', null, 'toggle'))(), 'toggle');
+  assert.strictEqual(router.handlerFor(chatInput('x', 'channel', 'list'))(), 'list');
+  assert.strictEqual(router.handlerFor(chatInput('y'))(), 'y');
+  assert.strictEqual(router.handlerFor(chatInput('z')), null);
+});
+
+test('buttons route by the namespace before the first colon', () => {
+  const collect = () => 'collect';
+  const router = createCommandRouter([grouped], { components: { collect } });
+  assert.strictEqual(router.component('xs:1:confirm')(), 'button');
+  assert.strictEqual(router.component('collect:drop_1:0'), collect);
+  assert.strictEqual(router.component('nope:1'), null);
+});
+
+test('modules that do not fit are refused at startup', () => {
+  const { 'channel list': _, ...partial } = grouped.subcommands;
+  assert.throws(() => createCommandRouter([{ ...grouped, subcommands: partial }]), /\/x has no handler for: channel list/);
+  assert.throws(() => createCommandRouter([{ data: { name: 'y' } }]), /neither execute nor subcommands/);
+  assert.throws(() => createCommandRouter([grouped, grouped]), /Duplicate command \/x/);
+  assert.throws(() => createCommandRouter([grouped], { components: { xs: () => {} } }), /"xs" is used twice/);
+});
+
+test('autocomplete goes to the command being typed', async (t) => {
+  const bot = await startBot(t);
+  const { admin, alice } = bot.members;
+  assert.deepStrictEqual(await bot.client.autocomplete(alice, bot.channel, 'theme', { name: 'theme', value: 'christ' }), [{ name: '🎁 Christmas', value: 'christmas' }]);
+  assert.deepStrictEqual(await bot.client.autocomplete(alice, bot.channel, 'leaderboard', { name: 'season', value: '' }), []);
+
+  await bot.run(admin, 'shop_admin', { subcommand: 'add', options: { name: 'Red Name', type: 'title', price: 3 } });
+  bot.state().shop.inventories[alice.id] = { 'red-name': 1 };
+  const offer = await bot.client.autocomplete(alice, bot.channel, 'trade', { name: 'offer', value: '' });
+  assert.deepStrictEqual(offer, [{ name: 'Red Name', value: 'red-name' }]);
+  assert.deepStrictEqual(await bot.client.autocomplete(admin, bot.channel, 'trade', { name: 'offer', value: '' }), []);
+});
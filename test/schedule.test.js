@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeSchedule,
+  isValidTimezone,
+  localTime,
+  parseClock,
+  parseDays,
+  isAllowedAt,
+  nextAllowedTime,
+  nextDropTime
+} = require('../src/schedule');
+
+// Wednesday 2025-01-15 12:00 UTC
+const NOON = Date.UTC(2025, 0, 15, 12, 0);
+const HOUR = 60 * 60 * 1000;
+
+test('parses clock times and day lists', () => {
+  assert.strictEqual(parseClock('23:30'), 23 * 60 + 30);
+  assert.strictEqual(parseClock('7:05'), 7 * 60 + 5);
+  assert.strictEqual(parseClock('24:00'), null);
+  assert.strictEqual(parseClock('noon'), null);
+  assert.deepStrictEqual(parseDays('fri, mon wednesday'), [1, 3, 5]);
+  assert.deepStrictEqual(parseDays('weekends'), [0, 6]);
+  assert.strictEqual(parseDays('someday'), null);
+  assert.strictEqual(parseDays(''), null);
+});
+
+test('local time follows the timezone', () => {
+  assert.ok(isValidTimezone('Asia/Tokyo'));
+  assert.ok(!isValidTimezone('Mars/Olympus'));
+  assert.deepStrictEqual(localTime(NOON, 'UTC'), { day: 3, minute: 12 * 60 });
+  // Tokyo is UTC+9: 21:00 the same day
+  assert.deepStrictEqual(localTime(NOON, 'Asia/Tokyo'), { day: 3, minute: 21 * 60 });
+  // New York is UTC-5 in January; 03:00 UTC Thursday is 22:00 Wednesday there
+  assert.deepStrictEqual(localTime(NOON + 15 * HOUR, 'America/New_York'), { day: 3, minute: 22 * 60 });
+});
+
+test('quiet hours that wrap past midnight', () => {
+  const sched = normalizeSchedule({ quietStart: parseClock('22:00'), quietEnd: parseClock('08:00') });
+  assert.ok(isAllowedAt(sched, NOON));
+  assert.ok(!isAllowedAt(sched, NOON + 11 * HOUR)); // 23:00
+  assert.ok(!isAllowedAt(sched, NOON + 16 * HOUR)); // 04:00
+  assert.strictEqual(nextAllowedTime(sched, NOON + 11 * HOUR), NOON + 20 * HOUR);
+});
+
+test('quiet hours are checked in the configured timezone', () => {
+  // 22:00-08:00 in Tokyo is 13:00-23:00 UTC
+  const sched = normalizeSchedule({ timezone: 'Asia/Tokyo', quietStart: parseClock('22:00'), quietEnd: parseClock('08:00') });
+  assert.ok(isAllowedAt(sched, NOON));
+  assert.ok(!isAllowedAt(sched, NOON + 2 * HOUR));
+  assert.strictEqual(nextAllowedTime(sched, NOON + 2 * HOUR), NOON + 11 * HOUR);
+});
+
+test('disallowed days push the drop to the next allowed day', () => {
+  const sched = normalizeSchedule({ days: [5] }); // Fridays only
+  assert.ok(!isAllowedAt(sched, NOON));
+  assert.strictEqual(nextAllowedTime(sched, NOON), Date.UTC(2025, 0, 17, 0, 0));
+});
+
+test('next drop time stays within the interval when nothing blocks it', () => {
+  const sched = normalizeSchedule({ minMinutes: 30, maxMinutes: 45 });
+  assert.strictEqual(nextDropTime(sched, NOON, () => 0), NOON + 30 * 60 * 1000);
+  assert.strictEqual(nextDropTime(sched, NOON, () => 0.9999), NOON + 45 * 60 * 1000);
+});
+
+test('missing settings keep the old 5-10 minute behaviour', () => {
+  const sched = normalizeSchedule(undefined);
+  assert.strictEqual(sched.minMinutes, 5);
+  assert.strictEqual(sched.maxMinutes, 10);
+  assert.strictEqual(sched.days.length, 7);
+  assert.strictEqual(sched.activityMessages, 0);
+});
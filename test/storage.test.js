@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../src/storage');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { configureLogger } = require('../src/logger');
+const { createBot } = require('../src/bot');
+const { startBot } = require('./helpers/bot');
+const { FakeClient } = require('./helpers/discord');
+
+// better-sqlite3 is an optional dependency.
+const noSqlite = (() => {
+  try {
+    require('better-sqlite3');
+    return false;
+  } catch {
+    return 'better-sqlite3 is not installed';
+  }
+})();
+
+// A temp directory for one test, with the storage warnings silenced.
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'giftbot-store-'));
+  const previous = configureLogger({ level: 'silent' });
+  t.after(() => {
+    configureLogger(previous);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+const guildData = (counts = {}) => ({
+  version: 2,
+  guilds: {
+    g1: {
+      userCounts: counts,
+      activeDrops: { drop_1: { createdAt: 1, expiresAt: 2, boxCount: 2, validBoxes: ['box_1'], collectedBy: {} } },
+      settings: { autoDropEnabled: false },
+      claims: []
+    }
+  }
+});
+
+test('a JSON save that fails before the rename leaves the old file intact', (t) => {
+  const file = path.join(tempDir(t), 'storage.json');
+  const store = new JsonStore(file);
+  store.save({ version: 2, guilds: { g1: { userCounts: { a: 1 } } } });
+
+  const rename = fs.renameSync;
+  t.mock.method(fs, 'renameSync', (from, to) => {
+    if (from.includes('.tmp-')) throw new Error('disk full');
+    return rename(from, to);
+  });
+  assert.throws(() => store.save({ version: 2, guilds: { g1: { userCounts: { a: 99 } } } }), /disk full/);
+  t.mock.restoreAll();
+
+  assert.deepStrictEqual(new JsonStore(file).load().guilds.g1.userCounts, { a: 1 });
+});
+
+test('a corrupt JSON file falls back to the newest readable backup', (t) => {
+  const file = path.join(tempDir(t), 'storage.json');
+  const store = new JsonStore(file, { backups: 2, backupIntervalMs: 0 });
+  store.save({ n: 1 });
+  store.save({ n: 2 });
+  store.save({ n: 3 });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${file}.1`, 'utf8')), { n: 2 });
+
+  fs.writeFileSync(file, '{"n": 3');
+  assert.deepStrictEqual(store.load(), { n: 2 });
+
+  fs.writeFileSync(`${file}.1`, '');
+  assert.deepStrictEqual(store.load(), { n: 1 });
+
+  // Nothing readable: the broken file is kept aside rather than overwritten.
+  fs.writeFileSync(`${file}.2`, 'nope');
+  assert.strictEqual(store.load(), null);
+  assert.ok(!fs.existsSync(file));
+  assert.ok(fs.readdirSync(path.dirname(file)).some(f => f.startsWith('storage.json.corrupt-')));
+});
+
+test('SQLite records a claim once, and all of it or nothing', { skip: noSqlite }, (t) => {
+  const store = new SqliteStore(path.join(tempDir(t), 'storage.db'));
+  t.after(() => store.close());
+  const data = guildData({ a: 1 });
+  store.save(data);
+  const claim = user => ({ guildId: 'g1', dropId: 'drop_1', boxId: 'box_1', userId: user, amount: 1, entry: { id: `c_${user}`, at: 5, userId: user } });
+
+  assert.strictEqual(store.recordClaim(data, claim('a')), true);
+  assert.strictEqual(store.recordClaim(data, claim('b')), false);
+  let loaded = store.load().guilds.g1;
+  assert.deepStrictEqual(loaded.activeDrops.drop_1.collectedBy, { box_1: 'a' });
+  assert.deepStrictEqual(loaded.userCounts, { a: 2 });
+  assert.deepStrictEqual(loaded.claims.map(c => c.id), ['c_a']);
+
+  // A failure halfway through rolls the claim row and the count back with it.
+  t.mock.method(store.stmts.appendLog, 'run', () => { throw new Error('SQLITE_FULL'); });
+  const other = { ...claim('b'), boxId: 'box_2', entry: { id: 'c_b2', at: 6, userId: 'b' } };
+  assert.throws(() => store.recordClaim(data, other), /SQLITE_FULL/);
+  loaded = store.load().guilds.g1;
+  assert.deepStrictEqual(loaded.activeDrops.drop_1.collectedBy, { box_1: 'a' });
+  assert.deepStrictEqual(loaded.userCounts, { a: 2 });
+});
+
+test('SQLite saves write only the rows that changed', { skip: noSqlite }, (t) => {
+  const file = path.join(tempDir(t), 'storage.db');
+  const store = new SqliteStore(file);
+  t.after(() => store.close());
+  const data = guildData({ a: 1, b: 2 });
+  data.guilds.g1.activeDrops.drop_1.collectedBy = { box_1: 'a' };
+  store.save(data);
+
+  const writes = [];
+  for (const kind of ['upsert', 'remove']) {
+    for (const [table, stmt] of Object.entries(store[kind])) {
+      const run = stmt.run;
+      t.mock.method(stmt, 'run', function (...args) {
+        writes.push(`${kind} ${table}`);
+        return run.apply(this, args);
+      });
+    }
+  }
+  store.save(data);
+  assert.deepStrictEqual(writes, []);
+
+  data.guilds.g1.userCounts.b = 3;
+  delete data.guilds.g1.activeDrops.drop_1;
+  data.guilds.g1.settings.autoDropEnabled = true;
+  store.save(data);
+  assert.deepStrictEqual(writes.sort(), ['remove drop_claims', 'remove drops', 'upsert guild_data', 'upsert user_counts']);
+
+  const reopened = new SqliteStore(file);
+  t.after(() => reopened.close());
+  const loaded = reopened.load().guilds.g1;
+  assert.deepStrictEqual(loaded.userCounts, { a: 1, b: 3 });
+  assert.deepStrictEqual(loaded.activeDrops, {});
+  assert.strictEqual(loaded.settings.autoDropEnabled, true);
+});
+
+const LEGACY = {
+  userCounts: { 111: 4, 222: 1 },
+  activeDrops: {},
+  botSettings: { autoDropEnabled: false, dropChannelId: '333' }
+};
+
+test('single-guild storage is migrated into GUILD_ID on load', async (t) => {
+  const bot = await startBot(t, { storage: LEGACY, config: { guildId: '4242' } });
+  const migrated = bot.bot.getGuildState('4242');
+  assert.deepStrictEqual(migrated.userCounts, { 111: 4, 222: 1 });
+  assert.deepStrictEqual(migrated.settings.dropChannels, [{ channelId: '333', weight: 1 }]);
+
+  const onDisk = JSON.parse(fs.readFileSync(bot.storageFile, 'utf8'));
+  assert.strictEqual(onDisk.version, 2);
+  assert.strictEqual(onDisk.userCounts, undefined);
+  assert.deepStrictEqual(onDisk.guilds['4242'].userCounts, { 111: 4, 222: 1 });
+});
+
+test('without GUILD_ID, single-guild storage goes to the only guild once ready', async (t) => {
+  const bot = await startBot(t, { storage: LEGACY });
+  assert.deepStrictEqual(bot.state().userCounts, { 111: 4, 222: 1 });
+  const onDisk = JSON.parse(fs.readFileSync(bot.storageFile, 'utf8'));
+  assert.strictEqual(onDisk.legacy, undefined);
+  assert.deepStrictEqual(onDisk.guilds[bot.guild.id].userCounts, { 111: 4, 222: 1 });
+});
+
+test('a storage backend that cannot be read makes loadStorage throw', () => {
+  const store = { load() { throw new Error('EACCES'); }, save() { throw new Error('should not save'); } };
+  const bot = createBot({ client: new FakeClient(), store, config: { ownerIds: [] }, registerCommands: async () => {} });
+  assert.throws(() => bot.loadStorage(), /EACCES/);
+});
+
+test('state changed before the gateway is ready is not reloaded from disk', async (t) => {
+  // Say, an admin API write whose save failed: only the in-memory copy has it.
+  const bot = await startBot(t, { beforeReady: (b, guild) => { b.getGuildState(guild.id).userCounts.early = 7; } });
+  assert.strictEqual(bot.state().userCounts.early, 7);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_THEME_ID, validateTheme, compileTheme, themeReplies, loadThemes, fillTemplate } = require('../src/themes');
+const { translator } = require('../src/i18n');
+
+test('every built-in theme is valid and complete', () => {
+  const themes = loadThemes();
+  assert.ok(themes[DEFAULT_THEME_ID]);
+  assert.ok(Object.keys(themes).length >= 3);
+  for (const theme of Object.values(themes)) {
+    assert.strictEqual(typeof theme.color, 'number');
+    assert.strictEqual(typeof theme.drop.trollColor, 'number');
+    assert.ok(theme.replies.mention.length > 0);
+    assert.ok(theme.troll.roleName);
+  }
+});
+
+test('a partial theme is layered over the default', () => {
+  const theme = compileTheme({ id: 'spooky', drop: { title: 'Boo!', trollColor: '#000000' } });
+  const base = compileTheme({});
+  assert.strictEqual(theme.drop.title, 'Boo!');
+  assert.strictEqual(theme.drop.trollColor, 0);
+  assert.strictEqual(theme.drop.boxTitle, base.drop.boxTitle);
+  assert.deepStrictEqual(theme.replies, base.replies);
+});
+
+test('replies come from the theme in its languages and from the catalog otherwise', () => {
+  const es = translator('es');
+  const christmas = compileTheme({});
+  assert.match(themeReplies(christmas, translator('en')).claim, /collected a gift box/);
+  assert.match(themeReplies(christmas, es).claim, /recogió una caja de regalo/);
+  assert.ok(themeReplies(christmas, translator('de')).mention.length > 1);
+
+  // Own replies in English only: other languages get the catalog's lines, not Christmas ones.
+  const pirate = compileTheme({ id: 'pirate', replies: { claim: 'Arr, {mention}!' } });
+  assert.strictEqual(themeReplies(pirate, translator('en')).claim, 'Arr, {mention}!');
+  assert.strictEqual(themeReplies(pirate, es).claim, es('replies.claim'));
+  assert.deepStrictEqual(themeReplies(pirate, es).mention, [es('replies.mention')]);
+  const translated = compileTheme({ id: 'pirate', replies: { claim: 'Arr!' }, translations: { es: { replies: { claim: '¡Arr!' } } } });
+  assert.strictEqual(themeReplies(translated, es).claim, '¡Arr!');
+  assert.deepStrictEqual(validateTheme({ id: 'pirate', translations: { fr: {} } }), ['translations.fr is not a theme setting']);
+});
+
+test('invalid theme files are reported, not loaded', () => {
+  assert.deepStrictEqual(validateTheme({ id: 'ok', name: 'Fine' }), []);
+  const problems = validateTheme({ id: 'Bad Id', color: 'red', drop: { image: 'http://x', extra: 1 }, replies: { mention: [] } });
+  assert.strictEqual(problems.length, 5);
+  assert.deepStrictEqual(validateTheme('nope'), ['theme must be an object']);
+});
+
+test('templates fill known placeholders only', () => {
+  assert.strictEqual(fillTemplate('Gift {n} for {user}', { n: 2 }), 'Gift 2 for {user}');
+});